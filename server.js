@@ -5,6 +5,11 @@ const path = require("path");
 const XLSX = require("xlsx");
 const fs = require("fs");
 const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { ImapFlow } = require("imapflow");
+const { simpleParser } = require("mailparser");
 
 const app = express();
 app.set("trust proxy", true);
@@ -24,19 +29,47 @@ process.on("unhandledRejection", (reason) => {
 });
 
 // ═══ State ═══
-let openRouterKey = "";
+let openRouterKey = process.env.OPENROUTER_API_KEY || "";
 let selectedModel = "google/gemini-2.0-flash-001";
 let appPassword = "";
 const sentMessages = [];
 
+// ═══ SMTP State ═══
+const smtpConfig = {
+  host: process.env.SMTP_HOST || "smtp.gmail.com",
+  port: parseInt(process.env.SMTP_PORT) || 465,
+  secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : (parseInt(process.env.SMTP_PORT) || 465) === 465,
+  user: process.env.SMTP_USER || "",
+  fromName: process.env.SMTP_FROM_NAME || "Business Development @ Belwo",
+  fromEmail: process.env.SMTP_FROM_EMAIL || "",
+  minIntervalMs: parseInt(process.env.SMTP_MIN_INTERVAL_MS) || 20000,
+  dailyLimit: parseInt(process.env.SMTP_DAILY_LIMIT) || 400,
+  trackOpens: process.env.SMTP_TRACK_OPENS !== "false",
+};
+let smtpTransport = null;
+
+// ═══ IMAP State (reply detection) ═══
+const imapConfig = {
+  host: process.env.IMAP_HOST || "imap.gmail.com",
+  port: parseInt(process.env.IMAP_PORT) || 993,
+  secure: process.env.IMAP_SECURE ? process.env.IMAP_SECURE === "true" : (parseInt(process.env.IMAP_PORT) || 993) === 993,
+  user: process.env.IMAP_USER || "",
+  mailbox: process.env.IMAP_MAILBOX || "INBOX",
+  pollIntervalMs: parseInt(process.env.IMAP_POLL_INTERVAL_MS) || 120000,
+  enabled: process.env.IMAP_ENABLED === "true",
+};
+let imapPassword = "";
+
 // ═══ Visitor Intelligence State ═══
-const dataDir = path.join(__dirname, "data");
+// DATA_DIR points a second instance (or the test suite) at its own files
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "data");
 if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
 
 const sites = new Map();
 const visitors = new Map();
 const eventBuffer = [];
 const trackedLinks = new Map();
+const emailOpens = new Map();
 const activeSessions = new Map();
 const geoCache = new Map();
 const sseClients = new Map();
@@ -46,12 +79,38 @@ function genId(prefix) {
   return prefix + "_" + crypto.randomBytes(6).toString("hex");
 }
 
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Map over items with at most `limit` calls in flight; results keep the input order.
+// Once a call throws no new calls start, and the error is rethrown after the calls already in flight have settled.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (err) {
+        failure = failure || { err };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  if (failure) throw failure.err;
+  return results;
+}
+
 // Load persisted data
 function loadViData() {
   try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "sites.json"), "utf8")); d.forEach(([k,v]) => sites.set(k,v)); } catch {}
   try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "visitors.json"), "utf8")); d.forEach(([k,v]) => visitors.set(k,v)); } catch {}
   try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "events.json"), "utf8")); eventBuffer.push(...d); } catch {}
   try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "tracked-links.json"), "utf8")); d.forEach(([k,v]) => trackedLinks.set(k,v)); } catch {}
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "email-opens.json"), "utf8")); d.forEach(([k,v]) => emailOpens.set(k,v)); } catch {}
 }
 loadViData();
 
@@ -65,6 +124,15 @@ function scheduleSave() {
     try { fs.writeFileSync(path.join(dataDir, "visitors.json"), JSON.stringify([...visitors])); } catch {}
     try { fs.writeFileSync(path.join(dataDir, "events.json"), JSON.stringify(eventBuffer.slice(-EVENT_BUFFER_MAX))); } catch {}
     try { fs.writeFileSync(path.join(dataDir, "tracked-links.json"), JSON.stringify([...trackedLinks])); } catch {}
+    try { fs.writeFileSync(path.join(dataDir, "email-opens.json"), JSON.stringify([...emailOpens])); } catch {}
+    saveLeadData();
+    saveEmailPatterns();
+    saveUsageData();
+    saveVariantData();
+    saveMailTemplateData();
+    saveSuppressionData();
+    saveMessageData();
+    saveJobData();
     saveTimer = null;
   }, SAVE_DELAY);
 }
@@ -102,407 +170,5508 @@ function computeEngagement(visitor) {
   return Math.round(Math.min(100, score));
 }
 
-// Broadcast SSE event
-function broadcastSSE(data) {
+// Broadcast SSE event to the dashboards of one workspace
+function broadcastSSE(data, workspaceId) {
   const msg = `data: ${JSON.stringify(data)}\n\n`;
-  for (const [id, res] of sseClients) {
-    try { res.write(msg); } catch { sseClients.delete(id); }
+  for (const [id, client] of sseClients) {
+    if (client.workspaceId !== workspaceId) continue;
+    try { client.res.write(msg); } catch { sseClients.delete(id); }
   }
 }
 
-// ═══ OpenRouter helper ═══
-async function callOpenRouter(prompt, temperature = 0.7) {
-  if (!openRouterKey) throw new Error("Set your OpenRouter API key first");
+// ═══ Authentication & Access Control ═══
+// Dashboard users sign in with a session cookie; scripts use scoped API tokens (Authorization: Bearer bvt_...).
+// Tracking ingestion (/api/track, /t/:linkId, tracker.js) and static assets stay public.
+const users = new Map();
+const apiTokens = new Map();
+const sessions = new Map();
+const USER_ROLES = ["admin", "sales", "viewer"];
+const SESSION_COOKIE = "bv_session";
+const SESSION_TTL = 7 * 24 * 3600000;
+const PUBLIC_API_PATHS = ["/api/track", "/api/auth/login", "/api/auth/logout", "/api/auth/setup", "/api/auth/status"];
+const TOKEN_ACCESS = ["read", "write"];
+
+// Every /api path belongs to a resource (unlisted paths are admin-only); tokens are scoped per resource ("leads:read", "visitors:write", "*:read")
+const API_RESOURCES = [
+  [/^\/api\/auth\/tokens(\/|$)/, "tokens"],
+  [/^\/api\/auth(\/|$)/, "account"],
+  [/^\/api\/users(\/|$)/, "users"],
+  [/^\/api\/(config|smtp-config|llm-config|smtp-verify|imap-config|imap-verify|models|profiles|industries|roles|workspaces|usage)(\/|$)/, "settings"],
+  [/^\/api\/(leads|find-leads|reset-search|import|verify-email|email-patterns|email-candidates|export-leads)(\/|$)/, "leads"],
+  [/^\/api\/(generate-message|save-message|saved-messages|send-message|export-messages|message-variants|message-angles|lint-message|mail-templates|replies)(\/|$)/, "messages"],
+  [/^\/api\/sequences(\/|$)/, "sequences"],
+  [/^\/api\/(analyze-painpoints|analyses|analysis-batches|export-analysis|export-analysis-batch)(\/|$)/, "analysis"],
+  [/^\/api\/jobs(\/|$)/, "jobs"],
+  [/^\/api\/suppressions(\/|$)/, "suppressions"],
+  [/^\/api\/vi(\/|$)/, "visitors"],
+];
+const TOKEN_RESOURCES = ["settings", "leads", "messages", "sequences", "analysis", "jobs", "suppressions", "visitors"];
+// POST routes that only read (exports, lookups)
+const READ_ONLY_POSTS = [/^\/api\/export-/, /^\/api\/vi\/export-visitors$/, /^\/api\/verify-email$/, /^\/api\/email-candidates$/, /^\/api\/lint-message$/];
+
+function loadAuthData() {
+  try {
+    const d = JSON.parse(fs.readFileSync(path.join(dataDir, "users.json"), "utf8"));
+    (d.users || []).forEach(([k,v]) => users.set(k,v));
+    (d.tokens || []).forEach(([k,v]) => apiTokens.set(k,v));
+  } catch {}
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "sessions.json"), "utf8")); d.forEach(([k,v]) => sessions.set(k,v)); } catch {}
+}
+loadAuthData();
 
-  const res = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${openRouterKey}`,
-      "Content-Type": "application/json",
-      "HTTP-Referer": "http://localhost:3456",
-      "X-Title": "Belwo Lead Gen Tool",
-    },
-    body: JSON.stringify({
-      model: selectedModel,
-      messages: [{ role: "user", content: prompt }],
-      temperature,
-    }),
+function saveAuthData() {
+  try { fs.writeFileSync(path.join(dataDir, "users.json"), JSON.stringify({ users: [...users], tokens: [...apiTokens] }), { mode: 0o600 }); } catch {}
+  try { fs.writeFileSync(path.join(dataDir, "sessions.json"), JSON.stringify([...sessions]), { mode: 0o600 }); } catch {}
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function publicUser(u) {
+  const { passwordHash, ...rest } = u;
+  return rest;
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < 10) return "Password must be at least 10 characters";
+  return null;
+}
+
+function createUser({ email, name, role, password, workspaceId }) {
+  const normalized = String(email || "").trim().toLowerCase();
+  if (!EMAIL_SYNTAX.test(normalized)) throw new Error("A valid email is required");
+  if ([...users.values()].some(u => u.email === normalized)) throw new Error("A user with this email already exists");
+  if (!USER_ROLES.includes(role)) throw new Error(`role must be one of ${USER_ROLES.join(", ")}`);
+  if (workspaceId && !workspaces.has(workspaceId)) throw new Error("Workspace not found");
+  const pwError = validatePassword(password);
+  if (pwError) throw new Error(pwError);
+  const user = { id: genId("u"), email: normalized, name: name || normalized, role, workspaceId: workspaceId || DEFAULT_WORKSPACE_ID, passwordHash: hashPassword(password), disabled: false, createdAt: new Date().toISOString() };
+  users.set(user.id, user);
+  saveAuthData();
+  return user;
+}
+
+function parseCookies(req) {
+  const out = {};
+  (req.headers.cookie || "").split(";").forEach(part => {
+    const idx = part.indexOf("=");
+    if (idx > 0) out[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
   });
+  return out;
+}
 
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.error?.message || `OpenRouter API error: ${res.status}`);
+function setSessionCookie(req, res, value, maxAgeMs) {
+  const parts = [`${SESSION_COOKIE}=${encodeURIComponent(value)}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+  if (req.secure) parts.push("Secure");
+  res.setHeader("Set-Cookie", parts.join("; "));
+}
+
+function resourceFor(p) {
+  const match = API_RESOURCES.find(([pattern]) => pattern.test(p));
+  return match ? match[1] : "admin";
+}
+
+function accessFor(req) {
+  if (req.method === "GET" || req.method === "HEAD") return "read";
+  // An RCPT probe connects to the recipient's mail server, so it is not a read
+  if (req.method === "POST" && req.path === "/api/verify-email" && req.body?.probe) return "write";
+  if (req.method === "POST" && READ_ONLY_POSTS.some(r => r.test(req.path))) return "read";
+  return "write";
+}
+
+function roleAllows(role, resource, access, req) {
+  if (role === "admin") return true;
+  if (resource === "users" || resource === "admin") return false;
+  if (resource === "account" || resource === "tokens") return true; // token routes limit non-admins to their own tokens
+  if (access === "read") return true;
+  if (role === "viewer") return false;
+  if (resource === "settings") return false;
+  if (req.method === "DELETE" && /^\/api\/vi\/sites\//.test(req.path)) return false;
+  // Taking someone off the do-not-contact list is an admin decision
+  if (req.method === "DELETE" && /^\/api\/suppressions\//.test(req.path)) return false;
+  return true;
+}
+
+function scopeAllows(scopes, resource, access) {
+  if (resource === "account") return access === "read";
+  if (!TOKEN_RESOURCES.includes(resource)) return false; // tokens never manage users or other tokens
+  return scopes.some(scope => {
+    const [r, a] = scope.split(":");
+    return (r === "*" || r === resource) && (a === "write" || a === access);
+  });
+}
+
+// Resolve the caller from a bearer token or session cookie
+function resolveAuth(req) {
+  const header = req.get("authorization") || "";
+  if (header.startsWith("Bearer ")) {
+    const tokenHash = hashToken(header.slice(7).trim());
+    const token = [...apiTokens.values()].find(t => t.tokenHash === tokenHash);
+    if (!token || (token.expiresAt && new Date(token.expiresAt) < new Date())) return null;
+    const user = users.get(token.userId);
+    if (!user || user.disabled) return null;
+    token.lastUsedAt = new Date().toISOString();
+    return { user, type: "token", token };
   }
 
-  const data = await res.json();
-  return data.choices[0].message.content;
+  const sid = parseCookies(req)[SESSION_COOKIE];
+  if (!sid) return null;
+  const key = hashToken(sid);
+  const session = sessions.get(key);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) { sessions.delete(key); saveAuthData(); return null; }
+  const user = users.get(session.userId);
+  if (!user || user.disabled) return null;
+  return { user, type: "session", sessionKey: key };
 }
 
-// ═══ Fetch a page's HTML safely ═══
-const UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36";
+function authenticate(req, res, next) {
+  if (!req.path.startsWith("/api/") || PUBLIC_API_PATHS.some(p => req.path === p)) return next();
+  const auth = resolveAuth(req);
+  if (!auth) return res.status(401).json({ error: "Authentication required", setupRequired: users.size === 0 });
 
-async function fetchPage(url, timeoutMs = 10000) {
+  const resource = resourceFor(req.path);
+  const access = accessFor(req);
+  if (!roleAllows(auth.user.role, resource, access, req)) {
+    return res.status(403).json({ error: `Your role (${auth.user.role}) cannot ${access} ${resource}` });
+  }
+  if (auth.type === "token" && !scopeAllows(auth.token.scopes, resource, access)) {
+    return res.status(403).json({ error: `Token lacks scope ${resource}:${access}` });
+  }
+  req.user = auth.user;
+  req.auth = auth;
+  req.workspaceId = auth.user.workspaceId || DEFAULT_WORKSPACE_ID;
+
+  // Admins can act inside another workspace with X-Workspace-Id
+  const requested = req.get("x-workspace-id");
+  if (requested && requested !== req.workspaceId) {
+    if (auth.user.role !== "admin") return res.status(403).json({ error: "Only admins can switch workspace" });
+    if (!workspaces.has(requested)) return res.status(404).json({ error: "Workspace not found" });
+    req.workspaceId = requested;
+  }
+  next();
+}
+app.use(authenticate);
+
+// Brute-force guard: 10 failed logins per IP per 15 minutes
+const loginFailures = new Map();
+function tooManyLoginFailures(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry) return false;
+  if (Date.now() - entry.since > 15 * 60000) { loginFailures.delete(ip); return false; }
+  return entry.count >= 10;
+}
+
+// ─── Auth Routes ───
+
+app.get("/api/auth/status", (req, res) => {
+  const auth = resolveAuth(req);
+  res.json({ setupRequired: users.size === 0, authenticated: !!auth, user: auth ? publicUser(auth.user) : null });
+});
+
+// First-run: create the initial admin when no users exist
+app.post("/api/auth/setup", (req, res) => {
+  if (users.size > 0) return res.status(409).json({ error: "Setup already completed" });
   try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), timeoutMs);
-    const res = await fetch(url, {
+    const user = createUser({ ...req.body, role: "admin" });
+    res.json({ success: true, user: publicUser(user) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post("/api/auth/login", (req, res) => {
+  const ip = req.ip || "";
+  if (tooManyLoginFailures(ip)) return res.status(429).json({ error: "Too many failed logins, try again later" });
+  const email = String(req.body.email || "").trim().toLowerCase();
+  const user = [...users.values()].find(u => u.email === email);
+  if (!user || user.disabled || !verifyPassword(req.body.password, user.passwordHash)) {
+    const entry = loginFailures.get(ip) || { count: 0, since: Date.now() };
+    entry.count++;
+    loginFailures.set(ip, entry);
+    return res.status(401).json({ error: "Invalid email or password" });
+  }
+  loginFailures.delete(ip);
+
+  const sid = crypto.randomBytes(32).toString("base64url");
+  sessions.set(hashToken(sid), { userId: user.id, createdAt: Date.now(), expiresAt: Date.now() + SESSION_TTL });
+  user.lastLoginAt = new Date().toISOString();
+  saveAuthData();
+  setSessionCookie(req, res, sid, SESSION_TTL);
+  res.json({ success: true, user: publicUser(user) });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  const sid = parseCookies(req)[SESSION_COOKIE];
+  if (sid) { sessions.delete(hashToken(sid)); saveAuthData(); }
+  setSessionCookie(req, res, "", 0);
+  res.json({ success: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: publicUser(req.user), via: req.auth.type, workspace: publicWorkspace(getWorkspace(req.workspaceId)) });
+});
+
+app.post("/api/auth/password", (req, res) => {
+  if (req.auth.type !== "session") return res.status(403).json({ error: "Sign in to change your password" });
+  const { currentPassword, newPassword } = req.body;
+  if (!verifyPassword(currentPassword, req.user.passwordHash)) return res.status(401).json({ error: "Current password is incorrect" });
+  const pwError = validatePassword(newPassword);
+  if (pwError) return res.status(400).json({ error: pwError });
+  req.user.passwordHash = hashPassword(newPassword);
+  // Sign out every other session of this user
+  for (const [key, s] of sessions) {
+    if (s.userId === req.user.id && key !== req.auth.sessionKey) sessions.delete(key);
+  }
+  saveAuthData();
+  res.json({ success: true });
+});
+
+// ─── API Tokens ───
+
+app.get("/api/auth/tokens", (req, res) => {
+  const list = [...apiTokens.values()]
+    .filter(t => req.user.role === "admin" || t.userId === req.user.id)
+    .map(({ tokenHash, ...t }) => t);
+  res.json({ tokens: list, resources: TOKEN_RESOURCES, access: TOKEN_ACCESS });
+});
+
+app.post("/api/auth/tokens", (req, res) => {
+  if (req.auth.type !== "session") return res.status(403).json({ error: "API tokens can only be created from a signed-in session" });
+  const { name, scopes, expiresInDays } = req.body;
+  if (!name) return res.status(400).json({ error: "Token name is required" });
+  if (!Array.isArray(scopes) || !scopes.length) return res.status(400).json({ error: "scopes array is required, e.g. [\"leads:read\"]" });
+  const badScope = scopes.find(s => {
+    const [r, a] = String(s).split(":");
+    return !(r === "*" || TOKEN_RESOURCES.includes(r)) || !TOKEN_ACCESS.includes(a);
+  });
+  if (badScope) return res.status(400).json({ error: `Invalid scope "${badScope}". Use <resource>:<read|write> with resource one of *, ${TOKEN_RESOURCES.join(", ")}` });
+
+  const secret = "bvt_" + crypto.randomBytes(24).toString("base64url");
+  const days = parseInt(expiresInDays);
+  const token = {
+    id: genId("tok"),
+    name,
+    userId: req.user.id,
+    scopes,
+    tokenHash: hashToken(secret),
+    prefix: secret.slice(0, 8),
+    createdAt: new Date().toISOString(),
+    expiresAt: days > 0 ? new Date(Date.now() + days * 86400000).toISOString() : null,
+    lastUsedAt: null,
+  };
+  apiTokens.set(token.id, token);
+  saveAuthData();
+  const { tokenHash, ...shown } = token;
+  // The secret is only ever shown here
+  res.json({ success: true, token: shown, secret });
+});
+
+app.delete("/api/auth/tokens/:id", (req, res) => {
+  const token = apiTokens.get(req.params.id);
+  if (!token || (req.user.role !== "admin" && token.userId !== req.user.id)) return res.status(404).json({ error: "Token not found" });
+  apiTokens.delete(token.id);
+  saveAuthData();
+  res.json({ success: true });
+});
+
+// ─── User Management (admin) ───
+
+app.get("/api/users", (req, res) => {
+  res.json({ users: [...users.values()].map(publicUser), roles: USER_ROLES });
+});
+
+app.post("/api/users", (req, res) => {
+  try {
+    const user = createUser(req.body);
+    res.json({ success: true, user: publicUser(user) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+function activeAdminCount() {
+  return [...users.values()].filter(u => u.role === "admin" && !u.disabled).length;
+}
+
+app.put("/api/users/:id", (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return res.status(404).json({ error: "User not found" });
+  const { name, role, disabled, password, workspaceId } = req.body;
+  if (role !== undefined && !USER_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${USER_ROLES.join(", ")}` });
+  if (workspaceId !== undefined && !workspaces.has(workspaceId)) return res.status(400).json({ error: "Workspace not found" });
+  const losesAdmin = user.role === "admin" && ((role && role !== "admin") || disabled === true);
+  if (losesAdmin && activeAdminCount() === 1) return res.status(400).json({ error: "Cannot remove the last admin" });
+  if (password !== undefined) {
+    const pwError = validatePassword(password);
+    if (pwError) return res.status(400).json({ error: pwError });
+    user.passwordHash = hashPassword(password);
+  }
+  if (name !== undefined) user.name = name;
+  if (role !== undefined) user.role = role;
+  if (disabled !== undefined) user.disabled = !!disabled;
+  if (workspaceId !== undefined) user.workspaceId = workspaceId;
+  if (user.disabled || password !== undefined) {
+    for (const [key, s] of sessions) if (s.userId === user.id) sessions.delete(key);
+  }
+  user.updatedAt = new Date().toISOString();
+  saveAuthData();
+  res.json({ success: true, user: publicUser(user) });
+});
+
+app.delete("/api/users/:id", (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return res.status(404).json({ error: "User not found" });
+  if (user.role === "admin" && activeAdminCount() === 1) return res.status(400).json({ error: "Cannot delete the last admin" });
+  users.delete(user.id);
+  for (const [key, s] of sessions) if (s.userId === user.id) sessions.delete(key);
+  for (const [id, t] of apiTokens) if (t.userId === user.id) apiTokens.delete(id);
+  saveAuthData();
+  res.json({ success: true });
+});
+
+// ═══ Workspaces ═══
+// Sites, tracked links, leads, saved messages, sequences, sender profiles and the OpenRouter key/model
+// belong to a workspace. Records created before workspaces existed belong to the default workspace.
+const DEFAULT_WORKSPACE_ID = "default";
+const workspaces = new Map();
+const workspaceSecrets = new Map(); // workspaceId → { openRouterKey }, persisted in the encrypted config
+
+function loadWorkspaceData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "workspaces.json"), "utf8")); d.forEach(([k,v]) => workspaces.set(k,v)); } catch {}
+  if (!workspaces.has(DEFAULT_WORKSPACE_ID)) {
+    workspaces.set(DEFAULT_WORKSPACE_ID, { id: DEFAULT_WORKSPACE_ID, name: "Default", selectedModel: null, profileId: null, createdAt: new Date().toISOString() });
+  }
+}
+loadWorkspaceData();
+
+function saveWorkspaceData() {
+  try { fs.writeFileSync(path.join(dataDir, "workspaces.json"), JSON.stringify([...workspaces])); } catch {}
+}
+
+function getWorkspace(id) {
+  return workspaces.get(id) || workspaces.get(DEFAULT_WORKSPACE_ID);
+}
+
+function inWorkspace(record, workspaceId) {
+  return !!record && (record.workspaceId || DEFAULT_WORKSPACE_ID) === workspaceId;
+}
+
+// Visitor data has no owner of its own; it belongs to whichever workspace owns the site it was collected on
+function workspaceSiteIds(workspaceId) {
+  return new Set([...sites.values()].filter(s => inWorkspace(s, workspaceId)).map(s => s.siteId));
+}
+
+function siteWorkspaceId(siteId) {
+  const site = sites.get(siteId);
+  return site ? (site.workspaceId || DEFAULT_WORKSPACE_ID) : null;
+}
+
+function visitorInWorkspace(visitor, siteIds) {
+  return (visitor.siteIds || []).some(id => siteIds.has(id));
+}
+
+function publicWorkspace(ws) {
+  return {
+    ...ws,
+    hasOpenRouterKey: !!workspaceSecrets.get(ws.id)?.openRouterKey,
+    userCount: [...users.values()].filter(u => (u.workspaceId || DEFAULT_WORKSPACE_ID) === ws.id).length,
+  };
+}
+
+// ─── Workspace Routes ───
+
+app.get("/api/workspaces", (req, res) => {
+  const list = [...workspaces.values()].filter(ws => req.user.role === "admin" || ws.id === req.workspaceId);
+  res.json({ workspaces: list.map(publicWorkspace), current: req.workspaceId });
+});
+
+app.post("/api/workspaces", (req, res) => {
+  const { name, selectedModel: model, profileId } = req.body;
+  if (!name) return res.status(400).json({ error: "Workspace name is required" });
+  const ws = { id: genId("ws"), name, selectedModel: model || null, profileId: profileId || null, createdAt: new Date().toISOString() };
+  workspaces.set(ws.id, ws);
+  saveWorkspaceData();
+  res.json({ success: true, workspace: publicWorkspace(ws) });
+});
+
+app.put("/api/workspaces/:id", (req, res) => {
+  const ws = workspaces.get(req.params.id);
+  if (!ws) return res.status(404).json({ error: "Workspace not found" });
+  const { name, selectedModel: model, profileId, openRouterKey: key } = req.body;
+  if (name) ws.name = name;
+  if (model !== undefined) ws.selectedModel = model || null;
+  if (profileId !== undefined) ws.profileId = profileId || null;
+  if (key) {
+    workspaceSecrets.set(ws.id, { ...workspaceSecrets.get(ws.id), openRouterKey: key });
+    persistConfig();
+  }
+  ws.updatedAt = new Date().toISOString();
+  saveWorkspaceData();
+  res.json({ success: true, workspace: publicWorkspace(ws) });
+});
+
+app.delete("/api/workspaces/:id", (req, res) => {
+  const ws = workspaces.get(req.params.id);
+  if (!ws) return res.status(404).json({ error: "Workspace not found" });
+  if (ws.id === DEFAULT_WORKSPACE_ID) return res.status(400).json({ error: "The default workspace cannot be deleted" });
+  const owned = [...users.values(), ...sites.values(), ...leadStore.values(), ...sequences.values()].some(r => inWorkspace(r, ws.id));
+  if (owned) return res.status(409).json({ error: "Workspace still has users, sites, leads or sequences — move or delete them first" });
+  workspaces.delete(ws.id);
+  workspaceSecrets.delete(ws.id);
+  persistConfig();
+  saveWorkspaceData();
+  res.json({ success: true });
+});
+
+// ═══ LLM Provider Layer ═══
+// Model specs are "provider:model" (e.g. "gemini:gemini-2.0-flash", "local:llama3.1").
+// A bare id like "google/gemini-2.0-flash-001" is an OpenRouter model.
+const LLM_PROVIDERS = ["openrouter", "gemini", "local"];
+const LLM_TASKS = ["leads", "message", "research", "painpoints", "messaging", "templates", "replies"];
+const llmConfig = {
+  geminiKey: process.env.GEMINI_API_KEY || "",
+  localBaseUrl: process.env.LOCAL_LLM_BASE_URL || "",
+  localApiKey: process.env.LOCAL_LLM_API_KEY || "",
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 90000,
+  maxRetries: 3,
+  taskModels: {},
+  fallbackModels: [],
+};
+let geminiClient = null;
+
+function parseModelSpec(spec) {
+  const idx = spec.indexOf(":");
+  const prefix = idx > 0 ? spec.slice(0, idx) : "";
+  if (LLM_PROVIDERS.includes(prefix)) return { provider: prefix, model: spec.slice(idx + 1) };
+  return { provider: "openrouter", model: spec };
+}
+
+// Effective OpenRouter key and default model for a workspace (falls back to the instance-wide settings)
+function workspaceLLM(workspaceId) {
+  const ws = getWorkspace(workspaceId);
+  return {
+    openRouterKey: workspaceSecrets.get(ws.id)?.openRouterKey || openRouterKey,
+    selectedModel: ws.selectedModel || selectedModel,
+  };
+}
+
+function isProviderConfigured(provider, wsLLM) {
+  if (provider === "openrouter") return !!wsLLM.openRouterKey;
+  if (provider === "gemini") return !!llmConfig.geminiKey;
+  return !!llmConfig.localBaseUrl;
+}
+
+// Ordered model chain for a task: task-specific models, then the selected model, then global fallbacks
+function modelChainFor(task, wsLLM) {
+  const chain = [...(llmConfig.taskModels[task] || []), wsLLM.selectedModel, ...llmConfig.fallbackModels];
+  return [...new Set(chain.filter(Boolean))];
+}
+
+function llmError(message, status, retryable) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryable = retryable;
+  return err;
+}
+
+async function callOpenAICompatible(baseUrl, apiKey, model, prompt, { temperature, json }, extraHeaders) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), llmConfig.timeoutMs);
+  let res;
+  try {
+    res = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+      method: "POST",
       signal: controller.signal,
-      redirect: "follow",
-      headers: { "User-Agent": UA, "Accept": "text/html,application/xhtml+xml" },
+      headers: {
+        ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+        "Content-Type": "application/json",
+        ...extraHeaders,
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+      }),
     });
+  } catch (err) {
+    throw llmError(err.name === "AbortError" ? `Timed out after ${llmConfig.timeoutMs}ms` : err.message, 0, true);
+  } finally {
     clearTimeout(timer);
-    if (!res.ok) return null;
-    const html = await res.text();
-    return html;
-  } catch {
-    return null;
   }
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    const e = llmError(err.error?.message || `API error: ${res.status}`, res.status, res.status === 429 || res.status >= 500);
+    e.retryAfter = parseInt(res.headers.get("retry-after")) || 0;
+    throw e;
+  }
+
+  const data = await res.json();
+  const content = data.choices?.[0]?.message?.content;
+  if (typeof content !== "string") throw llmError(data.error?.message || "Empty completion", 502, true);
+  return { text: content, usage: data.usage || null };
 }
 
-// ═══ Extract emails from HTML text ═══
-function extractEmails(html) {
-  const emails = new Set();
+async function callGemini(model, prompt, { temperature, json }) {
+  if (!geminiClient) geminiClient = new GoogleGenerativeAI(llmConfig.geminiKey);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), llmConfig.timeoutMs);
+  try {
+    const generationConfig = { temperature, ...(json ? { responseMimeType: "application/json" } : {}) };
+    const generative = geminiClient.getGenerativeModel({ model, generationConfig });
+    const result = await generative.generateContent(prompt, { signal: controller.signal });
+    const u = result.response.usageMetadata;
+    return {
+      text: result.response.text(),
+      usage: u ? { prompt_tokens: u.promptTokenCount, completion_tokens: u.candidatesTokenCount, total_tokens: u.totalTokenCount } : null,
+    };
+  } catch (err) {
+    if (controller.signal.aborted) throw llmError(`Timed out after ${llmConfig.timeoutMs}ms`, 0, true);
+    const status = err.status || 0;
+    throw llmError(err.message, status, !status || status === 429 || status >= 500);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-  // 1. mailto: links
-  const mailtoRegex = /mailto:([a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,})/gi;
-  let match;
-  while ((match = mailtoRegex.exec(html)) !== null) {
-    emails.add(match[1].toLowerCase());
+function callProvider(provider, model, prompt, params, wsLLM) {
+  if (provider === "gemini") return callGemini(model, prompt, params);
+  if (provider === "local") return callOpenAICompatible(llmConfig.localBaseUrl, llmConfig.localApiKey, model, prompt, params, {});
+  return callOpenAICompatible("https://openrouter.ai/api/v1", wsLLM.openRouterKey, model, prompt, params, {
+    "HTTP-Referer": "http://localhost:3456",
+    "X-Title": "Belwo Lead Gen Tool",
+  });
+}
+
+// One model with exponential backoff on 429/5xx/timeouts (honours Retry-After)
+async function callModelWithRetry(spec, prompt, params, wsLLM) {
+  const { provider, model } = parseModelSpec(spec);
+  let attempt = 0;
+  while (true) {
+    try {
+      return { ...(await callProvider(provider, model, prompt, params, wsLLM)), provider, model };
+    } catch (err) {
+      if (!err.retryable || attempt >= llmConfig.maxRetries) throw err;
+      const delay = err.retryAfter ? err.retryAfter * 1000 : 1000 * Math.pow(2, attempt) + Math.floor(Math.random() * 250);
+      console.error(`[LLM] ${spec} failed (${err.status || "network"}: ${err.message}), retry ${attempt + 1} in ${delay}ms`);
+      await sleep(Math.min(delay, 30000));
+      attempt++;
+    }
   }
+}
 
-  // 2. Emails in visible text (broad regex)
-  const textEmailRegex = /[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}/g;
-  while ((match = textEmailRegex.exec(html)) !== null) {
-    const email = match[0].toLowerCase();
-    // Filter out fake/image/css emails
-    if (!email.endsWith(".png") && !email.endsWith(".jpg") && !email.endsWith(".svg")
-        && !email.endsWith(".gif") && !email.endsWith(".css") && !email.endsWith(".js")
-        && !email.includes("example.com") && !email.includes("yoursite")
-        && !email.includes("sentry") && !email.includes("webpack")
-        && email.length < 60) {
-      emails.add(email);
+// Models that rejected response_format/JSON mode; they are asked for plain text from then on
+const jsonModeUnsupported = new Set();
+
+// Only a 400 that names the JSON-mode parameter means the model lacks it; other 400s (context length,
+// bad model id, ...) are ordinary failures
+function rejectsJsonMode(err) {
+  return err.status === 400 && /response_format|json_object|json mode|responseMimeType|response_mime_type/i.test(err.message || "");
+}
+
+async function callWithJsonFallback(spec, prompt, temperature, json, wsLLM) {
+  const jsonMode = json && !jsonModeUnsupported.has(spec);
+  try {
+    return await callModelWithRetry(spec, prompt, { temperature, json: jsonMode }, wsLLM);
+  } catch (err) {
+    if (!jsonMode || !rejectsJsonMode(err)) throw err;
+    jsonModeUnsupported.add(spec);
+    console.error(`[LLM] ${spec} rejected JSON mode, retrying without it`);
+    return await callModelWithRetry(spec, prompt, { temperature, json: false }, wsLLM);
+  }
+}
+
+/**
+ * Complete a prompt for a task, walking the task's model chain until one succeeds.
+ * The workspace supplies the OpenRouter key and default model; `json` requests JSON mode.
+ * userId/route are recorded in the usage ledger and checked against daily budgets.
+ * Resolves to { text, usage, provider, model }.
+ */
+async function completeLLM(prompt, { temperature = 0.7, task = "default", workspaceId = DEFAULT_WORKSPACE_ID, userId = null, route = null, json = false } = {}) {
+  const wsLLM = workspaceLLM(workspaceId);
+  const chain = modelChainFor(task, wsLLM).filter(spec => isProviderConfigured(parseModelSpec(spec).provider, wsLLM));
+  if (!chain.length) throw new Error("Set your OpenRouter API key first (or configure a Gemini key / local endpoint)");
+
+  const failures = [];
+  for (const spec of chain) {
+    const { provider, model } = parseModelSpec(spec);
+    const hold = reserveUsage({ workspaceId, userId, provider, model, prompt });
+    const startedAt = Date.now();
+    try {
+      const result = await callWithJsonFallback(spec, prompt, temperature, json, wsLLM);
+      recordUsage({ workspaceId, userId, route, task, provider: result.provider, model: result.model, usage: result.usage, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (err) {
+      recordUsage({ workspaceId, userId, route, task, provider, model, usage: null, durationMs: Date.now() - startedAt, error: err.message });
+      failures.push(`${spec}: ${err.message}`);
+      console.error(`[LLM] ${spec} gave up for task "${task}", trying next model`);
+    } finally {
+      usageReservations.delete(hold);
     }
   }
+  throw new Error(failures.length > 1 ? `All models failed — ${failures.join(" | ")}` : failures[0]);
+}
 
-  return [...emails];
+async function callLLM(prompt, temperature = 0.7, task = "default", context = {}) {
+  const result = await completeLLM(prompt, { temperature, task, ...context });
+  return result.text;
 }
 
-// ═══ Scrape company website for leadership info ═══
-async function scrapeCompanyWebsite(url) {
+// ═══ LLM Usage Ledger & Budgets ═══
+// Every completion (and every model that failed) is recorded with tokens, model, route, user and estimated cost.
+// Daily budgets (instance, per workspace, per user) are checked before each call and block it once spent.
+// Each call reserves its estimated cost while in flight, so concurrent calls cannot all pass the check at once.
+// The ledger is appended to data/usage-ledger.jsonl and only rewritten when the file has grown to twice the kept size.
+const usageLedger = [];
+const USAGE_LEDGER_MAX = 100000;
+const USAGE_LEDGER_FILE = path.join(dataDir, "usage-ledger.jsonl");
+let usageUnsaved = []; // recorded since the last save
+let usageLedgerFileLines = 0;
+const usageReservations = new Set();
+const USAGE_RESERVE_COMPLETION_TOKENS = 1500; // assumed answer length when reserving
+const usageBudgets = {
+  dailyUsd: parseFloat(process.env.LLM_DAILY_BUDGET_USD) || null,
+  workspaceDailyUsd: {},
+  userDailyUsd: null,
+  prices: {},
+};
+
+// List prices in USD per 1M tokens, used when the provider does not report cost and OpenRouter's catalog is unavailable
+const MODEL_PRICES = {
+  "google/gemini-2.0-flash-001": { prompt: 0.10, completion: 0.40 },
+  "google/gemini-2.5-pro-preview": { prompt: 1.25, completion: 10 },
+  "anthropic/claude-opus-4.5": { prompt: 5, completion: 25 },
+  "anthropic/claude-sonnet-4.5": { prompt: 3, completion: 15 },
+  "anthropic/claude-haiku-4.5": { prompt: 1, completion: 5 },
+  "openai/gpt-4o-mini": { prompt: 0.15, completion: 0.60 },
+  "openai/gpt-4o": { prompt: 2.5, completion: 10 },
+  "meta-llama/llama-3.3-70b-instruct": { prompt: 0.13, completion: 0.40 },
+  "deepseek/deepseek-chat-v3-0324": { prompt: 0.27, completion: 1.10 },
+  "gemini:gemini-2.0-flash": { prompt: 0.10, completion: 0.40 },
+  "gemini:gemini-2.5-pro": { prompt: 1.25, completion: 10 },
+};
+const openRouterPrices = new Map();
+let openRouterPricesFetchedAt = 0;
+
+function loadUsageData() {
   try {
-    const html = await fetchPage(url);
-    if (!html) return null;
+    const d = JSON.parse(fs.readFileSync(path.join(dataDir, "usage.json"), "utf8"));
+    // Older versions kept the ledger inside usage.json; it moves to the ledger file on the next save
+    usageLedger.push(...(d.entries || []));
+    usageUnsaved.push(...(d.entries || []));
+    Object.assign(usageBudgets, d.budgets || {});
+  } catch {}
+  try {
+    const lines = fs.readFileSync(USAGE_LEDGER_FILE, "utf8").split("\n").filter(Boolean);
+    usageLedgerFileLines = lines.length;
+    for (const line of lines.slice(-USAGE_LEDGER_MAX)) {
+      try { usageLedger.push(JSON.parse(line)); } catch {} // a line cut off by a crash
+    }
+  } catch {}
+  if (usageLedger.length > USAGE_LEDGER_MAX) usageLedger.splice(0, usageLedger.length - USAGE_LEDGER_MAX);
+}
+loadUsageData();
+
+function saveUsageData() {
+  try {
+    if (usageLedgerFileLines + usageUnsaved.length > USAGE_LEDGER_MAX * 2) {
+      fs.writeFileSync(USAGE_LEDGER_FILE, usageLedger.map(e => JSON.stringify(e) + "\n").join(""));
+      usageLedgerFileLines = usageLedger.length;
+    } else if (usageUnsaved.length) {
+      fs.appendFileSync(USAGE_LEDGER_FILE, usageUnsaved.map(e => JSON.stringify(e) + "\n").join(""));
+      usageLedgerFileLines += usageUnsaved.length;
+    }
+    usageUnsaved = [];
+    fs.writeFileSync(path.join(dataDir, "usage.json"), JSON.stringify({ budgets: usageBudgets }));
+  } catch {}
+}
+
+// OpenRouter's public model catalog carries per-token prices; refreshed at most once a day
+function refreshOpenRouterPrices() {
+  if (Date.now() - openRouterPricesFetchedAt < 24 * 3600000) return;
+  openRouterPricesFetchedAt = Date.now();
+  fetch("https://openrouter.ai/api/v1/models", { signal: AbortSignal.timeout(10000) })
+    .then(r => r.json())
+    .then(d => (d.data || []).forEach(m => {
+      const prompt = parseFloat(m.pricing?.prompt);
+      const completion = parseFloat(m.pricing?.completion);
+      if (!isNaN(prompt) && !isNaN(completion)) openRouterPrices.set(m.id, { prompt: prompt * 1e6, completion: completion * 1e6 });
+    }))
+    .catch(() => {});
+}
+
+function modelPrice(provider, model) {
+  const spec = provider === "openrouter" ? model : `${provider}:${model}`;
+  return usageBudgets.prices[spec] || (provider === "openrouter" && openRouterPrices.get(model)) || MODEL_PRICES[spec] || null;
+}
+
+// Estimated USD cost of one completion; null when the model has no known price
+function estimateCost(provider, model, usage) {
+  if (!usage) return 0;
+  if (typeof usage.cost === "number") return usage.cost;
+  const price = modelPrice(provider, model);
+  if (!price) return provider === "local" ? 0 : null;
+  return ((usage.prompt_tokens || 0) * price.prompt + (usage.completion_tokens || 0) * price.completion) / 1e6;
+}
+
+function recordUsage({ workspaceId, userId, route, task, provider, model, usage, durationMs, error }) {
+  if (provider === "openrouter") refreshOpenRouterPrices();
+  const entry = {
+    at: new Date().toISOString(),
+    workspaceId: workspaceId || DEFAULT_WORKSPACE_ID,
+    userId: userId || null,
+    route: route || null,
+    task,
+    provider,
+    model,
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    costUsd: estimateCost(provider, model, usage),
+    durationMs,
+    status: error ? "error" : "ok",
+    ...(error ? { error } : {}),
+  };
+  usageLedger.push(entry);
+  usageUnsaved.push(entry);
+  if (usageLedger.length > USAGE_LEDGER_MAX) usageLedger.splice(0, usageLedger.length - USAGE_LEDGER_MAX);
+  scheduleSave();
+}
+
+function spentToday(predicate) {
+  const today = new Date().toISOString().slice(0, 10);
+  let total = 0;
+  for (let i = usageLedger.length - 1; i >= 0 && usageLedger[i].at.startsWith(today); i--) {
+    if (predicate(usageLedger[i])) total += usageLedger[i].costUsd || 0;
+  }
+  return total;
+}
+
+// Estimated cost of calls still in flight
+function reservedNow(predicate) {
+  let total = 0;
+  for (const hold of usageReservations) if (predicate(hold)) total += hold.costUsd;
+  return total;
+}
+
+function budgetStatus(workspaceId, userId) {
+  const ws = workspaceId || DEFAULT_WORKSPACE_ID;
+  const scope = (limitUsd, predicate) => ({ limitUsd, spentUsd: spentToday(predicate), reservedUsd: reservedNow(predicate) });
+  return {
+    instance: scope(usageBudgets.dailyUsd, () => true),
+    workspace: scope(usageBudgets.workspaceDailyUsd[ws] ?? null, e => e.workspaceId === ws),
+    user: userId ? scope(usageBudgets.userDailyUsd, e => e.userId === userId) : { limitUsd: null, spentUsd: 0, reservedUsd: 0 },
+  };
+}
+
+// Throws before the call when spending plus in-flight reservations plus this call's estimate would pass any applicable daily budget
+function assertWithinBudget(workspaceId, userId, estimateUsd = 0) {
+  const status = budgetStatus(workspaceId, userId);
+  for (const [scope, { limitUsd, spentUsd, reservedUsd }] of Object.entries(status)) {
+    if (limitUsd === null || limitUsd === undefined) continue;
+    const committed = spentUsd + reservedUsd;
+    if (estimateUsd ? committed + estimateUsd > limitUsd : committed >= limitUsd) {
+      const err = new Error(`Daily LLM budget for ${scope} reached ($${spentUsd.toFixed(4)} spent, $${reservedUsd.toFixed(4)} in flight, of $${limitUsd}) — resets at 00:00 UTC`);
+      err.budgetExceeded = true;
+      throw err;
+    }
+  }
+}
+
+// Hold a call's estimated cost against the budgets until it finishes; the caller deletes the hold from usageReservations
+function reserveUsage({ workspaceId, userId, provider, model, prompt }) {
+  const estimateUsd = estimateCost(provider, model, { prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: USAGE_RESERVE_COMPLETION_TOKENS }) || 0;
+  assertWithinBudget(workspaceId, userId, estimateUsd);
+  const hold = { workspaceId: workspaceId || DEFAULT_WORKSPACE_ID, userId: userId || null, costUsd: estimateUsd };
+  usageReservations.add(hold);
+  return hold;
+}
+
+// Caller identity attached to every LLM call made on behalf of a request
+function llmContext(req) {
+  return { workspaceId: req.workspaceId, userId: req.user?.id || null, route: req.path };
+}
+
+// ISO week key, e.g. "2026-W42"
+function isoWeek(dateStr) {
+  const d = new Date(dateStr.slice(0, 10) + "T00:00:00Z");
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  return `${d.getUTCFullYear()}-W${String(Math.ceil(((d - yearStart) / 86400000 + 1) / 7)).padStart(2, "0")}`;
+}
+
+function rollupUsage(entries, keyFn) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyFn(e);
+    const g = groups.get(key.id) || { ...key.fields, calls: 0, errors: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, unpricedCalls: 0 };
+    g.calls++;
+    if (e.status === "error") g.errors++;
+    g.promptTokens += e.promptTokens;
+    g.completionTokens += e.completionTokens;
+    if (e.costUsd === null) g.unpricedCalls++;
+    else g.costUsd += e.costUsd;
+    groups.set(key.id, g);
+  }
+  return [...groups.values()].map(g => ({ ...g, costUsd: Math.round(g.costUsd * 1e6) / 1e6 }));
+}
+
+// ─── Usage Routes ───
+
+// ?period=day|week&days=30 — admins may pass workspaceId=all
+app.get("/api/usage", (req, res) => {
+  const period = req.query.period === "week" ? "week" : "day";
+  const days = Math.min(parseInt(req.query.days) || (period === "week" ? 84 : 30), 366);
+  const since = new Date(Date.now() - days * 86400000).toISOString();
+  const scope = req.user.role === "admin" && req.query.workspaceId ? req.query.workspaceId : req.workspaceId;
+
+  const entries = usageLedger.filter(e => e.at >= since && (scope === "all" || e.workspaceId === scope));
+  const bucket = (e) => period === "week" ? isoWeek(e.at) : e.at.slice(0, 10);
+  const userEmail = (id) => users.get(id)?.email || null;
+
+  res.json({
+    period,
+    since,
+    workspaceId: scope,
+    totals: rollupUsage(entries, () => ({ id: "all", fields: {} }))[0] || null,
+    byModel: rollupUsage(entries, e => ({ id: `${bucket(e)}|${e.provider}:${e.model}`, fields: { period: bucket(e), provider: e.provider, model: e.model } })),
+    byUser: rollupUsage(entries, e => ({ id: `${bucket(e)}|${e.userId}`, fields: { period: bucket(e), userId: e.userId, email: userEmail(e.userId) } })),
+    byRoute: rollupUsage(entries, e => ({ id: `${e.route}|${e.task}`, fields: { route: e.route, task: e.task } })),
+    budgets: budgetStatus(req.workspaceId, req.user.id),
+  });
+});
+
+app.get("/api/usage/budgets", (req, res) => {
+  res.json({ budgets: usageBudgets, status: budgetStatus(req.workspaceId, req.user.id) });
+});
+
+// Set daily USD limits (null removes a limit) and per-model price overrides ({ "spec": { prompt, completion } } per 1M tokens)
+app.put("/api/usage/budgets", (req, res) => {
+  const { dailyUsd, userDailyUsd, workspaceDailyUsd, prices } = req.body;
+  const validLimit = (v) => v === null || (typeof v === "number" && v >= 0);
+  if (dailyUsd !== undefined && !validLimit(dailyUsd)) return res.status(400).json({ error: "dailyUsd must be a non-negative number or null" });
+  if (userDailyUsd !== undefined && !validLimit(userDailyUsd)) return res.status(400).json({ error: "userDailyUsd must be a non-negative number or null" });
+  if (workspaceDailyUsd !== undefined) {
+    if (typeof workspaceDailyUsd !== "object" || Array.isArray(workspaceDailyUsd) || !workspaceDailyUsd) return res.status(400).json({ error: "workspaceDailyUsd must map workspace id → limit" });
+    const bad = Object.entries(workspaceDailyUsd).find(([id, v]) => !workspaces.has(id) || !validLimit(v));
+    if (bad) return res.status(400).json({ error: `Invalid workspace budget for "${bad[0]}"` });
+  }
+  if (prices !== undefined) {
+    const bad = Object.entries(prices || {}).find(([, p]) => !p || typeof p.prompt !== "number" || typeof p.completion !== "number");
+    if (bad) return res.status(400).json({ error: `Price for "${bad[0]}" needs numeric prompt and completion (USD per 1M tokens)` });
+  }
+
+  if (dailyUsd !== undefined) usageBudgets.dailyUsd = dailyUsd;
+  if (userDailyUsd !== undefined) usageBudgets.userDailyUsd = userDailyUsd;
+  if (workspaceDailyUsd !== undefined) {
+    for (const [id, v] of Object.entries(workspaceDailyUsd)) {
+      if (v === null) delete usageBudgets.workspaceDailyUsd[id];
+      else usageBudgets.workspaceDailyUsd[id] = v;
+    }
+  }
+  if (prices !== undefined) usageBudgets.prices = prices || {};
+  saveUsageData();
+  res.json({ success: true, budgets: usageBudgets });
+});
+
+// ═══ Structured LLM Output ═══
+// Each JSON-producing prompt has a declared schema. Responses are validated field by field; on failure
+// the model is re-prompted with its previous answer and the exact validation errors.
+// Schema subset: type (string | number | integer | boolean | object | array | null, or a list of them),
+// properties, required, items, enum, minLength, minItems, maxItems, minimum, maximum,
+// dropInvalidItems (keep the valid entries of an array), check (extra rule returning error strings).
+const STRUCTURED_MAX_REPAIRS = 2;
+
+const LEAD_ITEM_SCHEMA = {
+  type: "object",
+  required: ["company", "name", "title"],
+  properties: {
+    company: { type: "string", minLength: 1 },
+    companyWebsite: { type: "string" },
+    industry: { type: "string" },
+    companySize: { type: "string" },
+    location: { type: "string" },
+    name: { type: "string", minLength: 1 },
+    title: { type: "string", minLength: 1 },
+    linkedinUrl: { type: "string" },
+    email: { type: "string" },
+    painPoint: { type: "string" },
+    relevance: { type: "number", minimum: 1, maximum: 10 },
+  },
+};
+
+const LLM_SCHEMAS = {
+  leads: {
+    type: "object",
+    required: ["leads"],
+    properties: { leads: { type: "array", items: LEAD_ITEM_SCHEMA, minItems: 1, dropInvalidItems: true } },
+  },
+  linkedinMessage: {
+    type: "object",
+    required: ["message"],
+    properties: { message: { type: "string", minLength: 1 } },
+  },
+  emailMessage: {
+    type: "object",
+    required: ["subject", "body"],
+    properties: { subject: { type: "string", minLength: 1 }, body: { type: "string", minLength: 1 } },
+  },
+  painPoints: {
+    type: "object",
+    required: ["painPoints"],
+    properties: {
+      painPoints: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["title", "severity", "description", "belwoSolution", "businessImpact"],
+          properties: {
+            title: { type: "string", minLength: 1 },
+            severity: { type: "string", enum: ["Critical", "High", "Medium", "Low"] },
+            icon: { type: "string" },
+            description: { type: "string", minLength: 1 },
+            belwoSolution: { type: "string", minLength: 1 },
+            businessImpact: { type: "string", minLength: 1 },
+          },
+        },
+      },
+    },
+  },
+  messaging: {
+    type: "object",
+    required: ["angles"],
+    properties: {
+      angles: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["headline", "description", "keyPoints"],
+          properties: {
+            headline: { type: "string", minLength: 1 },
+            description: { type: "string", minLength: 1 },
+            keyPoints: { type: "array", items: { type: "string", minLength: 1 }, minItems: 1 },
+          },
+        },
+      },
+    },
+  },
+  templates: {
+    type: "object",
+    required: ["templates"],
+    properties: {
+      templates: {
+        type: "array",
+        minItems: 3,
+        items: {
+          type: "object",
+          required: ["id", "type", "body"],
+          properties: {
+            id: { type: "string", enum: ["linkedin", "email-initial", "email-followup"] },
+            type: { type: "string", minLength: 1 },
+            subject: { type: ["string", "null"] },
+            body: { type: "string", minLength: 1 },
+          },
+        },
+        check: (templates) => ["linkedin", "email-initial", "email-followup"]
+          .filter(id => !templates.some(t => t.id === id))
+          .map(id => `missing template with id "${id}"`),
+      },
+    },
+  },
+  replyClassification: {
+    type: "object",
+    required: ["category"],
+    properties: {
+      category: { type: "string", enum: ["interested", "not-now", "not-interested", "unsubscribe", "out-of-office", "bounce", "other"] },
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+      summary: { type: "string" },
+    },
+  },
+};
+
+function typeOfValue(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+// Validate (and lightly coerce) a value against a schema. Returns the cleaned value; problems go to `errors`,
+// array entries dropped under dropInvalidItems go to `warnings`.
+function checkSchema(value, schema, at, errors, warnings) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  // Harmless coercions: "8" → 8, 5000 → "5000", "high" → "High"
+  if (types.includes("number") && typeof value === "string" && value.trim() && !isNaN(Number(value))) value = Number(value);
+  if (types.includes("string") && typeof value === "number") value = String(value);
+  if (schema.enum && typeof value === "string" && !schema.enum.includes(value)) {
+    value = schema.enum.find(e => e.toLowerCase() === value.trim().toLowerCase()) || value;
+  }
+
+  const actual = typeOfValue(value);
+  const typeOk = types.includes(actual) || (actual === "integer" && types.includes("number"));
+  if (!typeOk) {
+    errors.push(`${at}: expected ${types.join(" or ")}, got ${actual}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(", ")} (got "${value}")`);
+  if (schema.minLength && typeof value === "string" && value.trim().length < schema.minLength) errors.push(`${at}: must not be empty`);
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (actual === "object" && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null && !(schema.properties[key]?.type || []).includes("null")) {
+        errors.push(`${at}.${key}: required`);
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) value[key] = checkSchema(value[key], sub, `${at}.${key}`, errors, warnings);
+    }
+  }
+
+  if (actual === "array") {
+    if (schema.items) {
+      if (schema.dropInvalidItems) {
+        const kept = [];
+        value.forEach((item, i) => {
+          const itemErrors = [];
+          const cleaned = checkSchema(item, schema.items, `${at}[${i}]`, itemErrors, warnings);
+          if (itemErrors.length) warnings.push(`dropped ${at}[${i}]: ${itemErrors.join("; ")}`);
+          else kept.push(cleaned);
+        });
+        value = kept;
+      } else {
+        value = value.map((item, i) => checkSchema(item, schema.items, `${at}[${i}]`, errors, warnings));
+      }
+    }
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} valid item(s), got ${value.length}`);
+    if (schema.maxItems && value.length > schema.maxItems) value = value.slice(0, schema.maxItems);
+  }
+
+  if (schema.check && !errors.length) errors.push(...schema.check(value).map(e => `${at}: ${e}`));
+  return value;
+}
+
+// The first complete JSON object or array in the text, inside a markdown fence if there is one.
+// Nothing is patched up: malformed or truncated output is left to the repair prompt.
+function extractJsonText(text) {
+  const fenced = text.match(/```(?:json)?[ \t]*\r?\n([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+  const start = body.search(/[[{]/);
+  if (start === -1) throw new Error("no JSON object or array found");
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < body.length; i++) {
+    const ch = body[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      depth++;
+    } else if ((ch === "}" || ch === "]") && --depth === 0) {
+      return body.slice(start, i + 1);
+    }
+  }
+  throw new Error("JSON is incomplete (the response may have been cut off)");
+}
+
+// Parse model text into JSON; a bare array is wrapped when the schema expects { <list>: [...] }
+function parseStructured(text, schema) {
+  let parsed = JSON.parse(extractJsonText(text));
+  if (Array.isArray(parsed) && schema.type === "object") {
+    const listKey = Object.keys(schema.properties).find(k => schema.properties[k].type === "array");
+    if (listKey) parsed = { [listKey]: parsed };
+  }
+  return parsed;
+}
+
+function buildRepairPrompt(prompt, previous, errors) {
+  return `${prompt}
+
+YOUR PREVIOUS RESPONSE:
+${previous.slice(0, 8000)}
+
+THAT RESPONSE WAS REJECTED:
+${errors.slice(0, 20).map(e => `- ${e}`).join("\n")}
+
+Return ONLY the corrected JSON (no markdown, no code blocks). Fix the listed problems and keep everything else from your previous response.`;
+}
+
+/**
+ * Complete a prompt whose answer must match LLM_SCHEMAS[schemaName].
+ * Uses JSON mode where the model supports it and re-prompts with validation errors up to STRUCTURED_MAX_REPAIRS times.
+ * Resolves to { data, warnings, attempts, provider, model }; throws with err.validationErrors when repair fails.
+ */
+async function completeStructured(prompt, schemaName, { temperature = 0.7, task = "default", ...context } = {}) {
+  const schema = LLM_SCHEMAS[schemaName];
+  let currentPrompt = prompt;
+  let errors = [];
+  for (let attempt = 1; attempt <= STRUCTURED_MAX_REPAIRS + 1; attempt++) {
+    // Repairs run slightly cooler so the model sticks to its previous answer
+    const result = await completeLLM(currentPrompt, { temperature: attempt === 1 ? temperature : Math.max(0.1, temperature - 0.3), task, ...context, json: true });
+    errors = [];
+    const warnings = [];
+    let data;
+    try {
+      data = checkSchema(parseStructured(result.text, schema), schema, "$", errors, warnings);
+    } catch (err) {
+      errors.push(`Response is not valid JSON: ${err.message}`);
+    }
+    if (!errors.length) return { data, warnings, attempts: attempt, provider: result.provider, model: result.model };
+
+    console.error(`[LLM] ${schemaName} output failed validation (attempt ${attempt}): ${errors.slice(0, 3).join("; ")}`);
+    currentPrompt = buildRepairPrompt(prompt, result.text, errors);
+  }
+  const err = new Error(`Model output did not match the ${schemaName} schema: ${errors.slice(0, 3).join("; ")}`);
+  err.validationErrors = errors;
+  throw err;
+}
+
+// ═══ Encrypted Configuration Store ═══
+// Settings and secrets are persisted to data/config.enc.json with AES-256-GCM under CONFIG_MASTER_KEY.
+// Rotation: deploy with the new CONFIG_MASTER_KEY and the old one in CONFIG_MASTER_KEY_PREVIOUS
+// (comma-separated); the file is read with whichever key matches and re-encrypted with the new one.
+const CONFIG_FILE = path.join(dataDir, "config.enc.json");
+const SECRET_SETTINGS = ["openRouterKey", "smtpPassword", "imapPassword", "geminiKey", "localApiKey"];
+
+function deriveConfigKey(secret) {
+  const key = crypto.scryptSync(String(secret), "belwo-config-v1", 32);
+  return { key, keyId: crypto.createHash("sha256").update(key).digest("hex").slice(0, 12) };
+}
+
+const configKeyring = [process.env.CONFIG_MASTER_KEY, ...(process.env.CONFIG_MASTER_KEY_PREVIOUS || "").split(",")]
+  .map(k => (k || "").trim())
+  .filter(Boolean)
+  .map(deriveConfigKey);
+const configState = { persisted: false, keyId: null, loadedFrom: null, updatedAt: null };
+
+function encryptConfig(payload, { key, keyId }) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final()]);
+  return { version: 1, keyId, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function decryptConfig(file) {
+  const candidates = [...configKeyring].sort((a, b) => (b.keyId === file.keyId) - (a.keyId === file.keyId));
+  for (const k of candidates) {
+    try {
+      const decipher = crypto.createDecipheriv("aes-256-gcm", k.key, Buffer.from(file.iv, "base64"));
+      decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+      const plain = Buffer.concat([decipher.update(Buffer.from(file.data, "base64")), decipher.final()]);
+      return { payload: JSON.parse(plain.toString("utf8")), keyId: k.keyId };
+    } catch {}
+  }
+  return null;
+}
+
+function getConfigSnapshot() {
+  return {
+    openRouterKey,
+    selectedModel,
+    smtpPassword: appPassword,
+    smtp: { ...smtpConfig },
+    imapPassword,
+    imap: { ...imapConfig },
+    geminiKey: llmConfig.geminiKey,
+    localApiKey: llmConfig.localApiKey,
+    workspaceSecrets: Object.fromEntries(workspaceSecrets),
+    llm: {
+      localBaseUrl: llmConfig.localBaseUrl,
+      timeoutMs: llmConfig.timeoutMs,
+      maxRetries: llmConfig.maxRetries,
+      taskModels: llmConfig.taskModels,
+      fallbackModels: llmConfig.fallbackModels,
+    },
+  };
+}
+
+function applyConfigSnapshot(c) {
+  if (c.openRouterKey !== undefined) openRouterKey = c.openRouterKey;
+  if (c.selectedModel) selectedModel = c.selectedModel;
+  if (c.smtpPassword !== undefined) appPassword = c.smtpPassword;
+  if (c.smtp) Object.assign(smtpConfig, c.smtp);
+  if (c.imapPassword !== undefined) imapPassword = c.imapPassword;
+  if (c.imap) Object.assign(imapConfig, c.imap);
+  if (c.geminiKey !== undefined) llmConfig.geminiKey = c.geminiKey;
+  if (c.localApiKey !== undefined) llmConfig.localApiKey = c.localApiKey;
+  if (c.llm) Object.assign(llmConfig, c.llm);
+  if (c.workspaceSecrets) Object.entries(c.workspaceSecrets).forEach(([id, secrets]) => workspaceSecrets.set(id, secrets));
+}
+
+// Atomic write (tmp + rename) so a crash mid-write never corrupts the only copy of the secrets
+function persistConfig() {
+  if (!configKeyring.length) return false;
+  try {
+    const tmp = CONFIG_FILE + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(encryptConfig(getConfigSnapshot(), configKeyring[0])), { mode: 0o600 });
+    fs.renameSync(tmp, CONFIG_FILE);
+    configState.persisted = true;
+    configState.keyId = configKeyring[0].keyId;
+    configState.updatedAt = new Date().toISOString();
+    return true;
+  } catch (err) {
+    console.error("[CONFIG] Failed to persist configuration:", err.message);
+    return false;
+  }
+}
+
+function loadConfig() {
+  if (!configKeyring.length) {
+    console.log("[CONFIG] CONFIG_MASTER_KEY not set — configuration is kept in memory only");
+    return;
+  }
+  let file;
+  try { file = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8")); } catch { return; }
+  const result = decryptConfig(file);
+  if (!result) {
+    console.error("[CONFIG] Could not decrypt config.enc.json with any configured master key — starting with defaults");
+    return;
+  }
+  applyConfigSnapshot(result.payload);
+  configState.persisted = true;
+  configState.loadedFrom = result.keyId;
+  configState.keyId = result.keyId;
+  if (result.keyId !== configKeyring[0].keyId) {
+    persistConfig();
+    console.log(`[CONFIG] Re-encrypted configuration with the current master key (${configKeyring[0].keyId})`);
+  }
+}
+loadConfig();
+
+// Which settings are present (never their values), as seen from a workspace
+function describeConfig(workspaceId) {
+  const snap = getConfigSnapshot();
+  const wsLLM = workspaceLLM(workspaceId);
+  const settings = {};
+  for (const name of SECRET_SETTINGS) settings[name] = { present: !!snap[name], secret: true };
+  settings.openRouterKey = {
+    present: !!wsLLM.openRouterKey,
+    secret: true,
+    scope: workspaceSecrets.get(workspaceId)?.openRouterKey ? "workspace" : "instance",
+  };
+  settings.selectedModel = { present: true, value: wsLLM.selectedModel };
+  settings.smtpHost = { present: !!snap.smtp.host, value: `${snap.smtp.host}:${snap.smtp.port}` };
+  settings.smtpUser = { present: !!snap.smtp.user, value: snap.smtp.user };
+  settings.senderEmail = { present: !!snap.smtp.fromEmail, value: snap.smtp.fromEmail };
+  settings.imapHost = { present: !!snap.imap.host, value: `${snap.imap.host}:${snap.imap.port}`, enabled: snap.imap.enabled };
+  settings.localBaseUrl = { present: !!snap.llm.localBaseUrl, value: snap.llm.localBaseUrl };
+  return {
+    workspace: { id: getWorkspace(workspaceId).id, name: getWorkspace(workspaceId).name },
+    settings,
+    encryption: {
+      enabled: configKeyring.length > 0,
+      persisted: configState.persisted,
+      keyId: configState.keyId,
+      previousKeysConfigured: Math.max(0, configKeyring.length - 1),
+      updatedAt: configState.updatedAt,
+    },
+  };
+}
+
+// ═══ Fetch a page's HTML safely ═══
+const UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36";
+
+async function fetchPage(url, timeoutMs = 10000) {
+  try {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const res = await fetch(url, {
+      signal: controller.signal,
+      redirect: "follow",
+      headers: { "User-Agent": UA, "Accept": "text/html,application/xhtml+xml" },
+    });
+    clearTimeout(timer);
+    if (!res.ok) return null;
+    const html = await res.text();
+    return html;
+  } catch {
+    return null;
+  }
+}
+
+// ═══ Extract emails from HTML text ═══
+function extractEmails(html) {
+  const emails = new Set();
+
+  // 1. mailto: links
+  const mailtoRegex = /mailto:([a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,})/gi;
+  let match;
+  while ((match = mailtoRegex.exec(html)) !== null) {
+    emails.add(match[1].toLowerCase());
+  }
+
+  // 2. Emails in visible text (broad regex)
+  const textEmailRegex = /[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}/g;
+  while ((match = textEmailRegex.exec(html)) !== null) {
+    const email = match[0].toLowerCase();
+    // Filter out fake/image/css emails
+    if (!email.endsWith(".png") && !email.endsWith(".jpg") && !email.endsWith(".svg")
+        && !email.endsWith(".gif") && !email.endsWith(".css") && !email.endsWith(".js")
+        && !email.includes("example.com") && !email.includes("yoursite")
+        && !email.includes("sentry") && !email.includes("webpack")
+        && email.length < 60) {
+      emails.add(email);
+    }
+  }
+
+  return [...emails];
+}
+
+// ═══ Email Verification ═══
+const EMAIL_SYNTAX = /^[a-z0-9!#$%&'*+\/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+\/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+const DISPOSABLE_DOMAINS = new Set([
+  "mailinator.com", "guerrillamail.com", "guerrillamail.net", "10minutemail.com", "tempmail.com", "temp-mail.org",
+  "throwawaymail.com", "yopmail.com", "getnada.com", "trashmail.com", "sharklasers.com", "dispostable.com",
+  "maildrop.cc", "fakeinbox.com", "mintemail.com", "mohmal.com", "emailondeck.com", "spamgourmet.com",
+  "mailnesia.com", "tempail.com", "burnermail.io", "discard.email", "mytemp.email", "tempr.email",
+]);
+
+const ROLE_ACCOUNTS = new Set([
+  "info", "sales", "support", "admin", "contact", "hello", "office", "marketing", "hr", "jobs", "careers",
+  "billing", "help", "enquiries", "inquiries", "team", "webmaster", "noreply", "no-reply", "press", "media",
+  "privacy", "legal", "security", "abuse", "postmaster", "accounts", "service", "customerservice",
+]);
+
+const VERIFY_SMTP_PORT = parseInt(process.env.VERIFY_SMTP_PORT) || 25;
+const VERIFY_HELO = process.env.VERIFY_HELO || "mail.belwo.com";
+const DOMAIN_CACHE_TTL = 24 * 3600000;
+const domainMailCache = new Map();
+
+// MX records, falling back to the implicit MX (the domain's own A record).
+// Returns null when DNS itself failed, so a resolver outage is not reported as a dead domain.
+async function lookupMailHosts(domain) {
+  const cached = domainMailCache.get(domain);
+  if (cached && Date.now() - cached.checkedAt < DOMAIN_CACHE_TTL && cached.mxHosts) return cached.mxHosts;
+
+  let hosts = [];
+  try {
+    const mx = await dns.resolveMx(domain);
+    hosts = mx.sort((a, b) => a.priority - b.priority).map(r => r.exchange).filter(Boolean);
+  } catch (err) {
+    if (!["ENOTFOUND", "ENODATA", "NXDOMAIN"].includes(err.code)) return null;
+  }
+  if (!hosts.length) {
+    try { await dns.lookup(domain); hosts = [domain]; } catch {}
+  }
+  domainMailCache.set(domain, { ...(cached || {}), mxHosts: hosts, checkedAt: Date.now() });
+  return hosts;
+}
+
+// Minimal SMTP conversation: EHLO, MAIL FROM, one RCPT per address, QUIT. Nothing is sent.
+function smtpProbe(host, recipients, timeoutMs = 10000) {
+  return new Promise((resolve) => {
+    const probeFrom = smtpConfig.fromEmail || `verify@${VERIFY_HELO}`;
+    const commands = [`EHLO ${VERIFY_HELO}`, `MAIL FROM:<${probeFrom}>`, ...recipients.map(r => `RCPT TO:<${r}>`), "QUIT"];
+    const replies = [];
+    let buffer = "";
+    let step = -1;
+    let done = false;
+
+    const socket = net.createConnection({ host, port: VERIFY_SMTP_PORT });
+    const finish = (error) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      socket.destroy();
+      resolve({ connected: step >= 0, replies, error: error || null });
+    };
+    const timer = setTimeout(() => finish("timeout"), timeoutMs);
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let idx;
+      while ((idx = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, idx).replace(/\r$/, "");
+        buffer = buffer.slice(idx + 1);
+        if (/^\d{3}-/.test(line)) continue; // multi-line reply continues
+        const code = parseInt(line.slice(0, 3)) || 0;
+        if (step === -1 && code !== 220) return finish(line);
+        if (step >= 0) replies.push({ command: commands[step], code, line });
+        if ((step === 0 || step === 1) && code >= 400) return finish(line);
+        step++;
+        if (step >= commands.length) return finish();
+        socket.write(commands[step] + "\r\n");
+      }
+    });
+    socket.on("error", (err) => finish(err.message));
+    socket.on("close", () => finish());
+  });
+}
+
+// RCPT probe of the address plus a random mailbox on the same domain (catch-all detection)
+async function probeMailbox(email, domain, mxHosts) {
+  const randomLocal = "zz" + crypto.randomBytes(8).toString("hex");
+  for (const host of mxHosts.slice(0, 2)) {
+    const result = await smtpProbe(host, [email, `${randomLocal}@${domain}`]);
+    if (!result.connected) continue;
+    const rcpt = result.replies.filter(r => r.command.startsWith("RCPT"));
+    if (!rcpt.length) return { reachable: true, error: result.error };
+    const catchAll = rcpt[1] ? rcpt[1].code >= 200 && rcpt[1].code < 300 : null;
+    const cached = domainMailCache.get(domain) || { checkedAt: Date.now() };
+    if (catchAll !== null) domainMailCache.set(domain, { ...cached, catchAll });
+    return { reachable: true, host, code: rcpt[0].code, response: rcpt[0].line, catchAll };
+  }
+  return { reachable: false };
+}
+
+/**
+ * Run an address through syntax, disposable/role, MX and (optionally) SMTP RCPT checks.
+ * Returns { email, status: valid|invalid|risky|unknown, confidence 0-100, checks, reasons }.
+ */
+async function verifyEmail(email, { probe = false, seenOnWebsite = false } = {}) {
+  const address = String(email || "").trim().toLowerCase();
+  const checks = { syntax: false, disposable: false, roleAccount: false, mx: false, smtp: null, catchAll: null };
+  const reasons = [];
+  const result = (status, confidence) => ({ email: address, status, confidence: Math.max(0, Math.min(100, Math.round(confidence))), checks, reasons, verifiedAt: new Date().toISOString() });
+
+  checks.syntax = address.length <= 254 && EMAIL_SYNTAX.test(address);
+  if (!checks.syntax) { reasons.push("Invalid address syntax"); return result("invalid", 0); }
+
+  const [local, domain] = address.split("@");
+  checks.disposable = DISPOSABLE_DOMAINS.has(domain);
+  checks.roleAccount = ROLE_ACCOUNTS.has(local.split("+")[0]);
+  if (checks.disposable) reasons.push("Disposable email provider");
+  if (checks.roleAccount) reasons.push("Role account, not a named person");
+
+  const mxHosts = await lookupMailHosts(domain);
+  if (!mxHosts) { reasons.push("DNS lookup failed, try again later"); return result("unknown", checks.disposable ? 10 : 30); }
+  checks.mx = mxHosts.length > 0;
+  if (!checks.mx) { reasons.push("Domain has no mail servers"); return result("invalid", 0); }
+
+  let confidence = 45;
+  if (seenOnWebsite) { confidence += 30; reasons.push("Address published on company website"); }
+  if (checks.roleAccount) confidence -= 15;
+  if (checks.disposable) return result("risky", 10);
+
+  if (probe) {
+    const smtp = await probeMailbox(address, domain, mxHosts);
+    if (!smtp.reachable || !smtp.code) {
+      checks.smtp = "unreachable";
+      reasons.push("Mail server did not answer the probe");
+    } else {
+      checks.catchAll = smtp.catchAll;
+      if (smtp.code >= 500) {
+        checks.smtp = "rejected";
+        reasons.push(`Mailbox rejected: ${smtp.response}`);
+        return result("invalid", 5);
+      }
+      if (smtp.code >= 400) {
+        checks.smtp = "deferred";
+        reasons.push(`Mail server deferred the probe: ${smtp.response}`);
+      } else if (smtp.catchAll) {
+        checks.smtp = "accepted";
+        reasons.push("Domain accepts all addresses (catch-all), mailbox cannot be confirmed");
+        return result("risky", Math.min(confidence + 5, 60));
+      } else {
+        checks.smtp = "accepted";
+        return result(checks.roleAccount ? "risky" : "valid", checks.roleAccount ? 75 : 95);
+      }
+    }
+  } else if (domainMailCache.get(domain)?.catchAll) {
+    checks.catchAll = true;
+    reasons.push("Domain accepts all addresses (catch-all)");
+  }
+
+  if (checks.roleAccount) return result("risky", confidence);
+  return result(confidence >= 70 ? "valid" : "unknown", confidence);
+}
+
+// ═══ Extract contact details from a page ═══
+const TITLE_PATTERN = /\b(chief [a-z ]{2,30}officer|ceo|cfo|cto|cio|coo|cmo|cdo|ciso|president|vice president|svp|evp|vp|director|head of|founder|co-founder|partner|general manager|managing director|manager|chairman|chair)\b/i;
+const PERSON_NAME = /^[A-Z][a-zA-Z'’.\-]+(?: [A-Z][a-zA-Z'’.\-]+){1,3}$/;
+const NOT_A_NAME = /\b(our|team|about|leadership|contact|company|board|management|executive|services|solutions|news|read|more|view|meet|the|us|officer|director|president)\b/i;
+const SOCIAL_NETWORKS = [
+  { network: "linkedin", pattern: /linkedin\.com\/(company|in|school)\//i },
+  { network: "twitter", pattern: /(twitter|x)\.com\/[^/?#]+/i },
+  { network: "facebook", pattern: /facebook\.com\/[^/?#]+/i },
+  { network: "instagram", pattern: /instagram\.com\/[^/?#]+/i },
+  { network: "youtube", pattern: /youtube\.com\/(c\/|channel\/|user\/|@)/i },
+];
+
+// JSON-LD blocks flattened into a list of typed nodes
+function extractJsonLd($) {
+  const nodes = [];
+  const walk = (n) => {
+    if (!n || typeof n !== "object") return;
+    if (Array.isArray(n)) return n.forEach(walk);
+    nodes.push(n);
+    if (n["@graph"]) walk(n["@graph"]);
+    ["employee", "founder", "member", "address", "location"].forEach(k => walk(n[k]));
+  };
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try { walk(JSON.parse($(el).contents().text())); } catch {}
+  });
+  return nodes;
+}
+
+function ldTypeIs(node, type) {
+  const t = node["@type"];
+  return Array.isArray(t) ? t.includes(type) : t === type;
+}
+
+function formatPostalAddress(a) {
+  if (typeof a === "string") return a.trim();
+  return [a.streetAddress, a.addressLocality, [a.addressRegion, a.postalCode].filter(Boolean).join(" "), typeof a.addressCountry === "string" ? a.addressCountry : a.addressCountry?.name]
+    .filter(Boolean).join(", ");
+}
+
+function cleanText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+// Visible text with one text node per line, so adjacent elements don't run together
+function pageText($) {
+  return $("body, body *").contents().filter((_, n) => n.type === "text" && !["script", "style", "noscript"].includes(n.parent?.name)).map((_, n) => cleanText($(n).text())).get().filter(Boolean).join("\n");
+}
+
+function extractPeople($, ldNodes, pageUrl) {
+  const people = [];
+  const add = (name, title) => {
+    name = cleanText(name);
+    title = cleanText(title).slice(0, 100);
+    if (!PERSON_NAME.test(name) || NOT_A_NAME.test(name) || name.length > 40) return;
+    if (people.some(p => p.name.toLowerCase() === name.toLowerCase())) return;
+    people.push({ name, title, source: pageUrl });
+  };
+
+  ldNodes.filter(n => ldTypeIs(n, "Person") && n.name).forEach(n => add(n.name, n.jobTitle || ""));
+
+  // Team cards: a name heading/strong followed by (or wrapped with) a short title line
+  $("h2, h3, h4, h5, h6, strong, b, [class*='name']").each((_, el) => {
+    const name = cleanText($(el).text());
+    if (!PERSON_NAME.test(name) || NOT_A_NAME.test(name)) return;
+    const candidates = [];
+    let sib = $(el).next();
+    for (let i = 0; i < 2 && sib.length; i++, sib = sib.next()) candidates.push(cleanText(sib.text()));
+    candidates.push(cleanText($(el).parent().text()).replace(name, ""));
+    const title = candidates.find(t => t && t.length < 120 && TITLE_PATTERN.test(t));
+    if (title) add(name, title.replace(/^[\s,–—|-]+/, ""));
+  });
+
+  // "Jane Smith, Chief Information Officer" / "Jane Smith – CIO" lines
+  const lineRegex = /([A-Z][a-zA-Z'’.\-]+(?: [A-Z][a-zA-Z'’.\-]+){1,3}) ?[,–—|-] ?((?:(?:[A-Z][A-Za-z&]*|of|and|&) ?){1,8})/g;
+  const text = pageText($);
+  let m;
+  while ((m = lineRegex.exec(text)) !== null && people.length < 30) {
+    if (TITLE_PATTERN.test(m[2])) add(m[1], m[2]);
+  }
+  return people;
+}
+
+function extractPhones($, pageUrl) {
+  const phones = new Map();
+  const add = (raw) => {
+    const value = cleanText(raw).replace(/^tel:/i, "");
+    const digits = value.replace(/\D/g, "");
+    if (digits.length < 9 || digits.length > 15 || /^(\d)\1+$/.test(digits)) return;
+    if (!phones.has(digits)) phones.set(digits, { value, source: pageUrl });
+  };
+  $('a[href^="tel:"]').each((_, el) => add(decodeURIComponent($(el).attr("href"))));
+  const text = pageText($);
+  const phoneRegex = /(?:\+\d{1,3}[\s.-]?)?\(?\d{2,4}\)?[\s.-]\d{3,4}[\s.-]\d{3,4}\b/g;
+  let m;
+  while ((m = phoneRegex.exec(text)) !== null && phones.size < 10) add(m[0]);
+  return [...phones.values()].slice(0, 5);
+}
+
+function extractAddresses($, ldNodes, pageUrl) {
+  const addresses = new Map();
+  const add = (raw) => {
+    const value = cleanText(raw);
+    if (value.length < 10 || value.length > 200) return;
+    const key = value.toLowerCase();
+    if (!addresses.has(key)) addresses.set(key, { value, source: pageUrl });
+  };
+  ldNodes.filter(n => ldTypeIs(n, "PostalAddress")).forEach(n => add(formatPostalAddress(n)));
+  ldNodes.filter(n => n.address && !ldTypeIs(n, "PostalAddress")).forEach(n => add(formatPostalAddress(n.address)));
+  $("address, [itemprop='address']").each((_, el) => add($(el).text()));
+
+  // US-style street addresses in plain text
+  const text = pageText($);
+  const usAddress = /\d{1,6} [A-Z][A-Za-z0-9. ]{2,40} (?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Way|Parkway|Pkwy|Plaza|Court|Ct)\.?(?:,? (?:Suite|Ste|Floor|Fl)\.? ?[\w-]+)?, [A-Z][A-Za-z .]+, [A-Z]{2} \d{5}(?:-\d{4})?/g;
+  let m;
+  while ((m = usAddress.exec(text)) !== null && addresses.size < 10) add(m[0]);
+  return [...addresses.values()].slice(0, 5);
+}
+
+function extractSocialProfiles($, ldNodes, pageUrl) {
+  const profiles = new Map();
+  const add = (href) => {
+    const net = SOCIAL_NETWORKS.find(s => s.pattern.test(href || ""));
+    if (!net) return;
+    try {
+      const u = new URL(href, pageUrl);
+      const url = `https://${u.hostname.replace(/^www\./, "")}${u.pathname.replace(/\/$/, "")}`;
+      if (/\/(share|sharer|intent)/i.test(u.pathname)) return;
+      if (!profiles.has(url)) profiles.set(url, { network: net.network, url, source: pageUrl });
+    } catch {}
+  };
+  $("a[href]").each((_, el) => add($(el).attr("href")));
+  ldNodes.forEach(n => [].concat(n.sameAs || []).forEach(add));
+  return [...profiles.values()];
+}
+
+function extractPageContacts(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const ldNodes = extractJsonLd($);
+  return {
+    emails: extractEmails(html),
+    people: extractPeople($, ldNodes, pageUrl),
+    phones: extractPhones($, pageUrl),
+    addresses: extractAddresses($, ldNodes, pageUrl),
+    socialProfiles: extractSocialProfiles($, ldNodes, pageUrl),
+  };
+}
+
+function mergeByKey(target, items, keyFn) {
+  const seen = new Set(target.map(keyFn));
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!seen.has(key)) { seen.add(key); target.push(item); }
+  }
+  return target;
+}
+
+// ═══ Scrape company website for leadership info ═══
+const LEADERSHIP_KEYWORDS = ["leadership", "team", "management", "executives", "about", "contact"];
+const CONTACT_PAGE_TIMEOUT_MS = 5000;
+const CONTACT_PAGE_CONCURRENCY = 3;
+
+async function scrapeCompanyWebsite(url) {
+  try {
+    const html = await fetchPage(url);
+    if (!html) return null;
+
+    const $ = cheerio.load(html);
+    const title = $("title").text().trim().slice(0, 200);
+    const metaDesc = $('meta[name="description"]').attr("content")?.trim().slice(0, 300) || "";
+    const homeHost = new URL(url).hostname.replace(/^www\./, "");
+
+    // Find common leadership page links (same site only)
+    const leadershipUrls = [];
+    $("a").each((_, el) => {
+      const href = $(el).attr("href") || "";
+      const text = $(el).text().trim().toLowerCase();
+      const hrefLower = href.toLowerCase();
+
+      const rank = LEADERSHIP_KEYWORDS.findIndex(kw => text.includes(kw) || hrefLower.includes(kw));
+
+      if (rank >= 0 && href && !href.startsWith("#") && !href.startsWith("javascript") && !href.startsWith("mailto")) {
+        try {
+          const resolved = new URL(href, url);
+          resolved.hash = "";
+          // The site itself or its subdomains — not look-alikes such as evilacme.com for acme.com
+          const host = resolved.hostname.replace(/^www\./, "");
+          if (host === homeHost || host.endsWith("." + homeHost)) leadershipUrls.push({ href: resolved.href, rank });
+        } catch {}
+      }
+    });
+    const pagesToVisit = [...new Map(leadershipUrls.sort((a, b) => a.rank - b.rank).map(l => [l.href, l])).keys()]
+      .filter(href => href !== url)
+      .slice(0, 5);
+
+    // Homepage plus each leadership/team/contact page; the pages are fetched a few at a time, merged in rank order
+    const contacts = extractPageContacts(html, url);
+    const contactPagesVisited = [];
+    const pages = await mapWithConcurrency(pagesToVisit, CONTACT_PAGE_CONCURRENCY, pageUrl => fetchPage(pageUrl, CONTACT_PAGE_TIMEOUT_MS));
+    for (const [i, pageUrl] of pagesToVisit.entries()) {
+      const pageHtml = pages[i];
+      contactPagesVisited.push({ url: pageUrl, fetched: !!pageHtml });
+      if (!pageHtml) continue;
+      const page = extractPageContacts(pageHtml, pageUrl);
+      mergeByKey(contacts.emails, page.emails, e => e);
+      mergeByKey(contacts.people, page.people, p => p.name.toLowerCase());
+      mergeByKey(contacts.phones, page.phones, p => p.value.replace(/\D/g, ""));
+      mergeByKey(contacts.addresses, page.addresses, a => a.value.toLowerCase());
+      mergeByKey(contacts.socialProfiles, page.socialProfiles, s => s.url);
+    }
+
+    return {
+      title,
+      metaDesc,
+      emails: contacts.emails,
+      people: contacts.people,
+      phones: contacts.phones.slice(0, 5),
+      addresses: contacts.addresses.slice(0, 5),
+      socialProfiles: contacts.socialProfiles,
+      leadershipUrls: pagesToVisit,
+      contactPagesVisited,
+      scraped: true,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// ═══ Merge scraped website data into an AI-suggested lead ═══
+const TITLE_ABBREVIATIONS = {
+  ceo: "chief executive officer", cfo: "chief financial officer", cto: "chief technology officer",
+  cio: "chief information officer", coo: "chief operating officer", cmo: "chief marketing officer",
+  cdo: "chief digital officer", ciso: "chief information security officer", vp: "vice president",
+  svp: "senior vice president", evp: "executive vice president", it: "information technology",
+};
+const TITLE_STOPWORDS = new Set(["of", "and", "the", "&", "for", "-", "/"]);
+
+function titleTokens(title) {
+  const expanded = (title || "").toLowerCase().replace(/[()]/g, " ").split(/[\s,/]+/)
+    .map(w => TITLE_ABBREVIATIONS[w] || w).join(" ");
+  return new Set(expanded.split(/\s+/).filter(w => w && !TITLE_STOPWORDS.has(w)));
+}
+
+function titleSimilarity(a, b) {
+  const ta = titleTokens(a);
+  const tb = titleTokens(b);
+  if (!ta.size || !tb.size) return 0;
+  const shared = [...ta].filter(t => tb.has(t)).length;
+  return shared / Math.max(ta.size, tb.size);
+}
+
+function namesMatch(a, b) {
+  const na = (a || "").toLowerCase().replace(/[^a-z\s]/g, "").split(/\s+/).filter(Boolean);
+  const nb = (b || "").toLowerCase().replace(/[^a-z\s]/g, "").split(/\s+/).filter(Boolean);
+  if (na.length < 2 || nb.length < 2) return false;
+  return na[0] === nb[0] && na[na.length - 1] === nb[nb.length - 1];
+}
+
+// Each merged field records where it came from: "ai" (LLM suggestion), "website" (with page URL) or "import".
+// Imported contacts came from a list the team trusts, so the site never replaces their name, title or email.
+function mergeWebsiteData(lead, site) {
+  const provenance = {
+    name: { source: "ai" },
+    title: { source: "ai" },
+    email: { source: "ai" },
+    ...(lead.provenance || {}),
+  };
+  const merged = { ...lead, provenance };
+  if (!site) return merged;
+
+  const people = site.people || [];
+  merged.websitePeople = people;
+  const imported = (field) => provenance[field]?.source === "import";
+
+  const confirmed = people.find(p => namesMatch(p.name, lead.name));
+  const isPlaceholder = !lead.name || /[\[\]]|\s-\s/.test(lead.name);
+  if (confirmed) {
+    provenance.name = { ...provenance.name, source: imported("name") ? "import" : "website", url: confirmed.source, confirmed: true };
+    if (confirmed.title && !imported("title")) {
+      merged.title = confirmed.title;
+      provenance.title = { source: "website", url: confirmed.source };
+    }
+  } else if (!imported("name") && !imported("email")) {
+    const best = people
+      .map(p => ({ person: p, score: titleSimilarity(lead.title, p.title) }))
+      .sort((a, b) => b.score - a.score)[0];
+    if (best && best.score >= (isPlaceholder ? 0.3 : 0.6)) {
+      merged.aiSuggested = { name: lead.name, title: lead.title, email: lead.email };
+      merged.name = best.person.name;
+      provenance.name = { source: "website", url: best.person.source, replacedAi: true };
+      if (!imported("title")) {
+        merged.title = best.person.title || lead.title;
+        provenance.title = { source: best.person.title ? "website" : "ai", url: best.person.source };
+      }
+      // The guessed email belonged to the AI's person, not this one
+      merged.email = "";
+      provenance.email = { source: "none" };
+    }
+  }
+
+  if (site.phones?.length) {
+    merged.phone = site.phones[0].value;
+    merged.phones = site.phones;
+    provenance.phone = { source: "website", url: site.phones[0].source };
+  }
+  if (site.addresses?.length) {
+    merged.officeAddress = site.addresses[0].value;
+    merged.addresses = site.addresses;
+    provenance.officeAddress = { source: "website", url: site.addresses[0].source };
+  }
+  if (site.socialProfiles?.length) {
+    merged.socialProfiles = site.socialProfiles;
+    provenance.socialProfiles = { source: "website" };
+    const companyLinkedin = site.socialProfiles.find(s => s.network === "linkedin" && /\/company\//.test(s.url));
+    if (companyLinkedin) merged.companyLinkedinUrl = companyLinkedin.url;
+  }
+  return merged;
+}
+
+// ═══ Company Email-Format Inference ═══
+const emailPatterns = new Map();
+
+// Generic share of each format across B2B domains, used when a domain has no evidence yet
+const EMAIL_FORMATS = {
+  "first.last": { prior: 0.40, build: (f, l) => `${f}.${l}` },
+  "flast": { prior: 0.20, build: (f, l) => `${f[0]}${l}` },
+  "first": { prior: 0.12, build: (f) => f },
+  "firstlast": { prior: 0.10, build: (f, l) => `${f}${l}` },
+  "f.last": { prior: 0.06, build: (f, l) => `${f[0]}.${l}` },
+  "first_last": { prior: 0.04, build: (f, l) => `${f}_${l}` },
+  "firstl": { prior: 0.03, build: (f, l) => `${f}${l[0]}` },
+  "first-last": { prior: 0.02, build: (f, l) => `${f}-${l}` },
+  "last.first": { prior: 0.01, build: (f, l) => `${l}.${f}` },
+  "lastf": { prior: 0.01, build: (f, l) => `${l}${f[0]}` },
+  "last": { prior: 0.01, build: (f, l) => l },
+};
+
+function loadEmailPatterns() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "email-patterns.json"), "utf8")); d.forEach(([k,v]) => emailPatterns.set(k,v)); } catch {}
+}
+loadEmailPatterns();
+
+function saveEmailPatterns() {
+  try { fs.writeFileSync(path.join(dataDir, "email-patterns.json"), JSON.stringify([...emailPatterns])); } catch {}
+}
+
+function splitPersonName(name) {
+  const parts = (name || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\b(dr|mr|mrs|ms|prof|jr|sr|ii|iii|iv|phd|mba|cpa)\b\.?/g, "")
+    .replace(/[^a-z\s'-]/g, " ")
+    .split(/\s+/)
+    .map(p => p.replace(/['-]/g, ""))
+    .filter(Boolean);
+  if (parts.length < 2) return null;
+  return { first: parts[0], last: parts[parts.length - 1] };
+}
+
+// Which formats could have produced this local part? Exact when the person's name is known.
+function matchEmailFormats(local, person) {
+  if (person) {
+    return Object.entries(EMAIL_FORMATS)
+      .filter(([, f]) => f.build(person.first, person.last) === local)
+      .map(([format]) => format);
+  }
+  if (/^[a-z]+\.[a-z]+$/.test(local)) return local.split(".")[0].length === 1 ? ["f.last"] : ["first.last"];
+  if (/^[a-z]+_[a-z]+$/.test(local)) return ["first_last"];
+  if (/^[a-z]+-[a-z]+$/.test(local)) return ["first-last"];
+  if (/^[a-z]{2,}$/.test(local)) return ["flast", "first", "firstlast"];
+  return [];
+}
+
+/**
+ * Learn a domain's address convention from real addresses found on its site.
+ * Addresses matched to a named person on the site count 3x; structural guesses are split across candidates.
+ * Every address ever counted stays in `seen`, so re-crawling a site never counts it twice;
+ * `samples` only keeps the latest few for display.
+ */
+function learnEmailPatterns(domain, emails, people) {
+  if (!domain || !emails?.length) return null;
+  const knownPeople = (people || []).filter(p => typeof p?.name === "string").map(p => splitPersonName(p.name)).filter(Boolean);
+  const entry = emailPatterns.get(domain) || { domain, weights: {}, samples: [], seen: [], updatedAt: null };
+  if (!entry.seen) entry.seen = entry.samples.map(s => s.email);
+  let learned = false;
+
+  for (const raw of emails) {
+    if (typeof raw !== "string") continue;
+    const email = raw.trim().toLowerCase();
+    const [local, emailDomain] = email.split("@");
+    if (!emailDomain || !(emailDomain === domain || emailDomain.endsWith("." + domain))) continue;
+    if (ROLE_ACCOUNTS.has(local) || entry.seen.includes(email)) continue;
+
+    const person = knownPeople.find(p => matchEmailFormats(local, p).length);
+    const formats = matchEmailFormats(local, person);
+    if (!formats.length) continue;
+    const weight = (person ? 3 : 1) / formats.length;
+    formats.forEach(f => { entry.weights[f] = (entry.weights[f] || 0) + weight; });
+    entry.samples.push({ email, formats, matchedName: !!person });
+    entry.seen.push(email);
+    learned = true;
+  }
+  if (!learned) return emailPatterns.get(domain) || null;
+
+  const ranked = Object.entries(entry.weights).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((s, [, w]) => s + w, 0);
+  entry.dominant = ranked[0][0];
+  entry.confidence = Math.round((ranked[0][1] / total) * Math.min(1, total / 3) * 100);
+  entry.samples = entry.samples.slice(-25);
+  entry.updatedAt = new Date().toISOString();
+  emailPatterns.set(domain, entry);
+  scheduleSave();
+  return entry;
+}
+
+// Ranked candidate addresses for a person at a domain, blending learned evidence with the generic priors
+function generateEmailCandidates(name, domain) {
+  const person = splitPersonName(name);
+  if (!person || !domain) return [];
+  const learned = emailPatterns.get(domain);
+  const total = learned ? Object.values(learned.weights).reduce((s, w) => s + w, 0) : 0;
+  const evidenceShare = Math.min(0.9, total / 4);
+
+  return Object.entries(EMAIL_FORMATS)
+    .map(([format, f]) => {
+      const observed = total ? (learned.weights[format] || 0) / total : 0;
+      const score = evidenceShare * observed + (1 - evidenceShare) * f.prior;
+      return { email: `${f.build(person.first, person.last)}@${domain}`, format, score: Math.round(score * 100), learned: !!observed };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Replace the LLM-guessed email when the domain's learned convention disagrees with it.
+// A missing email is only filled from learned evidence; without any, the ranked guesses stay in emailCandidates.
+function applyEmailPattern(lead) {
+  const domain = extractDomain(lead);
+  const candidates = generateEmailCandidates(lead.name, domain);
+  if (!candidates.length) return lead;
+
+  const merged = { ...lead, emailCandidates: candidates.slice(0, 5), provenance: { ...(lead.provenance || {}) } };
+  const current = (lead.email || "").toLowerCase();
+  if (current && merged.provenance.email?.source === "import") return merged;
+  if (current && (lead.scrapedEmails || []).includes(current)) {
+    merged.provenance.email = { source: "website" };
+    return merged;
+  }
+
+  const learned = emailPatterns.get(domain);
+  const top = candidates[0];
+  const currentCandidate = candidates.find(c => c.email === current);
+  const strongerEvidence = learned && learned.confidence >= 50 && top.learned && top.email !== current
+    && (!currentCandidate || currentCandidate.score < top.score);
+
+  if ((!current && top.learned) || strongerEvidence) {
+    if (current) merged.aiSuggested = { ...(lead.aiSuggested || {}), email: lead.email };
+    merged.email = top.email;
+    merged.provenance.email = { source: "pattern", format: top.format, score: top.score, learned: top.learned };
+  }
+  return merged;
+}
+
+// ═══ Enrich a lead from its company website ═══
+// Crawl, merge site data, learn the email format and verify the resulting address
+const ENRICH_CONCURRENCY = 4; // company websites crawled at once per search or enrichment job
+
+async function enrichLead(lead, { verifyProbe = false } = {}) {
+  const siteData = lead.companyWebsite ? await scrapeCompanyWebsite(lead.companyWebsite) : null;
+  lead = mergeWebsiteData(lead, siteData);
+  const scrapedEmailChecks = await Promise.all((siteData?.emails || []).map(e => verifyEmail(e, { seenOnWebsite: true })));
+  const scrapedEmails = scrapedEmailChecks.filter(v => v.status !== "invalid").map(v => v.email);
+  learnEmailPatterns(extractDomain(lead), scrapedEmails, siteData?.people);
+  lead = applyEmailPattern({ ...lead, scrapedEmails });
+  const emailVerification = lead.email
+    ? await verifyEmail(lead.email, { probe: !!verifyProbe, seenOnWebsite: scrapedEmails.includes(lead.email.toLowerCase()) })
+    : null;
+
+  return {
+    ...lead,
+    verified: emailVerification?.status === "valid",
+    emailVerification,
+    websiteReachable: !!siteData,
+    scrapedEmails,
+    scrapedEmailChecks,
+    additionalInfo: siteData,
+  };
+}
+
+// ═══ ROUTES ═══
+
+// Which settings are configured — secret values are never returned
+app.get("/api/config", (req, res) => {
+  res.json(describeConfig(req.workspaceId));
+});
+
+// Save config — the API key and model apply to the caller's workspace
+// (empty secret fields keep the stored value; use DELETE /api/config/secrets/:name to clear).
+// SMTP credentials are instance-wide, since every workspace sends through the same mailbox: set them with /api/smtp-config.
+app.post("/api/config", (req, res) => {
+  const { apiKey, gmailAppPassword, model } = req.body;
+  if (gmailAppPassword !== undefined) return res.status(400).json({ error: "The SMTP password applies to every workspace — set it with POST /api/smtp-config" });
+  const ws = getWorkspace(req.workspaceId);
+  if (!apiKey && !workspaceLLM(ws.id).openRouterKey && !llmConfig.geminiKey && !llmConfig.localBaseUrl) return res.status(400).json({ error: "OpenRouter API key required" });
+  if (apiKey) workspaceSecrets.set(ws.id, { ...workspaceSecrets.get(ws.id), openRouterKey: apiKey });
+  if (model) {
+    ws.selectedModel = model;
+    saveWorkspaceData();
+  }
+  const persisted = persistConfig();
+  res.json({ success: true, persisted, message: `Configuration saved${persisted ? "" : " (in memory only — set CONFIG_MASTER_KEY to persist)"}. Model: ${workspaceLLM(ws.id).selectedModel}` });
+});
+
+app.delete("/api/config/secrets/:name", (req, res) => {
+  const { name } = req.params;
+  if (!SECRET_SETTINGS.includes(name)) return res.status(404).json({ error: `Unknown secret. Secrets: ${SECRET_SETTINGS.join(", ")}` });
+  // The OpenRouter key is cleared for the workspace first; once it has none, the instance key is cleared
+  if (name === "openRouterKey" && workspaceSecrets.get(req.workspaceId)?.openRouterKey) {
+    workspaceSecrets.set(req.workspaceId, { ...workspaceSecrets.get(req.workspaceId), openRouterKey: "" });
+    persistConfig();
+    return res.json({ success: true, scope: "workspace" });
+  }
+  applyConfigSnapshot({ [name]: "" });
+  if (name === "geminiKey") geminiClient = null;
+  if (name === "smtpPassword") resetSmtpTransport();
+  persistConfig();
+  res.json({ success: true });
+});
+
+// Re-encrypt the stored configuration with the current master key
+app.post("/api/config/rotate", (req, res) => {
+  if (!configKeyring.length) return res.status(400).json({ error: "CONFIG_MASTER_KEY is not set" });
+  const previousKeyId = configState.keyId;
+  if (!persistConfig()) return res.status(500).json({ error: "Failed to write configuration" });
+  res.json({ success: true, previousKeyId, keyId: configState.keyId });
+});
+
+// Get available models
+app.get("/api/models", async (req, res) => {
+  const models = [
+    { id: "google/gemini-2.0-flash-001", name: "Gemini 2.0 Flash", cost: "$" },
+    { id: "google/gemini-2.5-pro-preview", name: "Gemini 2.5 Pro", cost: "$$" },
+    { id: "anthropic/claude-opus-4.5", name: "Claude Opus 4.5", cost: "$$$" },
+    { id: "anthropic/claude-sonnet-4.5", name: "Claude Sonnet 4.5", cost: "$$" },
+    { id: "anthropic/claude-haiku-4.5", name: "Claude Haiku 4.5", cost: "$" },
+    { id: "openai/gpt-4o-mini", name: "GPT-4o Mini", cost: "$" },
+    { id: "openai/gpt-4o", name: "GPT-4o", cost: "$$" },
+    { id: "meta-llama/llama-3.3-70b-instruct", name: "Llama 3.3 70B", cost: "$" },
+    { id: "deepseek/deepseek-chat-v3-0324", name: "DeepSeek V3", cost: "$" },
+  ];
+  if (llmConfig.geminiKey) {
+    models.push(
+      { id: "gemini:gemini-2.0-flash", name: "Gemini 2.0 Flash (direct)", cost: "$" },
+      { id: "gemini:gemini-2.5-pro", name: "Gemini 2.5 Pro (direct)", cost: "$$" },
+    );
+  }
+  if (llmConfig.localBaseUrl) {
+    try {
+      const r = await fetch(`${llmConfig.localBaseUrl.replace(/\/$/, "")}/models`, { signal: AbortSignal.timeout(3000) });
+      const data = await r.json();
+      (data.data || []).forEach(m => models.push({ id: `local:${m.id}`, name: `${m.id} (local)`, cost: "free" }));
+    } catch {}
+  }
+  res.json({ models, selected: workspaceLLM(req.workspaceId).selectedModel, taskModels: llmConfig.taskModels, fallbackModels: llmConfig.fallbackModels });
+});
+
+// LLM providers, per-task model chains and retry settings
+app.get("/api/llm-config", (req, res) => {
+  const wsLLM = workspaceLLM(req.workspaceId);
+  res.json({
+    selectedModel: wsLLM.selectedModel,
+    providers: {
+      openrouter: { configured: !!wsLLM.openRouterKey },
+      gemini: { configured: !!llmConfig.geminiKey },
+      local: { configured: !!llmConfig.localBaseUrl, baseUrl: llmConfig.localBaseUrl },
+    },
+    tasks: LLM_TASKS,
+    taskModels: llmConfig.taskModels,
+    fallbackModels: llmConfig.fallbackModels,
+    timeoutMs: llmConfig.timeoutMs,
+    maxRetries: llmConfig.maxRetries,
+  });
+});
+
+app.post("/api/llm-config", (req, res) => {
+  const { geminiKey, localBaseUrl, localApiKey, timeoutMs, maxRetries, taskModels, fallbackModels } = req.body;
+  const toChain = (v) => (Array.isArray(v) ? v : [v]).filter(m => typeof m === "string" && m.trim()).map(m => m.trim());
+
+  if (taskModels !== undefined) {
+    if (typeof taskModels !== "object" || Array.isArray(taskModels)) return res.status(400).json({ error: "taskModels must be an object of task → model list" });
+    const unknown = Object.keys(taskModels).filter(t => !LLM_TASKS.includes(t));
+    if (unknown.length) return res.status(400).json({ error: `Unknown task(s): ${unknown.join(", ")}. Tasks: ${LLM_TASKS.join(", ")}` });
+  }
+
+  if (geminiKey) { llmConfig.geminiKey = geminiKey; geminiClient = null; }
+  if (localBaseUrl !== undefined) llmConfig.localBaseUrl = localBaseUrl;
+  if (localApiKey) llmConfig.localApiKey = localApiKey;
+  if (timeoutMs !== undefined) llmConfig.timeoutMs = Math.max(1000, parseInt(timeoutMs) || llmConfig.timeoutMs);
+  if (maxRetries !== undefined) llmConfig.maxRetries = Math.min(8, Math.max(0, parseInt(maxRetries) || 0));
+  if (taskModels !== undefined) {
+    for (const [task, chain] of Object.entries(taskModels)) {
+      const list = toChain(chain || []);
+      if (list.length) llmConfig.taskModels[task] = list;
+      else delete llmConfig.taskModels[task];
+    }
+  }
+  if (fallbackModels !== undefined) llmConfig.fallbackModels = toChain(fallbackModels || []);
+  res.json({ success: true, persisted: persistConfig() });
+});
+
+// ═══ Industry & Role Categories (defaults seeded into the profile store) ═══
+const DEFAULT_INDUSTRIES = {
+  "banking": {
+    label: "Banking & Financial Services",
+    description: "Banks, credit unions, fintech companies needing regulatory compliance and customer communication",
+    keywords: "banking, financial services, credit union, fintech, wealth management, investment"
+  },
+  "insurance": {
+    label: "Insurance Companies",
+    description: "Insurance providers needing omnichannel policy communications",
+    keywords: "insurance, life insurance, property insurance, health insurance, underwriting"
+  },
+  "healthcare": {
+    label: "Healthcare & Medical",
+    description: "Hospitals, clinics, healthcare systems needing patient communications",
+    keywords: "healthcare, hospital, medical center, clinic, health system, patient care"
+  },
+  "government": {
+    label: "Government & Public Sector",
+    description: "Government agencies, municipalities needing citizen engagement",
+    keywords: "government, public sector, municipality, state agency, federal, local government"
+  },
+  "utilities": {
+    label: "Utilities & Telecom",
+    description: "Utility companies, telecom providers with high-volume customer communications",
+    keywords: "utility, electricity, water, gas, telecom, telecommunications, broadband"
+  },
+  "enterprise": {
+    label: "Large Enterprises",
+    description: "Fortune 500, large corporations needing document automation",
+    keywords: "enterprise, corporation, fortune 500, large company, multinational"
+  },
+  "printing": {
+    label: "Printing & Print Services",
+    description: "Commercial printers, print service providers, and print management companies needing output management and digital transformation",
+    keywords: "printing, commercial print, print services, print management, digital print, transactional print, direct mail, print production, print workflow"
+  }
+};
+
+const DEFAULT_ROLES = [
+  "Chief Information Officer (CIO)",
+  "Chief Technology Officer (CTO)",
+  "VP of IT",
+  "IT Director",
+  "Director of Digital Transformation",
+  "Head of Customer Experience",
+  "VP of Customer Operations",
+  "Director of Communications",
+  "Chief Digital Officer",
+  "VP of Technology",
+  "Head of IT Infrastructure",
+  "Director of Enterprise Applications"
+];
+
+// ═══ Sender Profiles, Industries & Role Lists (persisted, editable) ═══
+const DEFAULT_SENDER_PROFILE = {
+  id: "default",
+  name: "Belwo CCM Consulting",
+  companyName: "Belwo",
+  website: "www.belwo.com",
+  offering: "Customer Communications Management (CCM) consulting",
+  offeringShort: "CCM",
+  description: "Customer Communications Management (CCM) consulting firm with 20 years of experience, 200+ consultants and 100+ clients globally. Helps enterprises modernize customer communication infrastructure.",
+  services: [
+    "CCM platform implementation (Quadient, OpenText, SmartComm, Solimar, Compart)",
+    "Document automation and template management",
+    "Output management (print, email, SMS, web)",
+    "Application migration and system integration",
+    "Managed services for customer communications",
+  ],
+  valueProps: [
+    "20 years CCM experience, 200+ consultants, 100+ clients",
+    "Compliance and regulatory communication expertise",
+    "Personalization and omnichannel customer experience",
+  ],
+  partners: ["Quadient", "OpenText", "SmartComm", "Solimar", "Compart"],
+  competitors: [], // named in outreach lint warnings
+  caseStudies: [],
+  buyerFocus: "IT infrastructure, customer communications, digital transformation, enterprise applications",
+  senderName: "Business Development @ Belwo",
+  isDefault: true,
+};
+
+const senderProfiles = new Map();
+let industries = {};
+const roleLists = new Map();
+
+function loadProfileData() {
+  try {
+    const d = JSON.parse(fs.readFileSync(path.join(dataDir, "profiles.json"), "utf8"));
+    (d.profiles || []).forEach(([k,v]) => senderProfiles.set(k,v));
+    industries = d.industries || {};
+    (d.roleLists || []).forEach(([k,v]) => roleLists.set(k,v));
+  } catch {}
+  if (!senderProfiles.size) senderProfiles.set("default", { ...DEFAULT_SENDER_PROFILE, createdAt: new Date().toISOString() });
+  if (!Object.keys(industries).length) industries = JSON.parse(JSON.stringify(DEFAULT_INDUSTRIES));
+  if (!roleLists.size) roleLists.set("default", { id: "default", name: "IT & CX decision makers", roles: [...DEFAULT_ROLES], isDefault: true });
+}
+loadProfileData();
+
+function saveProfileData() {
+  try {
+    fs.writeFileSync(path.join(dataDir, "profiles.json"), JSON.stringify({ profiles: [...senderProfiles], industries, roleLists: [...roleLists] }));
+  } catch {}
+}
+
+// Profiles without a workspaceId are shared by every workspace
+function profileVisible(profile, workspaceId) {
+  return !!profile && (!profile.workspaceId || profile.workspaceId === workspaceId);
+}
+
+function getSenderProfile(id, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const requested = senderProfiles.get(id);
+  if (profileVisible(requested, workspaceId)) return requested;
+  const workspaceDefault = senderProfiles.get(getWorkspace(workspaceId).profileId);
+  if (profileVisible(workspaceDefault, workspaceId)) return workspaceDefault;
+  const visible = [...senderProfiles.values()].filter(p => profileVisible(p, workspaceId));
+  return visible.find(p => p.isDefault) || visible[0] || DEFAULT_SENDER_PROFILE;
+}
+
+function getIndustry(id) {
+  return industries[id] || industries["enterprise"] || Object.values(industries)[0];
+}
+
+function getRoles(roleListId, roleFilter) {
+  if (Array.isArray(roleFilter) && roleFilter.length) return roleFilter;
+  if (typeof roleFilter === "string" && roleFilter.trim()) return roleFilter.split(",").map(r => r.trim()).filter(Boolean);
+  const list = roleLists.get(roleListId) || [...roleLists.values()].find(l => l.isDefault) || roleLists.values().next().value;
+  return list ? list.roles : [];
+}
+
+// "ABOUT <COMPANY>" block shared by every prompt
+function describeSender(profile) {
+  const lines = [`ABOUT ${profile.companyName.toUpperCase()}:`];
+  lines.push(`${profile.companyName}${profile.website ? ` (${profile.website})` : ""}: ${profile.description}`);
+  if (profile.services.length) lines.push("Services:", ...profile.services.map(s => `- ${s}`));
+  if (profile.valueProps.length) lines.push("Value propositions:", ...profile.valueProps.map(v => `- ${v}`));
+  if (profile.partners.length) lines.push(`Partners: ${profile.partners.join(", ")}`);
+  if (profile.caseStudies.length) {
+    lines.push("Case studies:", ...profile.caseStudies.map(c => `- ${c.client}${c.industry ? ` (${c.industry})` : ""}: ${c.summary}`));
+  }
+  return lines.join("\n");
+}
+
+const PROFILE_LIST_FIELDS = ["services", "valueProps", "partners", "competitors"];
+
+function normalizeProfile(input, existing) {
+  const p = { ...(existing || {}), ...input };
+  for (const f of ["name", "companyName", "offering"]) {
+    if (!p[f] || typeof p[f] !== "string") throw new Error(`${f} is required`);
+  }
+  p.offeringShort = p.offeringShort || p.offering;
+  p.description = p.description || "";
+  p.website = p.website || "";
+  p.buyerFocus = p.buyerFocus || "";
+  p.senderName = p.senderName || `Business Development @ ${p.companyName}`;
+  for (const f of PROFILE_LIST_FIELDS) {
+    p[f] = (Array.isArray(p[f]) ? p[f] : []).filter(v => typeof v === "string" && v.trim());
+  }
+  p.caseStudies = (Array.isArray(p.caseStudies) ? p.caseStudies : [])
+    .filter(c => c && c.client && c.summary)
+    .map(c => ({ client: c.client, industry: c.industry || "", summary: c.summary }));
+  return p;
+}
+
+// ─── Sender Profile CRUD ───
+
+app.get("/api/profiles", (req, res) => {
+  const current = getSenderProfile(null, req.workspaceId);
+  const profiles = [...senderProfiles.values()]
+    .filter(p => profileVisible(p, req.workspaceId))
+    .map(p => ({ ...p, shared: !p.workspaceId, isWorkspaceDefault: p.id === current.id }));
+  res.json({ profiles });
+});
+
+app.get("/api/profiles/:id", (req, res) => {
+  const profile = senderProfiles.get(req.params.id);
+  if (!profileVisible(profile, req.workspaceId)) return res.status(404).json({ error: "Profile not found" });
+  res.json({ profile });
+});
+
+app.post("/api/profiles", (req, res) => {
+  try {
+    const { id, isDefault, workspaceId, shared, ...input } = req.body;
+    const profile = {
+      ...normalizeProfile(input),
+      id: genId("prof"),
+      workspaceId: shared ? null : req.workspaceId,
+      isDefault: false,
+      createdAt: new Date().toISOString(),
+    };
+    senderProfiles.set(profile.id, profile);
+    saveProfileData();
+    res.json({ success: true, profile });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/profiles/:id", (req, res) => {
+  const existing = senderProfiles.get(req.params.id);
+  if (!profileVisible(existing, req.workspaceId)) return res.status(404).json({ error: "Profile not found" });
+  try {
+    const { id, isDefault, createdAt, workspaceId, shared, ...input } = req.body;
+    const profile = { ...normalizeProfile(input, existing), updatedAt: new Date().toISOString() };
+    senderProfiles.set(profile.id, profile);
+    saveProfileData();
+    res.json({ success: true, profile });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Make a profile the default for the caller's workspace
+app.post("/api/profiles/:id/default", (req, res) => {
+  if (!profileVisible(senderProfiles.get(req.params.id), req.workspaceId)) return res.status(404).json({ error: "Profile not found" });
+  getWorkspace(req.workspaceId).profileId = req.params.id;
+  saveWorkspaceData();
+  res.json({ success: true });
+});
+
+app.delete("/api/profiles/:id", (req, res) => {
+  const profile = senderProfiles.get(req.params.id);
+  if (!profileVisible(profile, req.workspaceId)) return res.status(404).json({ error: "Profile not found" });
+  const remaining = [...senderProfiles.values()].filter(p => p.id !== profile.id);
+  // A shared profile may be the only one another workspace can see
+  const affected = profile.workspaceId ? [profile.workspaceId] : [...workspaces.keys()];
+  if (affected.some(wsId => !remaining.some(p => profileVisible(p, wsId)))) {
+    return res.status(400).json({ error: "Cannot delete the only profile a workspace can use" });
+  }
+  senderProfiles.delete(profile.id);
+  // The default flag stays within the same scope, so a shared default is never replaced by a private one
+  if (profile.isDefault) {
+    const heir = remaining.find(p => (p.workspaceId || null) === (profile.workspaceId || null));
+    if (heir) heir.isDefault = true;
+  }
+  for (const ws of workspaces.values()) if (ws.profileId === profile.id) ws.profileId = null;
+  saveWorkspaceData();
+  saveProfileData();
+  res.json({ success: true });
+});
+
+// ─── Industries ───
+
+app.get("/api/industries", (req, res) => {
+  const list = Object.entries(industries).map(([id, data]) => ({
+    id,
+    label: data.label,
+    description: data.description,
+    keywords: data.keywords,
+  }));
+  res.json({ industries: list });
+});
+
+app.post("/api/industries", (req, res) => {
+  const { id, label, description, keywords } = req.body;
+  if (!label || !keywords) return res.status(400).json({ error: "label and keywords are required" });
+  const key = (id || label).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  if (!key) return res.status(400).json({ error: "Invalid industry id" });
+  if (industries[key]) return res.status(409).json({ error: `Industry "${key}" already exists` });
+  industries[key] = { label, description: description || "", keywords };
+  saveProfileData();
+  res.json({ success: true, industry: { id: key, ...industries[key] } });
+});
+
+app.put("/api/industries/:id", (req, res) => {
+  const industry = industries[req.params.id];
+  if (!industry) return res.status(404).json({ error: "Industry not found" });
+  const { label, description, keywords } = req.body;
+  if (label !== undefined) industry.label = label;
+  if (description !== undefined) industry.description = description;
+  if (keywords !== undefined) industry.keywords = keywords;
+  saveProfileData();
+  res.json({ success: true, industry: { id: req.params.id, ...industry } });
+});
+
+app.delete("/api/industries/:id", (req, res) => {
+  if (!industries[req.params.id]) return res.status(404).json({ error: "Industry not found" });
+  if (Object.keys(industries).length === 1) return res.status(400).json({ error: "Cannot delete the only industry" });
+  delete industries[req.params.id];
+  saveProfileData();
+  res.json({ success: true });
+});
+
+// ─── Role Lists ───
+
+app.get("/api/roles", (req, res) => {
+  res.json({ roleLists: [...roleLists.values()] });
+});
+
+app.post("/api/roles", (req, res) => {
+  const { name, roles } = req.body;
+  if (!name || !Array.isArray(roles) || !roles.length) return res.status(400).json({ error: "name and a non-empty roles array are required" });
+  const list = { id: genId("roles"), name, roles: roles.filter(r => typeof r === "string" && r.trim()), isDefault: false };
+  roleLists.set(list.id, list);
+  saveProfileData();
+  res.json({ success: true, roleList: list });
+});
+
+app.put("/api/roles/:id", (req, res) => {
+  const list = roleLists.get(req.params.id);
+  if (!list) return res.status(404).json({ error: "Role list not found" });
+  const { name, roles, isDefault } = req.body;
+  if (roles !== undefined) {
+    if (!Array.isArray(roles) || !roles.length) return res.status(400).json({ error: "roles must be a non-empty array" });
+    list.roles = roles.filter(r => typeof r === "string" && r.trim());
+  }
+  if (name) list.name = name;
+  if (isDefault) for (const l of roleLists.values()) l.isDefault = l.id === list.id;
+  saveProfileData();
+  res.json({ success: true, roleList: list });
+});
+
+app.delete("/api/roles/:id", (req, res) => {
+  const list = roleLists.get(req.params.id);
+  if (!list) return res.status(404).json({ error: "Role list not found" });
+  if (roleLists.size === 1) return res.status(400).json({ error: "Cannot delete the only role list" });
+  roleLists.delete(list.id);
+  if (list.isDefault) roleLists.values().next().value.isDefault = true;
+  saveProfileData();
+  res.json({ success: true });
+});
+
+// Previously searched companies to avoid repeats (per workspace)
+const previouslySearched = new Map();
+
+function searchedCompanies(workspaceId) {
+  if (!previouslySearched.has(workspaceId)) previouslySearched.set(workspaceId, new Set());
+  return previouslySearched.get(workspaceId);
+}
+
+// ═══ Lead Store ═══
+const leadStore = new Map();
+const searchHistory = [];
+const LEAD_STATUSES = ["new", "contacted", "engaged", "qualified", "unqualified", "customer"];
+// What PUT /api/leads/:id may change; ids, sources, provenance and enrichment results are kept by the server
+const LEAD_EDITABLE_FIELDS = ["company", "name", "title", "email", "linkedinUrl", "companyWebsite", "industry", "companySize", "location", "phone", "painPoint", "relevance", "owner", "status"];
+const SEARCH_HISTORY_MAX = 1000;
+
+function loadLeadData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "leads.json"), "utf8")); d.forEach(([k,v]) => leadStore.set(k,v)); } catch {}
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "searches.json"), "utf8")); searchHistory.push(...d); } catch {}
+  try {
+    const d = JSON.parse(fs.readFileSync(path.join(dataDir, "previously-searched.json"), "utf8"));
+    // Older files hold a flat list of company names for the (then only) default workspace
+    if (d.every(c => typeof c === "string")) d.forEach(c => searchedCompanies(DEFAULT_WORKSPACE_ID).add(c));
+    else d.forEach(([ws, list]) => list.forEach(c => searchedCompanies(ws).add(c)));
+  } catch {}
+}
+
+function saveLeadData() {
+  try { fs.writeFileSync(path.join(dataDir, "leads.json"), JSON.stringify([...leadStore])); } catch {}
+  try { fs.writeFileSync(path.join(dataDir, "searches.json"), JSON.stringify(searchHistory.slice(-SEARCH_HISTORY_MAX))); } catch {}
+  try { fs.writeFileSync(path.join(dataDir, "previously-searched.json"), JSON.stringify([...previouslySearched].map(([ws, set]) => [ws, [...set]]))); } catch {}
+}
+
+function extractDomain(lead) {
+  const source = lead.companyWebsite || lead.domain || "";
+  try {
+    if (source) return new URL(/^https?:\/\//i.test(source) ? source : `https://${source}`).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {}
+  const emailDomain = (lead.email || "").split("@")[1];
+  return emailDomain ? emailDomain.toLowerCase() : "";
+}
+
+// Dedupe key: company domain + email (falls back to domain + name when there is no email)
+function leadKey(lead) {
+  const domain = extractDomain(lead) || (lead.company || "").toLowerCase().trim();
+  const contact = (lead.email || "").toLowerCase().trim() || `name:${(lead.name || "").toLowerCase().trim()}`;
+  return `${domain}|${contact}`;
+}
+
+// Same named person at the same company, for when one side has no email yet (its key is then name-based)
+function samePersonWithoutEmail(a, b) {
+  if (a.email && b.email) return false;
+  const name = (l) => (l.name || "").toLowerCase().trim();
+  const company = (l) => (l.company || "").toLowerCase().trim();
+  if (!name(a) || name(a) !== name(b)) return false;
+  return (!!extractDomain(a) && extractDomain(a) === extractDomain(b)) || (!!company(a) && company(a) === company(b));
+}
+
+// Leads are deduped within a workspace; two teams can each hold the same contact
+function findStoredLead(lead, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const key = leadKey(lead);
+  const candidates = [...leadStore.values()].filter(stored => inWorkspace(stored, workspaceId));
+  return candidates.find(stored => stored.dedupeKey === key) || candidates.find(stored => samePersonWithoutEmail(stored, lead)) || null;
+}
+
+// Insert or merge a lead; owner/status set by reps are never overwritten by a new search
+function upsertLead(data, source, workspaceId = DEFAULT_WORKSPACE_ID) {
+  const now = new Date().toISOString();
+  const { id, owner, status, sources, createdAt, updatedAt, dedupeKey, workspaceId: _ws, ...fields } = data;
+  let stored = findStoredLead(data, workspaceId);
+  let created = false;
+
+  if (!stored) {
+    stored = {
+      id: genId("ld"),
+      workspaceId,
+      ...fields,
+      domain: extractDomain(data),
+      dedupeKey: leadKey(data),
+      owner: owner || null,
+      status: LEAD_STATUSES.includes(status) ? status : "new",
+      sources: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    leadStore.set(stored.id, stored);
+    created = true;
+  } else {
+    // Imported name, title and email stay put when a search or enrichment brings the same lead back
+    const keepImported = (k) => stored.provenance?.[k]?.source === "import" && fields.provenance?.[k]?.source !== "import";
+    for (const [k, v] of Object.entries(fields)) {
+      if (v === undefined || v === null || v === "" || keepImported(k)) continue;
+      if (k === "provenance") {
+        stored.provenance = { ...(stored.provenance || {}) };
+        for (const [field, p] of Object.entries(v)) if (!keepImported(field)) stored.provenance[field] = p;
+      } else stored[k] = v;
+    }
+    // A lead first stored without an email is re-keyed once one arrives
+    stored.domain = extractDomain(stored);
+    stored.dedupeKey = leadKey(stored);
+    stored.updatedAt = now;
+  }
+  if (source) stored.sources.push({ ...source, at: now });
+  scheduleSave();
+  return { lead: stored, created };
+}
+
+// Apply updates to a stored lead; returns the clashing lead (and changes nothing) if the new dedupe key is taken
+function updateStoredLead(lead, updates) {
+  const newKey = leadKey({ ...lead, ...updates });
+  const clash = [...leadStore.values()].find(l => l.id !== lead.id && l.dedupeKey === newKey && inWorkspace(l, lead.workspaceId || DEFAULT_WORKSPACE_ID));
+  if (clash) return clash;
+
+  // A verification result belongs to the address it checked
+  const emailChanged = updates.email !== undefined && (updates.email || "").toLowerCase() !== (lead.email || "").toLowerCase();
+  if (emailChanged && updates.emailVerification === undefined) {
+    lead.emailVerification = null;
+    lead.verified = false;
+  }
+  Object.assign(lead, updates);
+  lead.domain = extractDomain(lead);
+  lead.dedupeKey = newKey;
+  lead.updatedAt = new Date().toISOString();
+  scheduleSave();
+  return null;
+}
+
+async function enrichStoredLead(lead, options) {
+  const { id, owner, status, sources, createdAt, updatedAt, dedupeKey, workspaceId, ...fields } = lead;
+  const enriched = await enrichLead(fields, options);
+  // If the enriched name/email collides with another stored lead, keep this lead's original contact
+  if (updateStoredLead(lead, enriched)) {
+    updateStoredLead(lead, { ...enriched, name: lead.name, email: lead.email });
+  }
+  lead.sources.push({ type: "enrichment", at: new Date().toISOString() });
+  return lead;
+}
+
+function filterLeads(query, workspaceId = DEFAULT_WORKSPACE_ID) {
+  let list = [...leadStore.values()].filter(l => inWorkspace(l, workspaceId));
+  if (query.status) list = list.filter(l => l.status === query.status);
+  if (query.owner) list = list.filter(l => l.owner === query.owner);
+  if (query.industry) list = list.filter(l => l.sources.some(s => s.industry === query.industry) || l.industry === query.industry);
+  if (query.searchId) list = list.filter(l => l.sources.some(s => s.searchId === query.searchId));
+  if (query.replyCategory) list = list.filter(l => l.lastReply?.category === query.replyCategory);
+  if (query.since) list = list.filter(l => new Date(l.createdAt) >= new Date(query.since));
+  if (query.until) list = list.filter(l => new Date(l.createdAt) <= new Date(query.until));
+  if (query.q) {
+    const q = String(query.q).toLowerCase();
+    list = list.filter(l => [l.company, l.name, l.title, l.email, l.domain, l.location, l.painPoint]
+      .some(v => (v || "").toLowerCase().includes(q)));
+  }
+
+  const sort = query.sort || "updatedAt";
+  list.sort((a, b) => {
+    if (sort === "relevance") return (b.relevance || 0) - (a.relevance || 0);
+    if (sort === "company") return (a.company || "").localeCompare(b.company || "");
+    if (sort === "createdAt") return new Date(b.createdAt) - new Date(a.createdAt);
+    return new Date(b.updatedAt) - new Date(a.updatedAt);
+  });
+  return list;
+}
+
+loadLeadData();
+
+// ═══ Suppression List (do-not-contact) ═══
+// Emails, domains and companies that must not be contacted. Unsubscribes apply to every workspace;
+// entries added by hand belong to the adding workspace unless an admin makes them global.
+// Checked before lead search results are returned, before messages are generated or sent, and on
+// every sequence step; each blocked attempt is written to the audit log.
+const SUPPRESSION_TYPES = ["email", "domain", "company"];
+const SUPPRESSION_AUDIT_MAX = 5000;
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|llp|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|sas|plc|bv|nv|pty|group|holdings?)\b/g;
+const suppressions = new Map();
+const suppressionAudit = [];
+let unsubscribeSecret = process.env.UNSUBSCRIBE_SECRET || "";
+
+function loadSuppressionData() {
+  try {
+    const d = JSON.parse(fs.readFileSync(path.join(dataDir, "suppressions.json"), "utf8"));
+    (d.entries || []).forEach(([k,v]) => suppressions.set(k,v));
+    suppressionAudit.push(...(d.audit || []));
+    if (!unsubscribeSecret) unsubscribeSecret = d.secret || "";
+  } catch {}
+  // Unsubscribe links must keep working across restarts, so a generated secret is persisted
+  if (!unsubscribeSecret) unsubscribeSecret = crypto.randomBytes(32).toString("hex");
+}
+loadSuppressionData();
+
+function saveSuppressionData() {
+  const secret = process.env.UNSUBSCRIBE_SECRET ? undefined : unsubscribeSecret;
+  try { fs.writeFileSync(path.join(dataDir, "suppressions.json"), JSON.stringify({ secret, entries: [...suppressions], audit: suppressionAudit }), { mode: 0o600 }); } catch {}
+}
+
+function normalizeCompanyName(name) {
+  return String(name || "").toLowerCase().replace(/[.,'"()&!]/g, " ").replace(COMPANY_SUFFIXES, " ").replace(/\s+/g, " ").trim();
+}
+
+function normalizeDomainName(value) {
+  const host = String(value || "").trim().toLowerCase().replace(/^[a-z]+:\/\//, "").split(/[/?#]/)[0];
+  return host.replace(/^www\./, "").replace(/^.*@/, "");
+}
+
+function normalizeSuppressionValue(type, value) {
+  if (type === "email") return String(value || "").trim().toLowerCase();
+  if (type === "domain") return normalizeDomainName(value);
+  return normalizeCompanyName(value);
+}
+
+function suppressionApplies(entry, workspaceId) {
+  return !entry.workspaceId || entry.workspaceId === workspaceId;
+}
+
+// First entry that covers the lead's email, email/website domain (subdomains included) or company name
+function findSuppression(target, workspaceId) {
+  if (!target) return null;
+  const email = (target.email || "").trim().toLowerCase();
+  const domains = [email.split("@")[1], normalizeDomainName(target.domain || target.companyWebsite)].filter(Boolean);
+  const company = normalizeCompanyName(target.company);
+  for (const entry of suppressions.values()) {
+    if (!suppressionApplies(entry, workspaceId)) continue;
+    if (entry.type === "email" && email && entry.value === email) return entry;
+    if (entry.type === "domain" && domains.some(d => d === entry.value || d.endsWith("." + entry.value))) return entry;
+    if (entry.type === "company" && company && entry.value === company) return entry;
+  }
+  return null;
+}
+
+function auditSuppression(event, fields) {
+  suppressionAudit.push({ id: genId("sa"), event, at: new Date().toISOString(), ...fields });
+  if (suppressionAudit.length > SUPPRESSION_AUDIT_MAX) suppressionAudit.splice(0, suppressionAudit.length - SUPPRESSION_AUDIT_MAX);
+  scheduleSave();
+}
+
+/**
+ * Look the lead up on the suppression list for `action` (lead-search, generate-message, send, ...).
+ * Returns the matching entry after logging the blocked attempt, or null when contact is allowed.
+ */
+function checkSuppressed(target, action, { workspaceId = DEFAULT_WORKSPACE_ID, userId = null } = {}) {
+  const entry = findSuppression(target, workspaceId);
+  if (entry) {
+    auditSuppression("blocked", {
+      action,
+      workspaceId,
+      userId,
+      target: { name: target.name || null, email: target.email || null, company: target.company || null },
+      suppressionId: entry.id,
+      matched: `${entry.type}:${entry.value}`,
+    });
+  }
+  return entry;
+}
+
+function suppressionError(entry) {
+  return Object.assign(new Error(`Do not contact: ${entry.type} "${entry.value}" is on the suppression list`), { suppressed: true, suppressionId: entry.id });
+}
+
+// Idempotent: an existing entry with the same type, value and scope is returned instead of a duplicate
+function addSuppression({ type, value, reason, note, workspaceId = null, source = null }, userId = null) {
+  if (!SUPPRESSION_TYPES.includes(type)) throw new Error(`type must be one of ${SUPPRESSION_TYPES.join(", ")}`);
+  const normalized = normalizeSuppressionValue(type, value);
+  if (type === "email" && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(normalized)) throw new Error(`Invalid email: ${value}`);
+  if (type === "domain" && !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized)) throw new Error(`Invalid domain: ${value}`);
+  if (type === "company" && !normalized) throw new Error(`Invalid company name: ${value}`);
+
+  const existing = [...suppressions.values()].find(e => e.type === type && e.value === normalized && (e.workspaceId || null) === workspaceId);
+  if (existing) return { entry: existing, created: false };
+  const entry = {
+    id: genId("sup"),
+    workspaceId,
+    type,
+    value: normalized,
+    display: String(value).trim(),
+    reason: reason || "manual",
+    note: note || "",
+    source,
+    createdBy: userId,
+    createdAt: new Date().toISOString(),
+  };
+  suppressions.set(entry.id, entry);
+  auditSuppression("added", { workspaceId, userId, suppressionId: entry.id, matched: `${type}:${normalized}`, reason: entry.reason });
+  saveSuppressionData();
+  return { entry, created: true };
+}
+
+// ─── Unsubscribe links ───
+// Tokens are signed so a link only unsubscribes the address it was sent to
+
+function signUnsubscribePayload(payload) {
+  return crypto.createHmac("sha256", unsubscribeSecret).update(payload).digest("base64url").slice(0, 22);
+}
+
+function unsubscribeToken(email, workspaceId, messageId) {
+  const payload = Buffer.from(JSON.stringify({ e: email.toLowerCase(), w: workspaceId, m: messageId || null })).toString("base64url");
+  return `${payload}.${signUnsubscribePayload(payload)}`;
+}
+
+function readUnsubscribeToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+  const expected = signUnsubscribePayload(payload);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+  try { return JSON.parse(Buffer.from(payload, "base64url").toString("utf8")); } catch { return null; }
+}
+
+function unsubscribePage(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${title}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:480px;margin:80px auto;padding:0 24px;color:#222;line-height:1.5}button{padding:10px 20px;font-size:15px;cursor:pointer}</style>
+</head><body><h2>${title}</h2>${body}</body></html>`;
+}
+
+function maskEmail(email) {
+  const [local, domain] = email.split("@");
+  return `${local.slice(0, 2)}${"•".repeat(Math.max(1, local.length - 2))}@${domain}`;
+}
+
+// GET only shows a confirmation button: link scanners prefetch GETs and must not unsubscribe anyone
+app.get("/u/:token", (req, res) => {
+  const data = readUnsubscribeToken(req.params.token);
+  if (!data) return res.status(400).send(unsubscribePage("Invalid link", "<p>This unsubscribe link is not valid.</p>"));
+  if (findSuppression({ email: data.e }, data.w)?.type === "email") {
+    return res.send(unsubscribePage("You're unsubscribed", `<p>${maskEmail(data.e)} will not receive further emails from us.</p>`));
+  }
+  res.send(unsubscribePage("Unsubscribe", `<p>Stop all emails to ${maskEmail(data.e)}?</p><form method="post"><button type="submit">Unsubscribe</button></form>`));
+});
+
+// Form submit and RFC 8058 one-click POST from the mail client
+app.post("/u/:token", (req, res) => {
+  const data = readUnsubscribeToken(req.params.token);
+  if (!data) return res.status(400).send(unsubscribePage("Invalid link", "<p>This unsubscribe link is not valid.</p>"));
+  addSuppression({ type: "email", value: data.e, reason: "unsubscribe", source: { via: "link", messageId: data.m, workspaceId: data.w } });
+  const saved = sentMessages.find(m => m.id === data.m);
+  if (saved) saved.unsubscribedAt = saved.unsubscribedAt || new Date().toISOString();
+  pauseEnrollmentsForLead(data.e, "unsubscribed", data.w);
+  res.send(unsubscribePage("You're unsubscribed", `<p>${maskEmail(data.e)} will not receive further emails from us.</p>`));
+});
+
+// ─── Suppression list API ───
+
+app.get("/api/suppressions", (req, res) => {
+  let list = [...suppressions.values()].filter(e => suppressionApplies(e, req.workspaceId));
+  if (req.query.type) list = list.filter(e => e.type === req.query.type);
+  if (req.query.reason) list = list.filter(e => e.reason === req.query.reason);
+  if (req.query.q) {
+    const q = String(req.query.q).toLowerCase();
+    list = list.filter(e => e.value.includes(q) || (e.display || "").toLowerCase().includes(q));
+  }
+  list.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  res.json({ entries: list.map(e => ({ ...e, scope: e.workspaceId ? "workspace" : "global" })), total: list.length });
+});
+
+// Would contacting this email / domain / company be blocked? (does not write to the audit log)
+app.get("/api/suppressions/check", (req, res) => {
+  const { email, domain, company } = req.query;
+  if (!email && !domain && !company) return res.status(400).json({ error: "email, domain or company is required" });
+  const entry = findSuppression({ email, domain, company }, req.workspaceId);
+  res.json({ suppressed: !!entry, entry });
+});
+
+app.get("/api/suppressions/audit", (req, res) => {
+  let list = suppressionAudit.filter(a => !a.workspaceId || a.workspaceId === req.workspaceId);
+  if (req.query.event) list = list.filter(a => a.event === req.query.event);
+  if (req.query.action) list = list.filter(a => a.action === req.query.action);
+  const limit = Math.min(1000, parseInt(req.query.limit) || 200);
+  res.json({ audit: list.slice(-limit).reverse(), total: list.length });
+});
+
+// { type, value, reason?, note?, global? } or { entries: [...] }; only admins can add global entries
+app.post("/api/suppressions", (req, res) => {
+  const input = Array.isArray(req.body.entries) ? req.body.entries : [req.body];
+  if (input.some(e => e.global) && req.user.role !== "admin") return res.status(403).json({ error: "Only admins can add global entries" });
+  const added = [];
+  const existing = [];
+  const errors = [];
+  input.forEach((e, i) => {
+    try {
+      const { entry, created } = addSuppression({ ...e, workspaceId: e.global ? null : req.workspaceId, source: { via: "manual" } }, req.user.id);
+      (created ? added : existing).push(entry);
+    } catch (err) {
+      errors.push({ index: i, value: e.value, error: err.message });
+    }
+  });
+  const paused = added.filter(e => e.type === "email").reduce((n, e) => n + pauseEnrollmentsForLead(e.value, "suppressed", req.workspaceId), 0);
+  res.status(added.length || existing.length ? 200 : 400).json({ success: errors.length === 0, added, existing, errors, pausedEnrollments: paused });
+});
+
+app.delete("/api/suppressions/:id", (req, res) => {
+  const entry = suppressions.get(req.params.id);
+  if (!entry || !suppressionApplies(entry, req.workspaceId)) return res.status(404).json({ error: "Entry not found" });
+  suppressions.delete(entry.id);
+  auditSuppression("removed", { workspaceId: entry.workspaceId, userId: req.user.id, suppressionId: entry.id, matched: `${entry.type}:${entry.value}`, reason: entry.reason });
+  saveSuppressionData();
+  res.json({ success: true });
+});
+
+// ═══ Find REAL leads (decision makers at target companies) ═══
+
+/**
+ * Ask the LLM for leads, crawl each company website and store the results in the lead store.
+ * `context` is the caller's llmContext; `control` reports progress and is checked for cancellation
+ * between steps when the search runs as a background job.
+ */
+async function runLeadSearch(params, context, control = NO_JOB_CONTROL) {
+  const { industry, customKeywords, roleFilter, roleListId, profileId, page, verifyProbe } = params;
+  const { workspaceId } = context;
+  const searchPage = page || 1;
+
+  const industryData = getIndustry(industry);
+  const profile = getSenderProfile(profileId, workspaceId);
+  const targetRoles = getRoles(roleListId, roleFilter);
+  const searchKeywords = customKeywords || industryData.keywords;
+  const searched = searchedCompanies(workspaceId);
+
+  // Build exclusion list
+  const excludeList = searched.size > 0
+    ? `\n\nDO NOT include any of these companies (already searched): ${[...searched].join(", ")}`
+    : "";
+  const optedOut = [...suppressions.values()]
+    .filter(e => e.type !== "email" && suppressionApplies(e, workspaceId))
+    .map(e => (e.type === "company" ? e.display : e.value));
+  const optOutList = optedOut.length ? `\n\nNEVER include these companies or domains (asked not to be contacted): ${optedOut.join(", ")}` : "";
+
+  const randomSeed = Math.floor(Math.random() * 100000);
+
+  const prompt = `You are a B2B lead generation expert. Find REAL companies and their decision-makers for ${profile.companyName}'s ${profile.offering} services.
+
+${describeSender(profile)}
+
+TARGET INDUSTRY: ${industryData.label}
+KEYWORDS: ${searchKeywords}
+SEARCH PAGE: ${searchPage} (provide DIFFERENT results than previous pages)
+RANDOM SEED: ${randomSeed}
+
+TARGET ROLES: ${targetRoles.join(", ")}
+
+CRITICAL RULES:
+1. ONLY suggest REAL companies that ACTUALLY EXIST with real websites
+2. For each company, identify 2-3 REAL decision-makers who would buy ${profile.offeringShort} solutions
+3. Include their ACTUAL job titles (${targetRoles.slice(0, 4).join(", ")}, etc.)
+4. These should be people who own: ${profile.buyerFocus || targetRoles.join(", ")}
+5. DO NOT invent names or emails - use realistic formats based on company domain
+6. Include company size, location, and why they need ${profile.offeringShort} solutions
+7. Vary between large enterprises, mid-market, and growing companies
+${excludeList}${optOutList}
+
+Generate exactly 12 REAL leads (decision-makers at companies). For each provide:
+1. company: Actual company name
+2. companyWebsite: Real company website URL (with https://)
+3. industry: Specific industry (e.g., "Regional Bank", "Health Insurance", "Electric Utility")
+4. companySize: Employee count or category (e.g., "5000+ employees", "Mid-market 500-2000")
+5. location: City, State/Country
+6. name: Decision maker's full name (or realistic placeholder like "CIO - [Company Name]")
+7. title: Actual job title
+8. linkedinUrl: LinkedIn profile URL (format: https://www.linkedin.com/in/firstname-lastname or company page)
+9. email: Email in format firstname.lastname@companydomain.com (or common format)
+10. painPoint: Specific ${profile.offeringShort} challenge they likely face
+11. relevance: Score 1-10 for fit with ${profile.companyName}'s services
+
+Return ONLY valid JSON. No markdown, no code blocks.
+{"leads":[{"company":"...","companyWebsite":"...","industry":"...","companySize":"...","location":"...","name":"...","title":"...","linkedinUrl":"...","email":"...","painPoint":"...","relevance":8}]}`;
+
+  // Malformed entries are dropped (and reported) instead of failing the whole search
+  control.progress(0, null, "Asking the model for decision makers");
+  const { data, warnings } = await completeStructured(prompt, "leads", { temperature: 0.6, task: "leads", ...context });
+  // Suppressed leads are dropped before crawling and again once enrichment has found their real email
+  let suppressed = 0;
+  const allowed = (lead) => {
+    if (!checkSuppressed(lead, "lead-search", context)) return true;
+    suppressed++;
+    return false;
+  };
+  const leads = data.leads.filter(allowed);
+  control.throwIfCancelled();
+
+  const searchId = genId("srch");
+
+  // Track searched companies
+  leads.forEach(l => {
+    try { searched.add(l.company); } catch {}
+  });
+
+  // Step 2: Scrape company websites for additional emails, a few sites at a time
+  let crawled = 0;
+  control.progress(0, leads.length, `Crawling ${leads.length} company websites`);
+  const enriched = await mapWithConcurrency(leads, ENRICH_CONCURRENCY, async (lead) => {
+    control.throwIfCancelled();
+    const result = await enrichLead(lead, { verifyProbe });
+    control.progress(++crawled, leads.length, `Crawled ${crawled} of ${leads.length} company websites`);
+    return result;
+  });
+  control.throwIfCancelled();
+
+  // Sort by relevance
+  const sorted = enriched.filter(allowed).sort((a, b) => (b.relevance || 0) - (a.relevance || 0));
+
+  // Persist to the lead store, recording which search produced each lead
+  const source = { type: "search", searchId, industry: industry || "enterprise", keywords: searchKeywords, page: searchPage, profileId: profile.id };
+  const stored = sorted.map(lead => {
+    const { lead: saved, created } = upsertLead(lead, source, workspaceId);
+    return { ...lead, id: saved.id, owner: saved.owner, status: saved.status, isNew: created };
+  });
+  searchHistory.push({
+    searchId,
+    workspaceId,
+    industry: industry || "enterprise",
+    keywords: searchKeywords,
+    page: searchPage,
+    leadIds: stored.map(l => l.id),
+    at: new Date().toISOString(),
+  });
+  scheduleSave();
+
+  return {
+    leads: stored,
+    searchId,
+    industry: industryData.label,
+    page: searchPage,
+    totalPreviouslySearched: searched.size,
+    suppressed,
+    warnings,
+  };
+}
+
+// With { background: true } the search is queued as a job and the response carries the job id to poll
+app.post("/api/find-leads", async (req, res) => {
+  if (req.body.background) {
+    const job = enqueueJob("lead-search", pickLeadSearchParams(req.body), req);
+    return res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}` });
+  }
+  try {
+    res.json(await runLeadSearch(pickLeadSearchParams(req.body), llmContext(req)));
+  } catch (err) {
+    res.status(err.budgetExceeded ? 429 : 500).json({ error: err.message, validationErrors: err.validationErrors });
+  }
+});
+
+function pickLeadSearchParams(body) {
+  const { industry, customKeywords, roleFilter, roleListId, profileId, page, verifyProbe } = body;
+  return { industry, customKeywords, roleFilter, roleListId, profileId, page, verifyProbe: !!verifyProbe };
+}
+
+// Reset search history
+app.post("/api/reset-search", (req, res) => {
+  searchedCompanies(req.workspaceId).clear();
+  scheduleSave();
+  res.json({ success: true, message: "Search history cleared." });
+});
+
+// ═══ LEAD STORE API ═══
+
+app.get("/api/leads", (req, res) => {
+  let list = filterLeads(req.query, req.workspaceId);
+  const offset = parseInt(req.query.offset) || 0;
+  const limit = parseInt(req.query.limit) || 100;
+  const total = list.length;
+  list = list.slice(offset, offset + limit);
+  res.json({ leads: list, total, statuses: LEAD_STATUSES });
+});
+
+app.get("/api/leads/searches", (req, res) => {
+  const searches = searchHistory.filter(s => inWorkspace(s, req.workspaceId)).reverse().slice(0, parseInt(req.query.limit) || 50);
+  res.json({ searches });
+});
+
+app.get("/api/leads/:id", (req, res) => {
+  const lead = leadStore.get(req.params.id);
+  if (!inWorkspace(lead, req.workspaceId)) return res.status(404).json({ error: "Lead not found" });
+  res.json({ lead });
+});
+
+// Everything that happened with a lead, newest first: sourcing, messages, opens, clicks, site visits and replies.
+// ?prefetches=true also lists pixel hits that were not counted as opens.
+app.get("/api/leads/:id/timeline", (req, res) => {
+  const lead = leadStore.get(req.params.id);
+  if (!inWorkspace(lead, req.workspaceId)) return res.status(404).json({ error: "Lead not found" });
+  const email = (lead.email || "").toLowerCase();
+  const isLead = (info) => !!info && (info.id === lead.id || !!email && (info.email || "").toLowerCase() === email);
+  const owned = (record) => inWorkspace(record, req.workspaceId);
+
+  const timeline = lead.sources.map(s => ({ type: "sourced", at: s.at, source: s }));
+  const messages = sentMessages.filter(m => owned(m) && (m.leadId === lead.id || isLead(m.lead)));
+  for (const m of messages) {
+    timeline.push({ type: "message-saved", at: m.savedAt, messageId: m.id, messageType: m.messageType, subject: m.message?.subject || null });
+    if (m.delivery?.sentAt) timeline.push({ type: "message-sent", at: m.delivery.sentAt, messageId: m.id, subject: m.message?.subject || null });
+    // Steps that only a rep records; sends, opens, clicks and replies have entries of their own
+    (m.statusHistory || [])
+      .filter(h => h.source === "manual")
+      .forEach(h => timeline.push({ type: "message-status", at: h.at, messageId: m.id, status: h.status, by: h.by }));
+  }
+  for (const pixel of emailOpens.values()) {
+    if (!owned(pixel) || !isLead(pixel.leadInfo)) continue;
+    pixel.opens
+      .filter(o => o.kind === "open" || req.query.prefetches === "true")
+      .forEach(o => timeline.push({ type: o.kind === "open" ? "email-open" : `email-${o.kind}`, at: o.at, messageId: pixel.messageId, client: o.client, userAgent: o.userAgent, reason: o.reason }));
+  }
+  const links = [...trackedLinks.values()].filter(l => owned(l) && isLead(l.leadInfo));
+  for (const link of links) {
+    if (link.lastClicked) timeline.push({ type: "link-click", at: link.lastClicked, linkId: link.linkId, clicks: link.clicks, url: link.originalUrl });
+  }
+  const visitorIds = new Set(links.flatMap(l => l.visitorIds || []));
+  for (const e of eventBuffer) {
+    if (e.type === "pageview" && visitorIds.has(e.visitorId)) timeline.push({ type: "site-visit", at: e.timestamp, visitorId: e.visitorId, page: e.data?.path || e.data?.url || "/" });
+  }
+  for (const reply of inboundReplies.values()) {
+    if (owned(reply) && (reply.leadId === lead.id || messages.some(m => m.id === reply.messageId))) {
+      timeline.push({ type: "reply", at: reply.receivedAt, messageId: reply.messageId, category: reply.category, summary: reply.summary });
+    }
+  }
+  timeline.sort((a, b) => new Date(b.at) - new Date(a.at));
+  res.json({ lead: { id: lead.id, name: lead.name, company: lead.company, email: lead.email }, timeline });
+});
+
+app.post("/api/leads", (req, res) => {
+  const input = Array.isArray(req.body.leads) ? req.body.leads : [req.body.lead || req.body];
+  if (!input.length || input.some(l => !l || !l.company)) {
+    return res.status(400).json({ error: "Each lead needs at least a company" });
+  }
+  if (input.some(l => l.status && !LEAD_STATUSES.includes(l.status))) {
+    return res.status(400).json({ error: `status must be one of ${LEAD_STATUSES.join(", ")}` });
+  }
+  const results = input.map(l => upsertLead(l, { type: "manual" }, req.workspaceId));
+  res.json({
+    success: true,
+    leads: results.map(r => r.lead),
+    created: results.filter(r => r.created).length,
+    merged: results.filter(r => !r.created).length,
+  });
+});
+
+app.put("/api/leads/:id", (req, res) => {
+  const lead = leadStore.get(req.params.id);
+  if (!inWorkspace(lead, req.workspaceId)) return res.status(404).json({ error: "Lead not found" });
+  const updates = Object.fromEntries(LEAD_EDITABLE_FIELDS.filter(k => req.body[k] !== undefined).map(k => [k, req.body[k]]));
+  const invalid = Object.entries(updates).find(([k, v]) => v !== null && typeof v !== (k === "relevance" ? "number" : "string"));
+  if (invalid) return res.status(400).json({ error: `${invalid[0]} must be ${invalid[0] === "relevance" ? "a number" : "a string"} or null` });
+  if (!Object.keys(updates).length) return res.status(400).json({ error: `Nothing to update — editable fields: ${LEAD_EDITABLE_FIELDS.join(", ")}` });
+  if (updates.status !== undefined && !LEAD_STATUSES.includes(updates.status)) {
+    return res.status(400).json({ error: `status must be one of ${LEAD_STATUSES.join(", ")}` });
+  }
+  if (updates.company !== undefined && !updates.company) return res.status(400).json({ error: "A lead needs a company" });
+
+  const clash = updateStoredLead(lead, updates);
+  if (clash) return res.status(409).json({ error: "Another lead already has this company domain and email", duplicateId: clash.id });
+  res.json({ success: true, lead });
+});
+
+// Re-run website enrichment (crawl, email format, verification) for a stored lead
+app.post("/api/leads/:id/enrich", async (req, res) => {
+  const lead = leadStore.get(req.params.id);
+  if (!inWorkspace(lead, req.workspaceId)) return res.status(404).json({ error: "Lead not found" });
+  try {
+    await enrichStoredLead(lead, { verifyProbe: !!req.body.verifyProbe });
+    res.json({ success: true, lead });
+  } catch (err) {
+    res.status(500).json({ error: "Enrichment failed: " + err.message });
+  }
+});
+
+// Re-enrich many stored leads (explicit ids or everything from one search) as a background job
+app.post("/api/leads/enrich", (req, res) => {
+  const { leadIds, searchId, verifyProbe } = req.body;
+  let ids = Array.isArray(leadIds) ? leadIds : [];
+  if (searchId) ids = filterLeads({ searchId }, req.workspaceId).map(l => l.id);
+  ids = [...new Set(ids)].filter(id => inWorkspace(leadStore.get(id), req.workspaceId));
+  if (!ids.length) return res.status(400).json({ error: "No leads to enrich — pass leadIds or a searchId" });
+  const job = enqueueJob("enrich", { leadIds: ids, verifyProbe: !!verifyProbe }, req);
+  res.status(202).json({ success: true, jobId: job.id, leads: ids.length, statusUrl: `/api/jobs/${job.id}` });
+});
+
+// Verify a stored lead's email and record the result on the lead
+app.post("/api/leads/:id/verify", async (req, res) => {
+  const lead = leadStore.get(req.params.id);
+  if (!inWorkspace(lead, req.workspaceId)) return res.status(404).json({ error: "Lead not found" });
+  if (!lead.email) return res.status(400).json({ error: "Lead has no email address" });
+  try {
+    const seenOnWebsite = (lead.scrapedEmails || []).includes(lead.email.toLowerCase());
+    lead.emailVerification = await verifyEmail(lead.email, { probe: !!req.body.probe, seenOnWebsite });
+    lead.verified = lead.emailVerification.status === "valid";
+    lead.updatedAt = new Date().toISOString();
+    scheduleSave();
+    res.json({ success: true, lead });
+  } catch (err) {
+    res.status(500).json({ error: "Verification failed: " + err.message });
+  }
+});
+
+app.delete("/api/leads/:id", (req, res) => {
+  if (!inWorkspace(leadStore.get(req.params.id), req.workspaceId)) return res.status(404).json({ error: "Lead not found" });
+  leadStore.delete(req.params.id);
+  scheduleSave();
+  res.json({ success: true });
+});
+
+// ─── Learned email formats ───
+
+app.get("/api/email-patterns", (req, res) => {
+  const patterns = [...emailPatterns.values()].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  res.json({ patterns });
+});
+
+app.get("/api/email-patterns/:domain", (req, res) => {
+  const pattern = emailPatterns.get(req.params.domain.toLowerCase());
+  if (!pattern) return res.status(404).json({ error: "No pattern learned for this domain" });
+  res.json({ pattern });
+});
+
+app.delete("/api/email-patterns/:domain", (req, res) => {
+  emailPatterns.delete(req.params.domain.toLowerCase());
+  scheduleSave();
+  res.json({ success: true });
+});
+
+// Teach a domain's format from known addresses, e.g. from a CRM export
+app.post("/api/email-patterns/learn", (req, res) => {
+  const { domain, emails, people } = req.body;
+  if (!domain || typeof domain !== "string" || !Array.isArray(emails)) return res.status(400).json({ error: "domain and emails array are required" });
+  if (emails.some(e => typeof e !== "string")) return res.status(400).json({ error: "emails must be strings" });
+  if (people !== undefined && !Array.isArray(people)) return res.status(400).json({ error: "people must be an array of { name }" });
+  const pattern = learnEmailPatterns(domain.toLowerCase(), emails, people);
+  res.json({ success: !!pattern, pattern });
+});
+
+app.post("/api/email-candidates", (req, res) => {
+  const { name, domain, companyWebsite } = req.body;
+  const d = (domain || extractDomain({ companyWebsite }) || "").toLowerCase();
+  if (!name || !d) return res.status(400).json({ error: "name and domain (or companyWebsite) are required" });
+  res.json({ domain: d, pattern: emailPatterns.get(d) || null, candidates: generateEmailCandidates(name, d) });
+});
+
+// Verify one or more addresses without storing anything
+app.post("/api/verify-email", async (req, res) => {
+  const { email, emails, probe } = req.body;
+  const list = emails ?? (email ? [email] : []);
+  if (!Array.isArray(list) || list.some(e => typeof e !== "string")) return res.status(400).json({ error: "emails must be an array of strings (or send a single email string)" });
+  if (!list.length) return res.status(400).json({ error: "email or emails required" });
+  if (list.length > 50) return res.status(400).json({ error: "Verify at most 50 addresses per request" });
+  try {
+    const results = [];
+    for (const address of list) results.push(await verifyEmail(address, { probe: !!probe }));
+    res.json({ results });
+  } catch (err) {
+    res.status(500).json({ error: "Verification failed: " + err.message });
+  }
+});
+
+// ═══ IMPORT LEADS FROM CSV / XLSX ═══
+
+const pendingImports = new Map();
+const IMPORT_TTL = 60 * 60 * 1000;
+const IMPORT_MAX_ROWS = 5000;
+
+// Lead fields a column can map onto (same shape as /api/export-leads), with header synonyms for auto-mapping
+const IMPORT_FIELDS = {
+  company: ["company", "company name", "organization", "organisation", "account", "account name"],
+  name: ["name", "full name", "decision maker", "contact", "contact name"],
+  firstName: ["first name", "firstname", "given name"],
+  lastName: ["last name", "lastname", "surname", "family name"],
+  title: ["title", "job title", "position", "role"],
+  email: ["email", "email address", "e-mail", "work email"],
+  linkedinUrl: ["linkedin", "linkedin url", "linkedin profile"],
+  companyWebsite: ["website", "company website", "url", "domain", "web"],
+  industry: ["industry", "sector", "vertical"],
+  companySize: ["company size", "size", "employees", "employee count", "headcount"],
+  location: ["location", "city", "country", "region", "address"],
+  phone: ["phone", "phone number", "telephone", "mobile"],
+  painPoint: ["pain point", "painpoint", "notes", "challenge"],
+  relevance: ["relevance", "relevance score", "score", "fit"],
+  owner: ["owner", "lead owner", "rep", "account owner"],
+  status: ["status", "lead status"],
+};
+
+function cleanupImports() {
+  const cutoff = Date.now() - IMPORT_TTL;
+  for (const [id, imp] of pendingImports) {
+    if (imp.createdAt < cutoff) pendingImports.delete(id);
+  }
+}
+
+function suggestImportMapping(headers) {
+  const mapping = {};
+  for (const [field, synonyms] of Object.entries(IMPORT_FIELDS)) {
+    const header = headers.find(h => synonyms.includes(h.toLowerCase().trim()));
+    if (header && !Object.values(mapping).includes(header)) mapping[field] = header;
+  }
+  return mapping;
+}
+
+function validateImportMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== "object") return "mapping is required";
+  const unknownFields = Object.keys(mapping).filter(f => !IMPORT_FIELDS[f]);
+  if (unknownFields.length) return `Unknown lead field(s): ${unknownFields.join(", ")}`;
+  const missingHeaders = Object.values(mapping).filter(h => h && !headers.includes(h));
+  if (missingHeaders.length) return `Column(s) not in file: ${missingHeaders.join(", ")}`;
+  if (!mapping.company) return "company must be mapped";
+  if (!mapping.name && !mapping.email && !(mapping.firstName && mapping.lastName)) return "map name, firstName + lastName, or email";
+  return null;
+}
+
+// Apply the mapping to one row and validate it against the lead shape
+function mapImportRow(row, mapping) {
+  const get = (field) => (mapping[field] ? String(row[mapping[field]] ?? "").trim() : "");
+  const lead = {};
+  const errors = [];
+
+  for (const field of Object.keys(IMPORT_FIELDS)) {
+    if (["firstName", "lastName"].includes(field)) continue;
+    const value = get(field);
+    if (value) lead[field] = value;
+  }
+  if (!lead.name && (get("firstName") || get("lastName"))) lead.name = `${get("firstName")} ${get("lastName")}`.trim();
+  // Enrichment must not trade the imported contact for someone else found on the company site
+  const provenance = Object.fromEntries(["name", "title", "email"].filter(f => lead[f]).map(f => [f, { source: "import" }]));
+  if (Object.keys(provenance).length) lead.provenance = provenance;
+
+  if (!lead.company) errors.push("company is empty");
+  if (!lead.name && !lead.email) errors.push("needs a name or email");
+  if (lead.email) {
+    lead.email = lead.email.toLowerCase();
+    if (!EMAIL_SYNTAX.test(lead.email)) errors.push(`invalid email "${lead.email}"`);
+  }
+  if (lead.companyWebsite) {
+    const url = /^https?:\/\//i.test(lead.companyWebsite) ? lead.companyWebsite : `https://${lead.companyWebsite}`;
+    try { lead.companyWebsite = new URL(url).origin; } catch { errors.push(`invalid website "${lead.companyWebsite}"`); }
+  }
+  if (lead.linkedinUrl && !/linkedin\.com\//i.test(lead.linkedinUrl)) errors.push("linkedinUrl is not a LinkedIn URL");
+  if (lead.relevance !== undefined) {
+    const score = parseFloat(lead.relevance);
+    if (!(score >= 1 && score <= 10)) errors.push("relevance must be 1-10");
+    else lead.relevance = score;
+  }
+  if (lead.status) {
+    lead.status = lead.status.toLowerCase();
+    if (!LEAD_STATUSES.includes(lead.status)) errors.push(`status must be one of ${LEAD_STATUSES.join(", ")}`);
+  }
+  return { lead, errors };
+}
+
+// Validate every row and flag duplicates within the file and against the lead store
+function analyzeImport(imp, mapping) {
+  const valid = [];
+  const invalid = [];
+  const duplicates = [];
+  const seenKeys = new Map();
+
+  imp.rows.forEach((row, i) => {
+    const rowNumber = i + 2; // header is row 1
+    const { lead, errors } = mapImportRow(row, mapping);
+    if (errors.length) { invalid.push({ row: rowNumber, errors, data: row }); return; }
+
+    const key = leadKey(lead);
+    if (seenKeys.has(key)) {
+      duplicates.push({ row: rowNumber, reason: "duplicate in file", duplicateOfRow: seenKeys.get(key), lead });
+      return;
+    }
+    seenKeys.set(key, rowNumber);
+    const existing = findStoredLead(lead, imp.workspaceId);
+    if (existing) duplicates.push({ row: rowNumber, reason: "already in lead store", existingLeadId: existing.id, lead });
+    valid.push({ row: rowNumber, lead, existingLeadId: existing?.id || null });
+  });
+  return { valid, invalid, duplicates };
+}
+
+// Upload a file as the raw request body (?filename=leads.csv); returns headers, sample rows and a suggested mapping
+app.post("/api/import/upload",
+  express.raw({ type: ["text/csv", "application/vnd.ms-excel", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/octet-stream"], limit: "10mb" }),
+  (req, res) => {
+    cleanupImports();
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: "Send the CSV/XLSX file as the request body (Content-Type text/csv or xlsx)" });
+    }
+    try {
+      const wb = XLSX.read(req.body, { type: "buffer", raw: false });
+      const sheetName = req.query.sheet && wb.SheetNames.includes(req.query.sheet) ? req.query.sheet : wb.SheetNames[0];
+      const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { defval: "", raw: false });
+      if (!rows.length) return res.status(400).json({ error: "File has no data rows" });
+      if (rows.length > IMPORT_MAX_ROWS) return res.status(400).json({ error: `File has ${rows.length} rows, max is ${IMPORT_MAX_ROWS}` });
+
+      const headers = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1 })[0].map(h => String(h).trim()).filter(Boolean);
+      const imp = { importId: genId("imp"), workspaceId: req.workspaceId, filename: req.query.filename || "upload", sheet: sheetName, headers, rows, createdAt: Date.now() };
+      pendingImports.set(imp.importId, imp);
+
+      res.json({
+        importId: imp.importId,
+        filename: imp.filename,
+        sheets: wb.SheetNames,
+        sheet: sheetName,
+        headers,
+        rowCount: rows.length,
+        sampleRows: rows.slice(0, 5),
+        fields: Object.keys(IMPORT_FIELDS),
+        suggestedMapping: suggestImportMapping(headers),
+      });
+    } catch (err) {
+      res.status(400).json({ error: "Could not parse file: " + err.message });
+    }
+  }
+);
+
+app.post("/api/import/:importId/preview", (req, res) => {
+  const imp = pendingImports.get(req.params.importId);
+  if (!inWorkspace(imp, req.workspaceId)) return res.status(404).json({ error: "Import not found or expired, upload again" });
+  const mapping = req.body.mapping || suggestImportMapping(imp.headers);
+  const mappingError = validateImportMapping(mapping, imp.headers);
+  if (mappingError) return res.status(400).json({ error: mappingError });
+
+  const { valid, invalid, duplicates } = analyzeImport(imp, mapping);
+  res.json({
+    importId: imp.importId,
+    mapping,
+    rowCount: imp.rows.length,
+    validCount: valid.length,
+    invalidCount: invalid.length,
+    duplicateCount: duplicates.length,
+    preview: valid.slice(0, 10).map(v => v.lead),
+    invalid,
+    duplicates,
+  });
+});
+
+app.post("/api/import/:importId/commit", async (req, res) => {
+  const imp = pendingImports.get(req.params.importId);
+  if (!inWorkspace(imp, req.workspaceId)) return res.status(404).json({ error: "Import not found or expired, upload again" });
+  const { mapping, skipExisting, owner, enrich } = req.body;
+  const mappingError = validateImportMapping(mapping, imp.headers);
+  if (mappingError) return res.status(400).json({ error: mappingError });
+
+  const { valid, invalid, duplicates } = analyzeImport(imp, mapping);
+  const source = { type: "import", importId: imp.importId, filename: imp.filename };
+  const imported = [];
+  let merged = 0;
+  let skipped = 0;
+  for (const { lead, existingLeadId } of valid) {
+    if (existingLeadId && skipExisting) { skipped++; continue; }
+    const { lead: stored, created } = upsertLead({ ...lead, owner: lead.owner || owner || null }, source, imp.workspaceId);
+    if (!created) merged++;
+    imported.push(stored);
+  }
+  pendingImports.delete(imp.importId);
+  scheduleSave();
+
+  // Optional website enrichment runs after the response, one lead at a time
+  if (enrich) {
+    (async () => {
+      for (const stored of imported) {
+        try { await enrichStoredLead(stored); } catch (err) { console.error(`[IMPORT] Enrichment failed for ${stored.company}:`, err.message); }
+      }
+    })();
+  }
+
+  res.json({
+    success: true,
+    imported: imported.length,
+    created: imported.length - merged,
+    merged,
+    skipped,
+    invalid: invalid.length,
+    duplicatesInFile: duplicates.filter(d => d.reason === "duplicate in file").length,
+    leadIds: imported.map(l => l.id),
+    enriching: enrich ? imported.length : 0,
+  });
+});
+
+// ═══ Outreach Linting ═══
+// Checks generated copy before a rep sends it: channel length limits, spam-trigger phrases, link count, unresolved
+// placeholders and competitor mentions. Errors are hard failures (the message should not go out as is) and can be
+// fixed by re-prompting with the failed checks; warnings are shown next to the message.
+const OUTREACH_LIMITS = {
+  linkedin: { maxChars: 300, maxLinks: 1 },
+  email: { maxWords: 200, hardMaxWords: 250, maxSubjectChars: 70, maxLinks: 2 },
+  "email-followup": { maxWords: 150, hardMaxWords: 200, maxSubjectChars: 70, maxLinks: 2 },
+};
+const SPAM_TRIGGER_PHRASES = [
+  "act now", "limited time", "urgent", "risk-free", "risk free", "no obligation", "guarantee", "guaranteed",
+  "100%", "click here", "buy now", "order now", "call now", "for free", "free trial", "free gift", "no cost",
+  "best price", "cheap", "discount", "special promotion", "exclusive deal", "once in a lifetime", "winner",
+  "congratulations", "dear friend", "earn money", "make money", "double your", "cash", "$$$", "amazing offer",
+  "don't miss out", "what are you waiting for", "increase sales", "miracle",
+];
+const PLACEHOLDER_PATTERNS = [
+  /\[[^\]\n]{2,40}\]/g,             // [Company Name], [First Name]
+  /\{\{[^}\n]{1,40}\}\}/g,          // {{firstName}}
+  /<(?:first|last|full)?\s*name>/gi, // <Name>, <First Name>
+  /\b(?:XXX+|TBD|INSERT\s+\w+)\b/g,
+];
+const LINT_MAX_REGENERATIONS = 2;
+
+function countWords(text) {
+  return (String(text || "").match(/\S+/g) || []).length;
+}
+
+function findLinks(text) {
+  return String(text || "").match(/\b(?:https?:\/\/|www\.)[^\s<>()"']+/gi) || [];
+}
+
+/**
+ * Lint one outreach message. `kind` is "linkedin", "email" or "email-followup".
+ * Pass allowPlaceholders for templates, whose [First Name]-style slots are filled in later.
+ */
+function lintOutreach({ kind, subject, body }, { profile, allowPlaceholders = false } = {}) {
+  const limits = OUTREACH_LIMITS[kind] || OUTREACH_LIMITS.email;
+  const errors = [];
+  const warnings = [];
+  const text = `${subject || ""}\n${body || ""}`;
+  const stats = { chars: String(body || "").length, words: countWords(body), links: findLinks(text).length };
+
+  if (limits.maxChars && stats.chars > limits.maxChars) {
+    errors.push({ rule: "length", message: `${stats.chars} characters — LinkedIn connection notes are limited to ${limits.maxChars}` });
+  }
+  if (limits.hardMaxWords && stats.words > limits.hardMaxWords) {
+    errors.push({ rule: "length", message: `${stats.words} words — keep it under ${limits.maxWords} (hard limit ${limits.hardMaxWords})` });
+  } else if (limits.maxWords && stats.words > limits.maxWords) {
+    warnings.push({ rule: "length", message: `${stats.words} words — aim for ${limits.maxWords} or fewer` });
+  }
+  if (limits.maxSubjectChars && subject && subject.length > limits.maxSubjectChars) {
+    warnings.push({ rule: "subject-length", message: `Subject is ${subject.length} characters — long subjects get cut off (aim for ${limits.maxSubjectChars})` });
+  }
+  if (stats.links > limits.maxLinks) {
+    warnings.push({ rule: "links", message: `${stats.links} links — more than ${limits.maxLinks} hurts deliverability` });
+  }
+
+  const lower = text.toLowerCase();
+  const spam = SPAM_TRIGGER_PHRASES.filter(p => new RegExp(`(^|[^a-z])${p.replace(/[.*+?^${}()|[\]\\$]/g, "\\$&")}([^a-z]|$)`).test(lower));
+  if (spam.length) warnings.push({ rule: "spam-words", message: `Spam-trigger wording: ${spam.map(p => `"${p}"`).join(", ")}` });
+  if ((text.match(/!/g) || []).length > 2) warnings.push({ rule: "spam-words", message: "More than two exclamation marks" });
+
+  const placeholders = [...new Set(PLACEHOLDER_PATTERNS.flatMap(re => text.match(re) || []))];
+  if (placeholders.length) {
+    const issue = { rule: "placeholders", message: `Unresolved placeholder${placeholders.length > 1 ? "s" : ""}: ${placeholders.join(", ")}` };
+    (allowPlaceholders ? warnings : errors).push(issue);
+  }
+
+  const competitors = (profile?.competitors || []).filter(c => new RegExp(`\\b${c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i").test(text));
+  if (competitors.length) warnings.push({ rule: "competitors", message: `Mentions competitor${competitors.length > 1 ? "s" : ""}: ${competitors.join(", ")}` });
+
+  return { ok: !errors.length, errors, warnings, stats };
+}
+
+// Appended to a prompt when the previous draft failed hard checks
+function lintFeedback(lint, draft) {
+  return `\n\nYOUR PREVIOUS DRAFT FAILED THESE CHECKS — rewrite it so that every one passes:
+${lint.errors.map(e => `- ${e.message}`).join("\n")}
+
+PREVIOUS DRAFT:
+${JSON.stringify(draft)}`;
+}
+
+function messageLintInput(message, messageType) {
+  return messageType === "linkedin"
+    ? { kind: "linkedin", body: message.message }
+    : { kind: "email", subject: message.subject, body: message.body };
+}
+
+// Generate a message and lint it; with autoRegenerate, hard failures are re-prompted with the failed checks
+async function generateLintedMessage(prompt, messageType, profile, { autoRegenerate = false, ...llmOptions }) {
+  const schemaName = messageType === "linkedin" ? "linkedinMessage" : "emailMessage";
+  let { data: message } = await completeStructured(prompt, schemaName, { temperature: 0.8, task: "message", ...llmOptions });
+  let lint = lintOutreach(messageLintInput(message, messageType), { profile });
+  let regenerations = 0;
+  while (autoRegenerate && !lint.ok && regenerations < LINT_MAX_REGENERATIONS) {
+    regenerations++;
+    ({ data: message } = await completeStructured(prompt + lintFeedback(lint, message), schemaName, { temperature: 0.7, task: "message", ...llmOptions }));
+    lint = lintOutreach(messageLintInput(message, messageType), { profile });
+  }
+  return { message, lint: { ...lint, regenerations } };
+}
+
+// Lint the templates of an analysis; the follow-up email has its own (shorter) limits
+function lintTemplates(templates, profile) {
+  const kinds = { linkedin: "linkedin", "email-initial": "email", "email-followup": "email-followup" };
+  for (const t of templates?.templates || []) {
+    t.lint = lintOutreach({ kind: kinds[t.id] || "email", subject: t.subject, body: t.body }, { profile, allowPlaceholders: true });
+  }
+  return templates;
+}
+
+// Lint copy a rep has edited by hand
+app.post("/api/lint-message", (req, res) => {
+  const { messageType, subject, body, message, templateId, profileId } = req.body;
+  const text = body ?? message;
+  if (typeof text !== "string" || !text.trim()) return res.status(400).json({ error: "body (or message) is required" });
+  const kind = messageType === "linkedin" || templateId === "linkedin" ? "linkedin" : templateId === "email-followup" ? "email-followup" : "email";
+  const profile = getSenderProfile(profileId, req.workspaceId);
+  res.json({ lint: lintOutreach({ kind, subject, body: text }, { profile, allowPlaceholders: !!templateId }) });
+});
+
+// ═══ Generate PERSONALIZED outreach message ═══
+function buildOutreachPrompt(lead, messageType, senderName, profile, angle) {
+  return `You are writing a ${messageType === "linkedin" ? "LinkedIn connection request message" : "cold email"} for ${profile.companyName}'s ${profile.offering} services.
+
+SENDER: ${senderName || profile.senderName}
+SENDER COMPANY: ${profile.companyName}${profile.website ? ` (${profile.website})` : ""}
+
+${describeSender(profile)}
+
+RECIPIENT: ${lead.name}
+TITLE: ${lead.title}
+COMPANY: ${lead.company} (${lead.companyWebsite})
+INDUSTRY: ${lead.industry}
+COMPANY SIZE: ${lead.companySize}
+LOCATION: ${lead.location}
+PAIN POINT: ${lead.painPoint}
+${angle ? `
+MESSAGING ANGLE (build the whole message around this angle):
+${angle.headline} — ${angle.description}
+${(angle.keyPoints || []).map(k => `- ${k}`).join("\n")}
+` : ""}
+${messageType === "linkedin" ? `
+WRITE A LINKEDIN MESSAGE (300 characters max for connection request):
+1. Keep it SHORT - LinkedIn limits to 300 characters
+2. Mention their role/company specifically
+3. Brief value prop relevant to their pain point
+4. Friendly, professional tone
+5. Clear CTA (e.g., "Would love to connect and share insights")
+
+Return ONLY JSON: {"message":"..."}
+` : `
+WRITE A COLD EMAIL:
+1. SUBJECT LINE: Curiosity-driven, relevant to their role (no spam triggers)
+2. OPENING: Personalize - reference their company, industry, or recent news
+3. THE PITCH: Explain how ${profile.companyName} solves their specific pain point
+   - Be specific about ${profile.offeringShort} solutions
+   - Mention 1-2 relevant clients/case studies if applicable
+   - Focus on THEIR business outcomes (efficiency, compliance, customer experience)
+4. CREDIBILITY: Brief mention of a value proposition, case study, or key partnership
+5. CTA: One clear, low-friction ask (15-min call, demo, whitepaper)
+6. LENGTH: 150-200 words max
+7. TONE: Professional peer-to-peer, consultative (not salesy)
+
+Return ONLY JSON: {"subject":"...","body":"..."}
+`}
+
+No markdown, no code blocks.`;
+}
+
+// Rewrite a generated message's URLs to tracked links; tracked URLs are longer, so the result is linted again
+function trackGeneratedLinks({ message, lint }, messageType, profile, origin, options, extra) {
+  const { message: tracked, trackedLinks: links } = trackMessageLinks(message, messageType, origin, options, extra);
+  return { message: tracked, links, lint: { ...lintOutreach(messageLintInput(tracked, messageType), { profile }), regenerations: lint.regenerations } };
+}
+
+// With { variants: N } the response holds N variants, each written around its own messaging angle.
+// Every message comes back with a lint report; { autoRegenerate: true } re-prompts drafts that fail hard checks.
+// With { trackLinks: true } URLs in the body become tracked links for this lead, bound to `siteId` if given.
+app.post("/api/generate-message", async (req, res) => {
+  const { lead, messageType, senderName, profileId, variants, trackLinks, siteId } = req.body;
+  // messageType: "linkedin" or "email"
+
+  const blocked = checkSuppressed(lead, "generate-message", llmContext(req));
+  if (blocked) return res.status(403).json({ error: suppressionError(blocked).message, suppressed: true });
+  if (siteId && !inWorkspace(sites.get(siteId), req.workspaceId)) return res.status(404).json({ error: "Site not found" });
+
+  try {
+    const profile = getSenderProfile(profileId, req.workspaceId);
+    if (variants) {
+      if (!lead || !lead.company) return res.status(400).json({ error: "lead with a company is required" });
+      return res.json(await generateVariants(req, profile));
+    }
+
+    const generated = await generateLintedMessage(buildOutreachPrompt(lead, messageType, senderName, profile), messageType, profile, { autoRegenerate: !!req.body.autoRegenerate, ...llmContext(req) });
+    if (!trackLinks || !lead) return res.json({ ...generated.message, lint: generated.lint });
+    const { message, lint, links } = trackGeneratedLinks(generated, messageType, profile, linkOrigin(req), { siteId, lead });
+    res.json({ ...message, lint, trackedLinks: links });
+  } catch (err) {
+    if (err.noActiveAngles) return res.status(409).json({ error: err.message });
+    res.status(err.budgetExceeded ? 429 : 500).json({ error: "Message generation failed: " + err.message, validationErrors: err.validationErrors });
+  }
+});
+
+// Save generated message to tracking; { trackLinks: true, siteId } rewrites URLs in the body as in generate-message.
+// New messages start as drafts; pass status "approved" (or "sent" for one sent outside the app) to skip ahead.
+app.post("/api/save-message", async (req, res) => {
+  const { lead, messageType, variantId, trackLinks, siteId } = req.body;
+  const status = normalizeMessageStatus(req.body.status);
+  if (!MESSAGE_INITIAL_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${MESSAGE_INITIAL_STATUSES.join(", ")}` });
+  const variant = messageVariants.get(variantId);
+  if (variantId && !inWorkspace(variant, req.workspaceId)) return res.status(404).json({ error: "Variant not found" });
+  if (siteId && !inWorkspace(sites.get(siteId), req.workspaceId)) return res.status(404).json({ error: "Site not found" });
+  let message = req.body.message;
+  let links = [];
+  if (trackLinks && lead && message) {
+    const extra = variant ? { variantId: variant.id, experimentId: variant.experimentId, angleId: variant.angle.id } : {};
+    const reuse = [trackedLinks.get(variant?.linkId)].filter(Boolean);
+    ({ message, trackedLinks: links } = trackMessageLinks(message, messageType, linkOrigin(req), { siteId, lead, reuse }, extra));
+  }
+  const saved = createSavedMessage({
+    workspaceId: req.workspaceId,
+    lead,
+    message,
+    messageType,
+    status,
+    variantId: variant ? variant.id : null,
+  }, { by: req.user.id, source: "save-message" });
+  if (variant) {
+    // The variant's link may be sent separately from the copy; its clicks still belong to this message
+    if (variant.linkId && !saved.linkIds.includes(variant.linkId)) saved.linkIds.push(variant.linkId);
+    variant.savedMessageId = saved.id;
+    scheduleSave();
+  }
+  res.json({ success: true, id: saved.id, status: saved.status, message, trackedLinks: links });
+});
+
+// ═══ SAVED MESSAGES ═══
+// Generated, merged and sequenced messages are kept in data/messages.json. A message moves forward through
+// MESSAGE_STATUSES as it is approved, sent and answered, and every change is kept in statusHistory with its time.
+// Bounced and suppressed sit off that path. Opens, clicks and replies only ever move a message forward, so a late
+// open does not undo a recorded reply; corrections by hand follow the same transitions.
+const MESSAGE_STATUSES = ["draft", "approved", "sent", "opened", "clicked", "replied", "meeting-booked", "bounced", "suppressed"];
+const MESSAGE_INITIAL_STATUSES = ["draft", "approved", "sent"];
+const MESSAGE_TRANSITIONS = {
+  draft: ["approved", "sent", "bounced", "suppressed"],
+  approved: ["draft", "sent", "bounced", "suppressed"],
+  sent: ["opened", "clicked", "replied", "meeting-booked", "bounced"],
+  opened: ["clicked", "replied", "meeting-booked", "bounced"],
+  clicked: ["replied", "meeting-booked"],
+  replied: ["meeting-booked"],
+  "meeting-booked": [],
+  // A bounced message can be retried once the address is fixed
+  bounced: ["sent", "suppressed"],
+  // Only once the lead is off the suppression list
+  suppressed: ["draft", "approved", "sent", "bounced"],
+};
+// Statuses a message can no longer be (re)sent from
+const MESSAGE_DELIVERED_STATUSES = ["sent", "opened", "clicked", "replied", "meeting-booked"];
+
+function loadMessageData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "messages.json"), "utf8")); sentMessages.push(...d); } catch {}
+  // A send cut off by a restart may or may not have reached the server; it is no longer in progress either way
+  for (const m of sentMessages) {
+    if (m.delivery?.status === "sending") Object.assign(m.delivery, { status: "interrupted", error: "Server restarted while sending — check the sent folder before retrying" });
+  }
+}
+loadMessageData();
+
+function saveMessageData() {
+  try { fs.writeFileSync(path.join(dataDir, "messages.json"), JSON.stringify(sentMessages)); } catch {}
+}
+
+// "generated" is what the dashboard has always saved drafts as
+function normalizeMessageStatus(status) {
+  return !status || status === "generated" ? "draft" : status;
+}
+
+function messageBody(saved) {
+  return (saved.messageType === "linkedin" ? saved.message?.message : saved.message?.body) || "";
+}
+
+// Tracked links that appear in the message text
+function messageLinkIds(saved) {
+  return [...new Set([...messageBody(saved).matchAll(/\/t\/(tl_[a-f0-9]+)/g)].map(m => m[1]))].filter(id => trackedLinks.has(id));
+}
+
+function createSavedMessage(fields, { by = null, source = "system" } = {}) {
+  const now = new Date().toISOString();
+  const status = normalizeMessageStatus(fields.status);
+  const saved = {
+    id: genId("m"),
+    ...fields,
+    messageType: fields.messageType || "email",
+    status,
+    statusHistory: [{ status, at: now, by, source }],
+    savedAt: now,
+    updatedAt: now,
+  };
+  saved.leadId = storedLeadForMessage(saved)?.id || saved.lead?.id || null;
+  saved.linkIds = messageLinkIds(saved);
+  sentMessages.push(saved);
+  scheduleSave();
+  return saved;
+}
+
+// Move a message to `status` if the lifecycle allows it; returns false and leaves the message alone otherwise
+function advanceMessage(saved, status, { at = new Date().toISOString(), by = null, source = "system" } = {}) {
+  if (!(MESSAGE_TRANSITIONS[saved.status] || []).includes(status)) return false;
+  saved.status = status;
+  saved.statusHistory = [...(saved.statusHistory || []), { status, at, by, source }];
+  saved.updatedAt = new Date().toISOString();
+  scheduleSave();
+  return true;
+}
+
+// Statuses a user can move the message to; a do-not-contact block holds while the lead is still suppressed
+function nextMessageStatuses(saved) {
+  if (saved.status === "suppressed" && findSuppression(saved.lead, saved.workspaceId || DEFAULT_WORKSPACE_ID)) return [];
+  return MESSAGE_TRANSITIONS[saved.status] || [];
+}
+
+// When the message last entered `status` (null if it never did)
+function messageStatusAt(saved, status) {
+  if (status === "saved") return saved.savedAt;
+  const entry = (saved.statusHistory || []).filter(h => h.status === status).pop();
+  return entry ? entry.at : null;
+}
+
+/**
+ * Filter a workspace's saved messages, newest first. Filters: status (comma-separated), leadId, email, company,
+ * messageType, replyCategory, sequenceId, q (lead, company, email or subject), and since/until on `dateField` —
+ * "saved" (default) or a status, meaning when the message entered it.
+ */
+function filterMessages(query, workspaceId = DEFAULT_WORKSPACE_ID) {
+  let list = sentMessages.filter(m => inWorkspace(m, workspaceId));
+  if (query.status) {
+    const statuses = String(query.status).split(",").map(v => normalizeMessageStatus(v.trim()));
+    list = list.filter(m => statuses.includes(m.status));
+  }
+  if (query.leadId) list = list.filter(m => m.leadId === query.leadId || m.lead?.id === query.leadId);
+  if (query.email) list = list.filter(m => (m.lead?.email || "").toLowerCase() === String(query.email).toLowerCase());
+  if (query.company) list = list.filter(m => (m.lead?.company || "").toLowerCase().includes(String(query.company).toLowerCase()));
+  if (query.messageType) list = list.filter(m => m.messageType === query.messageType);
+  if (query.replyCategory) list = list.filter(m => m.reply?.category === query.replyCategory);
+  if (query.sequenceId) list = list.filter(m => m.sequenceId === query.sequenceId);
+  if (query.since || query.until) {
+    const field = query.dateField || "saved";
+    list = list.filter(m => {
+      const at = messageStatusAt(m, field);
+      if (!at) return false;
+      return (!query.since || new Date(at) >= new Date(query.since)) && (!query.until || new Date(at) <= new Date(query.until));
+    });
+  }
+  if (query.q) {
+    const q = String(query.q).toLowerCase();
+    list = list.filter(m => [m.lead?.name, m.lead?.company, m.lead?.email, m.message?.subject]
+      .some(v => (v || "").toLowerCase().includes(q)));
+  }
+  return list.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+}
+
+function validateMessageQuery(query) {
+  const statuses = query.status ? String(query.status).split(",").map(v => normalizeMessageStatus(v.trim())) : [];
+  const unknown = statuses.filter(v => !MESSAGE_STATUSES.includes(v));
+  if (unknown.length) return `Unknown status ${unknown.join(", ")} — use ${MESSAGE_STATUSES.join(", ")}`;
+  if (query.dateField && query.dateField !== "saved" && !MESSAGE_STATUSES.includes(query.dateField)) {
+    return `dateField must be "saved" or a status`;
+  }
+  for (const key of ["since", "until"]) {
+    if (query[key] && isNaN(new Date(query[key]))) return `${key} is not a valid date`;
+  }
+  return null;
+}
+
+// Get saved messages (filters as in filterMessages)
+app.get("/api/saved-messages", (req, res) => {
+  const invalid = validateMessageQuery(req.query);
+  if (invalid) return res.status(400).json({ error: invalid });
+  res.json({ messages: filterMessages(req.query, req.workspaceId).map(m => ({ ...m, nextStatuses: nextMessageStatuses(m) })) });
+});
+
+app.get("/api/saved-messages/:id", (req, res) => {
+  const saved = sentMessages.find(m => m.id === req.params.id && inWorkspace(m, req.workspaceId));
+  if (!saved) return res.status(404).json({ error: "Message not found" });
+  res.json({ message: saved, nextStatuses: nextMessageStatuses(saved) });
+});
+
+// Edit the text of a message that has not gone out yet, and/or move it to a new status
+app.put("/api/saved-messages/:id", (req, res) => {
+  const saved = sentMessages.find(m => m.id === req.params.id && inWorkspace(m, req.workspaceId));
+  if (!saved) return res.status(404).json({ error: "Message not found" });
+  const { message, lead, notes, status } = req.body;
+
+  if (message !== undefined || lead !== undefined) {
+    if (MESSAGE_DELIVERED_STATUSES.includes(saved.status)) return res.status(409).json({ error: `Message is ${saved.status} and can no longer be edited` });
+    if (message !== undefined && (!message || typeof message !== "object" || Array.isArray(message))) return res.status(400).json({ error: "message must be an object" });
+    if (lead !== undefined && (!lead || typeof lead !== "object" || Array.isArray(lead))) return res.status(400).json({ error: "lead must be an object" });
+  }
+  if (status !== undefined) {
+    const next = normalizeMessageStatus(status);
+    if (!MESSAGE_STATUSES.includes(next)) return res.status(400).json({ error: `status must be one of ${MESSAGE_STATUSES.join(", ")}` });
+    if (next !== saved.status && !(MESSAGE_TRANSITIONS[saved.status] || []).includes(next)) {
+      return res.status(409).json({ error: `Cannot move a ${saved.status} message to ${next}`, nextStatuses: MESSAGE_TRANSITIONS[saved.status] || [] });
+    }
+    if (saved.status === "suppressed" && next !== saved.status) {
+      const entry = checkSuppressed({ ...saved.lead, ...lead }, "status-change", { workspaceId: req.workspaceId, userId: req.user.id });
+      if (entry) return res.status(409).json({ error: `The lead is still suppressed (${entry.type}: ${entry.value})`, suppressed: true, nextStatuses: [] });
+    }
+  }
+
+  if (message !== undefined) saved.message = { ...saved.message, ...message };
+  if (lead !== undefined) {
+    saved.lead = { ...saved.lead, ...lead };
+    saved.leadId = storedLeadForMessage(saved)?.id || saved.lead?.id || null;
+  }
+  if (message !== undefined) saved.linkIds = [...new Set([...messageLinkIds(saved), messageVariants.get(saved.variantId)?.linkId].filter(Boolean))];
+  if (notes !== undefined) saved.notes = String(notes);
+  saved.updatedAt = new Date().toISOString();
+  if (status !== undefined && normalizeMessageStatus(status) !== saved.status) {
+    advanceMessage(saved, normalizeMessageStatus(status), { by: req.user.id, source: "manual" });
+  }
+  scheduleSave();
+  res.json({ success: true, message: saved, nextStatuses: nextMessageStatuses(saved) });
+});
+
+app.delete("/api/saved-messages/:id", (req, res) => {
+  const index = sentMessages.findIndex(m => m.id === req.params.id && inWorkspace(m, req.workspaceId));
+  if (index === -1) return res.status(404).json({ error: "Message not found" });
+  // The background send would go on updating the removed record
+  if (sentMessages[index].delivery?.status === "sending") return res.status(409).json({ error: "Message is being sent — delete it once the send has finished" });
+  const [saved] = sentMessages.splice(index, 1);
+  const variant = messageVariants.get(saved.variantId);
+  if (variant && variant.savedMessageId === saved.id) variant.savedMessageId = null;
+  scheduleSave();
+  res.json({ success: true });
+});
+
+// ═══ MESSAGE VARIANTS & A/B TRACKING ═══
+// Variants are written around messaging angles (from the lead's analysis, or generated from its pain point), and each
+// one gets its own tracked link. Clicks and identified site visits on those links roll up per variant and per angle.
+// Angles are kept in a per-workspace library so their results add up across leads; losing angles can be retired.
+const MAX_VARIANTS = 5;
+const messageAngles = new Map();
+const messageVariants = new Map();
+
+function loadVariantData() {
+  try {
+    const d = JSON.parse(fs.readFileSync(path.join(dataDir, "message-variants.json"), "utf8"));
+    (d.angles || []).forEach(([k,v]) => messageAngles.set(k,v));
+    (d.variants || []).forEach(([k,v]) => messageVariants.set(k,v));
+  } catch {}
+}
+loadVariantData();
+
+function saveVariantData() {
+  try { fs.writeFileSync(path.join(dataDir, "message-variants.json"), JSON.stringify({ angles: [...messageAngles], variants: [...messageVariants] })); } catch {}
+}
+
+// Angles with the same headline are the same angle, whichever analysis produced them
+function upsertAngle(angle, source, workspaceId) {
+  const key = angle.headline.toLowerCase().trim();
+  const existing = [...messageAngles.values()].find(a => a.key === key && inWorkspace(a, workspaceId));
+  if (existing) return existing;
+  const stored = {
+    id: genId("ang"),
+    workspaceId,
+    key,
+    headline: angle.headline,
+    description: angle.description || "",
+    keyPoints: angle.keyPoints || [],
+    source,
+    retired: false,
+    createdAt: new Date().toISOString(),
+  };
+  messageAngles.set(stored.id, stored);
+  scheduleSave();
+  return stored;
+}
+
+// Explicit angle ids, else the angles of the lead's analysis, else fresh angles from its pain point; retired ones are skipped
+async function anglesForLead(lead, { angleIds, analysisId }, profile, context) {
+  const { workspaceId } = context;
+  if (Array.isArray(angleIds) && angleIds.length) {
+    return angleIds.map(id => messageAngles.get(id)).filter(a => a && inWorkspace(a, workspaceId) && !a.retired);
+  }
+
+  const run = analysisRuns.get(analysisId || lead.analysisId);
+  let angles, source;
+  if (inWorkspace(run, workspaceId) && run.stages.messaging.status === "completed") {
+    angles = run.stages.messaging.result.angles;
+    source = { type: "analysis", analysisId: run.id };
+  } else {
+    const industryData = getIndustry(lead.sources?.find(s => s.industry)?.industry);
+    const painPoints = { painPoints: [{ title: lead.painPoint || `${industryData.label} challenges`, description: lead.painPoint || "" }] };
+    const prompt = buildMessagingPrompt(lead.company, industryData, painPoints, "", profile);
+    angles = (await completeStructured(prompt, "messaging", { temperature: 0.7, task: "messaging", ...context })).data.angles;
+    source = { type: "lead", company: lead.company };
+  }
+  return angles.map(a => upsertAngle(a, source, workspaceId)).filter(a => !a.retired);
+}
+
+async function generateVariants(req, profile) {
+  const { lead, messageType, senderName, siteId, originalUrl } = req.body;
+  const count = Math.min(Math.max(parseInt(req.body.variants) || 1, 1), MAX_VARIANTS);
+  const context = llmContext(req);
+  const channel = messageType === "linkedin" ? "linkedin" : "email";
+  const storedLead = inWorkspace(leadStore.get(lead.id), req.workspaceId) ? leadStore.get(lead.id) : findStoredLead(lead, req.workspaceId);
+
+  const angles = await anglesForLead({ ...storedLead, ...lead }, req.body, profile, context);
+  if (!angles.length) {
+    throw Object.assign(new Error("Every messaging angle for this lead is retired — pass angleIds or reactivate an angle"), { noActiveAngles: true });
+  }
+
+  // Fewer angles than variants: angles repeat and the variants differ only in wording
+  const experimentId = genId("exp");
+  const linkUrl = originalUrl || profile.website;
+  const variants = await mapWithConcurrency(Array.from({ length: count }, (_, i) => angles[i % angles.length]), 2, async (angle) => {
+    const { message, lint } = await generateLintedMessage(buildOutreachPrompt(lead, messageType, senderName, profile, angle), channel, profile, { autoRegenerate: !!req.body.autoRegenerate, ...context });
+    const variant = {
+      id: genId("var"),
+      experimentId,
+      workspaceId: req.workspaceId,
+      leadId: storedLead?.id || null,
+      lead: { name: lead.name, email: lead.email, company: lead.company, title: lead.title },
+      messageType: channel,
+      angle: { id: angle.id, headline: angle.headline },
+      message,
+      lint,
+      linkId: null,
+      trackedUrl: null,
+      savedMessageId: null,
+      createdAt: new Date().toISOString(),
+    };
+    const linkTags = { variantId: variant.id, experimentId, angleId: angle.id };
+    if (linkUrl) {
+      const link = createTrackedLink(linkOrigin(req), { siteId: siteId || siteForUrl(linkUrl, req.workspaceId)?.siteId, originalUrl: linkUrl, lead, messageType: channel }, linkTags);
+      variant.linkId = link.linkId;
+      variant.trackedUrl = link.trackedUrl;
+    }
+    // The variant's own link replaces its URL in the body, so clicks on the copy count toward the variant
+    if (req.body.trackLinks) {
+      const reuse = [trackedLinks.get(variant.linkId)].filter(Boolean);
+      ({ message: variant.message, lint: variant.lint } = trackGeneratedLinks(variant, channel, profile, linkOrigin(req), { siteId, lead, reuse }, linkTags));
+    }
+    messageVariants.set(variant.id, variant);
+    return variant;
+  });
+  scheduleSave();
+
+  return {
+    experimentId,
+    variants: variants.map(v => ({ id: v.id, angle: v.angle, ...v.message, lint: v.lint, trackedUrl: v.trackedUrl, linkId: v.linkId })),
+    // Picked at random so that sending the suggested variant keeps the comparison between angles fair
+    suggestedVariantId: variants[crypto.randomInt(variants.length)].id,
+    warnings: linkUrl ? [] : ["No URL to track — pass originalUrl or set a website on the sender profile"],
+  };
+}
+
+function variantStats(variant) {
+  const link = trackedLinks.get(variant.linkId);
+  const linkVisitors = (link?.visitorIds || []).map(id => visitors.get(id)).filter(Boolean);
+  const clicks = link?.clicks || 0;
+  return {
+    // A variant counts as used once it is saved or its link has been clicked
+    used: !!variant.savedMessageId || clicks > 0,
+    clicks,
+    visitors: linkVisitors.length,
+    pageviews: linkVisitors.reduce((sum, v) => sum + (v.totalPageviews || 0), 0),
+    engagement: linkVisitors.length ? Math.round(linkVisitors.reduce((sum, v) => sum + (v.engagementScore || 0), 0) / linkVisitors.length) : 0,
+  };
+}
+
+function filterVariants(query, workspaceId) {
+  let list = [...messageVariants.values()].filter(v => inWorkspace(v, workspaceId));
+  if (query.experimentId) list = list.filter(v => v.experimentId === query.experimentId);
+  if (query.leadId) list = list.filter(v => v.leadId === query.leadId);
+  if (query.angleId) list = list.filter(v => v.angle.id === query.angleId);
+  if (query.messageType) list = list.filter(v => v.messageType === query.messageType);
+  if (query.since) list = list.filter(v => new Date(v.createdAt) >= new Date(query.since));
+  if (query.until) list = list.filter(v => new Date(v.createdAt) <= new Date(query.until));
+  return list.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+app.get("/api/message-variants", (req, res) => {
+  const list = filterVariants(req.query, req.workspaceId).slice(0, parseInt(req.query.limit) || 100);
+  res.json({ variants: list.map(v => ({ ...v, stats: variantStats(v) })) });
+});
+
+// Per-variant and per-angle performance; rates are over used variants
+app.get("/api/message-variants/report", (req, res) => {
+  const variantRows = filterVariants(req.query, req.workspaceId).map(v => ({
+    id: v.id,
+    experimentId: v.experimentId,
+    leadId: v.leadId,
+    lead: v.lead,
+    messageType: v.messageType,
+    angle: v.angle,
+    createdAt: v.createdAt,
+    ...variantStats(v),
+  }));
+
+  const byAngle = new Map();
+  for (const row of variantRows) {
+    if (!byAngle.has(row.angle.id)) {
+      const angle = messageAngles.get(row.angle.id);
+      byAngle.set(row.angle.id, { angleId: row.angle.id, headline: angle?.headline || row.angle.headline, retired: !!angle?.retired, variants: 0, used: 0, clicked: 0, clicks: 0, visitors: 0, engagementTotal: 0 });
+    }
+    const a = byAngle.get(row.angle.id);
+    a.variants++;
+    if (row.used) a.used++;
+    if (row.clicks) a.clicked++;
+    a.clicks += row.clicks;
+    a.visitors += row.visitors;
+    a.engagementTotal += row.engagement * row.visitors;
+  }
+  const angles = [...byAngle.values()].map(({ engagementTotal, ...a }) => ({
+    ...a,
+    clickRate: a.used ? Math.round(a.clicked / a.used * 1000) / 10 : null,
+    visitRate: a.used ? Math.round(variantRows.filter(r => r.angle.id === a.angleId && r.visitors).length / a.used * 1000) / 10 : null,
+    avgEngagement: a.visitors ? Math.round(engagementTotal / a.visitors) : 0,
+  })).sort((x, y) => (y.clickRate ?? -1) - (x.clickRate ?? -1) || y.visitors - x.visitors);
+
+  res.json({ angles, variants: variantRows });
+});
+
+// ─── Messaging angle library ───
+
+app.get("/api/message-angles", (req, res) => {
+  let list = [...messageAngles.values()].filter(a => inWorkspace(a, req.workspaceId));
+  if (req.query.retired !== undefined) list = list.filter(a => a.retired === (req.query.retired === "true"));
+  res.json({ angles: list.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)) });
+});
+
+app.post("/api/message-angles", (req, res) => {
+  const { headline, description, keyPoints } = req.body;
+  if (!headline || !String(headline).trim()) return res.status(400).json({ error: "headline is required" });
+  const key = String(headline).toLowerCase().trim();
+  if ([...messageAngles.values()].some(a => a.key === key && inWorkspace(a, req.workspaceId))) {
+    return res.status(409).json({ error: "An angle with this headline already exists" });
+  }
+  const angle = upsertAngle({ headline: String(headline).trim(), description, keyPoints: Array.isArray(keyPoints) ? keyPoints : [] }, { type: "manual" }, req.workspaceId);
+  res.json({ success: true, angle });
+});
+
+// Set { retired: true } to stop using an angle for new variants; its results stay in the report
+app.put("/api/message-angles/:id", (req, res) => {
+  const angle = messageAngles.get(req.params.id);
+  if (!inWorkspace(angle, req.workspaceId)) return res.status(404).json({ error: "Angle not found" });
+  const { description, keyPoints, retired } = req.body;
+  if (description !== undefined) angle.description = String(description);
+  if (Array.isArray(keyPoints)) angle.keyPoints = keyPoints.map(String);
+  if (retired !== undefined) {
+    angle.retired = !!retired;
+    angle.retiredAt = angle.retired ? new Date().toISOString() : null;
+  }
+  angle.updatedAt = new Date().toISOString();
+  scheduleSave();
+  res.json({ success: true, angle });
+});
+
+app.delete("/api/message-angles/:id", (req, res) => {
+  const angle = messageAngles.get(req.params.id);
+  if (!inWorkspace(angle, req.workspaceId)) return res.status(404).json({ error: "Angle not found" });
+  messageAngles.delete(angle.id);
+  scheduleSave();
+  res.json({ success: true });
+});
+
+// ═══ MAIL-MERGE TEMPLATES ═══
+// Reusable templates rendered per lead without an LLM call. Syntax:
+//   {{lead.firstName}}                       variable (lead.*, painPoint, trackedUrl, sender.*, plus request variables)
+//   {{lead.firstName | lead.name | "there"}} first non-empty alternative wins
+//   {{#if lead.title}}...{{else}}...{{/if}}  conditional ({{#unless}} inverts it)
+// An optional "AI polish" pass rewrites each rendered message and runs as a background job.
+const MAIL_TEMPLATE_CHANNELS = ["email", "linkedin"];
+const MAIL_MERGE_MAX_LEADS = 1000;
+const mailTemplates = new Map();
+
+function loadMailTemplateData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "mail-templates.json"), "utf8")); d.forEach(([k,v]) => mailTemplates.set(k,v)); } catch {}
+}
+loadMailTemplateData();
+
+function saveMailTemplateData() {
+  try { fs.writeFileSync(path.join(dataDir, "mail-templates.json"), JSON.stringify([...mailTemplates])); } catch {}
+}
+
+// `lead.firstName | "there"` → [{ path }, { literal }]
+function parseMergeExpr(expr) {
+  const parts = expr.match(/"[^"]*"|'[^']*'|[^|\s][^|]*/g) || [];
+  if (!parts.length) throw new Error("Empty {{ }} tag");
+  return parts.map(part => {
+    part = part.trim();
+    if (/^(["']).*\1$/.test(part)) return { literal: part.slice(1, -1) };
+    if (!/^[A-Za-z_][\w.]*$/.test(part)) throw new Error(`Invalid variable "${part}"`);
+    return { path: part };
+  });
+}
+
+// Parse into a tree of text, var and if/unless nodes; throws on unbalanced blocks
+function parseMergeTemplate(source) {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.otherwise : node.children;
+  };
+  const re = /\{\{([^{}]*)\}\}/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(source))) {
+    if (m.index > last) target().push({ type: "text", value: source.slice(last, m.index) });
+    last = re.lastIndex;
+    const tag = m[1].trim();
+    let block;
+    if ((block = tag.match(/^#(if|unless)\s+(.+)$/))) {
+      const node = { type: block[1], expr: parseMergeExpr(block[2]), children: [], otherwise: [], inElse: false };
+      target().push(node);
+      stack.push(node);
+    } else if (tag === "else") {
+      const node = stack[stack.length - 1];
+      if (node.type === "root" || node.inElse) throw new Error("{{else}} outside an {{#if}} block");
+      node.inElse = true;
+    } else if ((block = tag.match(/^\/(if|unless)$/))) {
+      if (stack[stack.length - 1].type !== block[1]) throw new Error(`Unexpected {{/${block[1]}}}`);
+      stack.pop();
+    } else {
+      target().push({ type: "var", expr: parseMergeExpr(tag) });
+    }
+  }
+  if (last < source.length) target().push({ type: "text", value: source.slice(last) });
+  if (stack.length > 1) throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} block`);
+  return root.children;
+}
+
+function mergeValue(context, path) {
+  const value = path.split(".").reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+  if (value == null || typeof value === "object" && !Array.isArray(value)) return "";
+  return (Array.isArray(value) ? value.join(", ") : String(value)).trim();
+}
+
+// Variables with no value and no literal fallback are reported in `missing`
+function resolveMergeExpr(alternatives, context, missing) {
+  for (const alt of alternatives) {
+    const value = "literal" in alt ? alt.literal : mergeValue(context, alt.path);
+    if (value) return value;
+  }
+  if (!alternatives.some(alt => "literal" in alt)) missing.add(alternatives[0].path);
+  return "";
+}
+
+function renderMergeNodes(nodes, context, missing) {
+  return nodes.map(node => {
+    if (node.type === "text") return node.value;
+    if (node.type === "var") return resolveMergeExpr(node.expr, context, missing);
+    const truthy = !!resolveMergeExpr(node.expr, context, new Set());
+    return renderMergeNodes((node.type === "if") === truthy ? node.children : node.otherwise, context, missing);
+  }).join("");
+}
+
+function renderMergeTemplate(source, context) {
+  const missing = new Set();
+  const text = renderMergeNodes(parseMergeTemplate(source || ""), context, missing).replace(/\n{3,}/g, "\n\n");
+  return { text, missing: [...missing] };
+}
+
+function mergeVariables(source) {
+  const paths = new Set();
+  const walk = (nodes) => nodes.forEach(node => {
+    if (node.expr) node.expr.forEach(alt => alt.path && paths.add(alt.path));
+    if (node.children) { walk(node.children); walk(node.otherwise); }
+  });
+  walk(parseMergeTemplate(source || ""));
+  return [...paths];
+}
+
+// Names like "CIO - [Company Name]" are LLM placeholders, not a person
+function mergeContext(lead, { profile, trackedUrl, variables, senderName } = {}) {
+  const name = lead.name && !/[[\]]| - /.test(lead.name) ? lead.name.trim() : "";
+  const [firstName = "", ...rest] = name ? name.split(/\s+/) : [];
+  return {
+    ...variables,
+    lead: { ...lead, name, firstName, lastName: rest.join(" "), website: lead.companyWebsite || lead.domain || "" },
+    painPoint: lead.painPoint || lead.topPainPoints?.[0]?.title || "",
+    trackedUrl: trackedUrl || "",
+    sender: profile ? { name: senderName || profile.senderName, company: profile.companyName, website: profile.website } : {},
+    // Flat names used by sequence steps written before templates had namespaces
+    firstName,
+    name,
+    company: lead.company || "",
+    title: lead.title || "",
+  };
+}
+
+function validateMailTemplate(input, existing) {
+  const t = { ...(existing || {}), ...input };
+  if (!t.name || typeof t.name !== "string") throw new Error("name is required");
+  if (!MAIL_TEMPLATE_CHANNELS.includes(t.channel)) throw new Error(`channel must be one of ${MAIL_TEMPLATE_CHANNELS.join(", ")}`);
+  if (!t.body || typeof t.body !== "string") throw new Error("body is required");
+  if (t.channel === "email" && !t.subject) throw new Error("subject is required for email templates");
+  for (const field of ["subject", "body"]) {
+    try { parseMergeTemplate(t[field] || ""); } catch (err) { throw new Error(`${field}: ${err.message}`); }
+  }
+  return { name: t.name.trim(), channel: t.channel, subject: t.channel === "email" ? t.subject : null, body: t.body, description: t.description || "" };
+}
+
+// Merge tags are linted away; anything placeholder-like left over would reach the recipient verbatim
+function mailTemplateView(t) {
+  const stripTags = (text) => text && text.replace(/\{\{[^{}]*\}\}/g, "");
+  return {
+    ...t,
+    variables: [...new Set([...mergeVariables(t.subject), ...mergeVariables(t.body)])],
+    lint: lintOutreach({ kind: t.channel, subject: stripTags(t.subject), body: stripTags(t.body) }),
+  };
+}
+
+function storeMailTemplate(fields, source, workspaceId) {
+  const now = new Date().toISOString();
+  const t = { id: genId("mt"), workspaceId, ...fields, source, createdAt: now, updatedAt: now };
+  mailTemplates.set(t.id, t);
+  scheduleSave();
+  return t;
+}
+
+// Bracket placeholders the templates prompt tends to produce, mapped onto merge variables
+const ANALYSIS_PLACEHOLDER_VARIABLES = [
+  [/\[(?:first ?name|recipient(?:'s)? first name)\]/gi, '{{lead.firstName | "there"}}'],
+  [/\[(?:name|full name|contact name|recipient(?:'s)? name)\]/gi, '{{lead.name | "there"}}'],
+  [/\[(?:company|company name)\]/gi, "{{lead.company}}"],
+  [/\[(?:title|job title|role)\]/gi, "{{lead.title}}"],
+  [/\[(?:your name|sender name|sender)\]/gi, "{{sender.name}}"],
+  [/\[(?:pain ?point)\]/gi, "{{painPoint}}"],
+];
+
+// Turn an analysis template for one company into a reusable one
+function generalizeAnalysisTemplate(text, companyName, profile) {
+  if (!text) return text;
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let out = ANALYSIS_PLACEHOLDER_VARIABLES.reduce((acc, [re, variable]) => acc.replace(re, variable), text);
+  if (companyName) out = out.replace(new RegExp(`\\b${escape(companyName)}\\b`, "g"), "{{lead.company}}");
+  if (profile.website) out = out.replace(new RegExp(`(?:https?://)?${escape(profile.website)}/?`, "gi"), "{{trackedUrl | sender.website}}");
+  return out;
+}
+
+// Resolve the lead list for a render: inline leads, stored lead ids and/or a past search
+function collectMergeLeads(body, workspaceId) {
+  const list = [
+    ...(Array.isArray(body.leads) ? body.leads.filter(l => l && typeof l === "object") : []),
+    ...(Array.isArray(body.leadIds) ? body.leadIds.map(id => leadStore.get(id)).filter(l => inWorkspace(l, workspaceId)) : []),
+    ...(body.searchId ? filterLeads({ searchId: body.searchId }, workspaceId) : []),
+  ];
+  const seen = new Set();
+  return list.filter(l => {
+    const key = l.id || leadKey(l);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function buildPolishPrompt(rendered, lead, channel, profile) {
+  return `You are polishing a mail-merged ${channel === "linkedin" ? "LinkedIn message" : "cold email"} from ${profile.companyName} before it is sent.
+
+RECIPIENT: ${lead.name || "unknown"}${lead.title ? `, ${lead.title}` : ""} at ${lead.company || "unknown company"}
+${lead.industry ? `INDUSTRY: ${lead.industry}\n` : ""}${lead.painPoint ? `PAIN POINT: ${lead.painPoint}\n` : ""}
+MESSAGE:
+${channel === "linkedin" ? rendered.message : `Subject: ${rendered.subject}\n\n${rendered.body}`}
+
+RULES:
+1. Smooth the wording and make it read as written for this recipient
+2. Keep every fact, name, link and the call to action exactly as they are
+3. Same length or shorter${channel === "linkedin" ? " (300 characters max)" : ""}
+4. No placeholders, no markdown
+
+Return ONLY JSON: ${channel === "linkedin" ? '{"message":"..."}' : '{"subject":"...","body":"..."}'}`;
+}
+
+/**
+ * Render a template for each lead; creates tracked links (unless previewing), optionally polishes with the LLM
+ * and saves the results to saved messages. Takes a plain snapshot of the request so it can also run as a job.
+ */
+async function runMailMerge({ template, leads, options, origin, profileId }, context, control = NO_JOB_CONTROL) {
+  const { preview, siteId, originalUrl, variables, senderName, polish, save } = options;
+  const profile = getSenderProfile(profileId, origin.workspaceId);
+  const usesTrackedUrl = [...mergeVariables(template.subject), ...mergeVariables(template.body)].includes("trackedUrl");
+  const linkUrl = originalUrl || profile.website;
+  const messageType = template.channel;
+  const suppressed = [];
+  const allowed = leads.filter(lead => {
+    const entry = checkSuppressed(lead, "mail-merge", { workspaceId: origin.workspaceId, userId: context.userId });
+    if (entry) suppressed.push({ lead: { name: lead.name, email: lead.email, company: lead.company }, matched: `${entry.type}:${entry.value}` });
+    return !entry;
+  });
+  let done = 0;
+
+  control.progress(0, allowed.length, `Rendering ${allowed.length} messages`);
+  const results = await mapWithConcurrency(allowed, polish ? 3 : 1, async (lead) => {
+    control.throwIfCancelled();
+    let trackedUrl = linkUrl || "";
+    let linkId = null;
+    if (usesTrackedUrl && linkUrl && !preview) {
+      const link = createTrackedLink(origin, { siteId, originalUrl: linkUrl, lead, messageType }, { mailTemplateId: template.id });
+      ({ trackedUrl, linkId } = link);
+    }
+    const ctx = mergeContext(lead, { profile, trackedUrl, variables, senderName });
+    const subject = template.subject ? renderMergeTemplate(template.subject, ctx) : null;
+    const body = renderMergeTemplate(template.body, ctx);
+    let message = messageType === "linkedin" ? { message: body.text } : { subject: subject.text, body: body.text };
+    const warnings = [];
+
+    if (polish) {
+      try {
+        const schemaName = messageType === "linkedin" ? "linkedinMessage" : "emailMessage";
+        const { data } = await completeStructured(buildPolishPrompt(message, lead, messageType, profile), schemaName, { temperature: 0.5, task: "message", ...context });
+        // A polish that drops the tracked link would lose attribution, so the merged text is kept instead
+        if (linkId && !JSON.stringify(data).includes(trackedUrl)) warnings.push("Polished text dropped the tracked link — kept the merged version");
+        else message = data;
+      } catch (err) {
+        if (err.budgetExceeded) throw err;
+        warnings.push(`Polish failed: ${err.message}`);
+      }
+    }
+
+    const result = {
+      leadId: lead.id || null,
+      lead: { name: lead.name, email: lead.email, company: lead.company, title: lead.title },
+      ...message,
+      missing: [...new Set([...(subject?.missing || []), ...body.missing])],
+      lint: lintOutreach(messageLintInput(message, messageType), { profile }),
+      trackedUrl: linkId ? trackedUrl : null,
+      linkId,
+      polished: !!polish && !warnings.length,
+      warnings,
+      savedMessageId: null,
+    };
+    if (save && !preview) {
+      const saved = createSavedMessage({
+        workspaceId: origin.workspaceId,
+        lead,
+        message,
+        messageType,
+        status: "draft",
+        mailTemplateId: template.id,
+      }, { by: context.userId || null, source: "mail-merge" });
+      result.savedMessageId = saved.id;
+    }
+    control.progress(++done, allowed.length, `Rendered ${done} of ${allowed.length} messages`);
+    return result;
+  });
+
+  return {
+    templateId: template.id,
+    messageType,
+    preview: !!preview,
+    rendered: results.length,
+    withMissingFields: results.filter(r => r.missing.length).length,
+    withLintErrors: results.filter(r => !r.lint.ok).length,
+    suppressed,
+    messages: results,
+  };
+}
+
+function getWorkspaceMailTemplate(req) {
+  const t = mailTemplates.get(req.params.id);
+  return inWorkspace(t, req.workspaceId) ? t : null;
+}
+
+app.get("/api/mail-templates", (req, res) => {
+  let list = [...mailTemplates.values()].filter(t => inWorkspace(t, req.workspaceId));
+  if (req.query.channel) list = list.filter(t => t.channel === req.query.channel);
+  res.json({ templates: list.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)).map(mailTemplateView) });
+});
+
+app.get("/api/mail-templates/:id", (req, res) => {
+  const t = getWorkspaceMailTemplate(req);
+  if (!t) return res.status(404).json({ error: "Template not found" });
+  res.json({ template: mailTemplateView(t) });
+});
+
+app.post("/api/mail-templates", (req, res) => {
+  try {
+    const t = storeMailTemplate(validateMailTemplate(req.body), { type: "manual" }, req.workspaceId);
+    res.json({ success: true, template: mailTemplateView(t) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Save templates from a finished analysis; bracket placeholders, the company name and the sender website become variables
+app.post("/api/mail-templates/from-analysis", (req, res) => {
+  const { analysisId, templateIds, generalize } = req.body;
+  const run = analysisRuns.get(analysisId);
+  if (!inWorkspace(run, req.workspaceId)) return res.status(404).json({ error: "Analysis not found" });
+  const source = run.stages.templates.result?.templates || [];
+  const picked = Array.isArray(templateIds) && templateIds.length ? source.filter(t => templateIds.includes(t.id)) : source;
+  if (!picked.length) return res.status(400).json({ error: "The analysis has no matching templates" });
+
+  const profile = getSenderProfile(run.input.profileId, run.workspaceId);
+  const convert = (text) => (generalize === false ? text : generalizeAnalysisTemplate(text, run.input.companyName, profile));
+  try {
+    const saved = picked.map(t => {
+      const fields = validateMailTemplate({
+        name: `${run.input.companyName} — ${t.type}`,
+        channel: t.id === "linkedin" ? "linkedin" : "email",
+        subject: convert(t.subject),
+        body: convert(t.body),
+      });
+      return storeMailTemplate(fields, { type: "analysis", analysisId: run.id, templateId: t.id }, req.workspaceId);
+    });
+    res.json({ success: true, templates: saved.map(mailTemplateView) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/mail-templates/:id", (req, res) => {
+  const t = getWorkspaceMailTemplate(req);
+  if (!t) return res.status(404).json({ error: "Template not found" });
+  try {
+    Object.assign(t, validateMailTemplate(req.body, t), { updatedAt: new Date().toISOString() });
+    scheduleSave();
+    res.json({ success: true, template: mailTemplateView(t) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/mail-templates/:id", (req, res) => {
+  const t = getWorkspaceMailTemplate(req);
+  if (!t) return res.status(404).json({ error: "Template not found" });
+  mailTemplates.delete(t.id);
+  scheduleSave();
+  res.json({ success: true });
+});
+
+// Render across leads instantly; with { polish: true } the LLM pass runs as a background job instead
+app.post("/api/mail-templates/:id/render", async (req, res) => {
+  const t = getWorkspaceMailTemplate(req);
+  if (!t) return res.status(404).json({ error: "Template not found" });
+  const { siteId, originalUrl, variables, senderName, preview, polish, save, profileId } = req.body;
+  if (siteId && !inWorkspace(sites.get(siteId), req.workspaceId)) return res.status(404).json({ error: "Site not found" });
+  const leads = collectMergeLeads(req.body, req.workspaceId);
+  if (!leads.length) return res.status(400).json({ error: "No leads — pass leads, leadIds or a searchId" });
+  if (leads.length > MAIL_MERGE_MAX_LEADS) return res.status(400).json({ error: `At most ${MAIL_MERGE_MAX_LEADS} leads per render (got ${leads.length})` });
+
+  const input = {
+    template: { id: t.id, channel: t.channel, subject: t.subject, body: t.body },
+    leads,
+    options: { siteId, originalUrl, variables: variables && typeof variables === "object" ? variables : {}, senderName, preview: !!preview, polish: !!polish, save: !!save },
+    origin: linkOrigin(req),
+    profileId: profileId || null,
+  };
+  if (polish && !preview) {
+    const job = enqueueJob("mail-merge", input, req);
+    return res.status(202).json({ success: true, jobId: job.id, leads: leads.length, statusUrl: `/api/jobs/${job.id}` });
+  }
+  try {
+    res.json(await runMailMerge({ ...input, options: { ...input.options, polish: false } }, llmContext(req)));
+  } catch (err) {
+    res.status(500).json({ error: "Render failed: " + err.message });
+  }
+});
+
+// ═══ SEND EMAIL VIA SMTP ═══
+
+function getSmtpTransport() {
+  if (smtpTransport) return smtpTransport;
+  const options = {
+    host: smtpConfig.host,
+    port: smtpConfig.port,
+    secure: smtpConfig.secure,
+    pool: true,
+    maxConnections: 1,
+    // Local SMTP stand-ins usually run plain SMTP with self-signed or no TLS
+    tls: { rejectUnauthorized: !["localhost", "127.0.0.1"].includes(smtpConfig.host) },
+  };
+  if (smtpConfig.user && appPassword) options.auth = { user: smtpConfig.user, pass: appPassword };
+  smtpTransport = nodemailer.createTransport(options);
+  return smtpTransport;
+}
+
+function resetSmtpTransport() {
+  if (smtpTransport) { try { smtpTransport.close(); } catch {} }
+  smtpTransport = null;
+}
+
+// Throttle: one message at a time, spaced by minIntervalMs, capped per day
+let sendChain = Promise.resolve();
+let lastSendAt = 0;
+const sendCounter = { day: "", count: 0 };
+
+function enqueueSend(task) {
+  const run = sendChain.then(async () => {
+    const today = new Date().toISOString().split("T")[0];
+    if (sendCounter.day !== today) { sendCounter.day = today; sendCounter.count = 0; }
+    if (sendCounter.count >= smtpConfig.dailyLimit) {
+      throw new Error(`Daily send limit reached (${smtpConfig.dailyLimit})`);
+    }
+    const wait = lastSendAt + smtpConfig.minIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    try {
+      const result = await task();
+      // Only mail the server accepted counts toward the daily limit
+      sendCounter.count++;
+      return result;
+    } finally {
+      lastSendAt = Date.now();
+    }
+  });
+  sendChain = run.catch(() => {});
+  return run;
+}
+
+// 4xx = temporary (greylisting, rate limits) → retry; 5xx = permanent bounce
+function classifySmtpError(err) {
+  const code = err.responseCode || 0;
+  if (code >= 500) return "bounced";
+  if (code >= 400 || ["ECONNECTION", "ETIMEDOUT", "ESOCKET"].includes(err.code)) return "deferred";
+  return "failed";
+}
+
+function textToHtml(text) {
+  const escaped = text.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+  return escaped.replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`).replace(/\r?\n/g, "<br>\n");
+}
+
+/**
+ * Validate a message and queue it for sending. Throws straight away when the message cannot be sent; otherwise
+ * marks it "sending" before returning, so a second request for the same message is refused while this one waits
+ * in the throttle queue or in retry backoff. Returns a promise of the final delivery record.
+ * `baseUrl` is where this server is reachable from the recipient's mail client (for the open pixel).
+ */
+function startDelivery(saved, { baseUrl, trackOpens = smtpConfig.trackOpens, userId = null } = {}) {
+  if (saved.delivery?.status === "sending") throw new Error("Message is already being sent");
+  if (saved.messageType === "linkedin") throw new Error("LinkedIn messages cannot be sent by email");
+  const to = saved.lead?.email;
+  if (!to) throw new Error("Lead has no email address");
+  if (!saved.message?.body) throw new Error("Message has no body");
+
+  const fromEmail = smtpConfig.fromEmail || smtpConfig.user;
+  if (!fromEmail) throw new Error("Configure a sender email first");
+
+  const blocked = checkSuppressed(saved.lead, saved.sequenceId ? "sequence" : "send", { workspaceId: saved.workspaceId || DEFAULT_WORKSPACE_ID, userId });
+  if (blocked) {
+    advanceMessage(saved, "suppressed", { by: userId, source: "send" });
+    throw suppressionError(blocked);
+  }
+
+  const mail = {
+    from: { name: smtpConfig.fromName, address: fromEmail },
+    to: saved.lead.name ? { name: saved.lead.name, address: to } : to,
+    subject: saved.message.subject || "",
+    text: saved.message.body,
+  };
+  if (saved.inReplyTo) {
+    mail.inReplyTo = saved.inReplyTo;
+    mail.references = [saved.inReplyTo];
+    if (mail.subject && !/^re:/i.test(mail.subject)) mail.subject = "Re: " + mail.subject;
+  }
+  // One-click unsubscribe (RFC 8058) when the server is reachable; a mailto: opt-out only while the IMAP watcher
+  // is on, since nothing else reads those requests
+  const unsubscribeUrl = publicBaseUrl(baseUrl) ? `${publicBaseUrl(baseUrl)}/u/${unsubscribeToken(to, saved.workspaceId || DEFAULT_WORKSPACE_ID, saved.id)}` : "";
+  const unsubscribeMailto = imapConfig.enabled ? `mailto:${fromEmail}?subject=unsubscribe` : "";
+  // Set by hand: mail providers expect both targets in a single List-Unsubscribe header
+  const unsubscribeTargets = [unsubscribeUrl, unsubscribeMailto].filter(Boolean);
+  mail.headers = unsubscribeTargets.length ? { "List-Unsubscribe": unsubscribeTargets.map(u => `<${u}>`).join(", ") } : {};
+  if (unsubscribeUrl) {
+    mail.headers["List-Unsubscribe-Post"] = "List-Unsubscribe=One-Click";
+    mail.text += `\n\n--\nDon't want to hear from us again? Unsubscribe: ${unsubscribeUrl}`;
+  }
+
+  // The pixel needs an HTML part; the plain-text part is sent as written
+  const openBaseUrl = trackOpens ? publicBaseUrl(baseUrl) : "";
+  const open = openBaseUrl ? ensureOpenPixel(saved, openBaseUrl) : null;
+  if (open) mail.html = `${textToHtml(mail.text)}<img src="${open.url}" width="1" height="1" alt="" style="display:block;border:0;">`;
+
+  const delivery = { status: "sending", to, from: fromEmail, attempts: 0, messageId: null, error: null, openTracking: !!open };
+  saved.delivery = delivery;
+  scheduleSave();
+  return sendWithRetries(saved, mail, open, userId);
+}
+
+async function sendWithRetries(saved, mail, open, userId) {
+  const delivery = saved.delivery;
+  const MAX_ATTEMPTS = 3;
+  while (delivery.attempts < MAX_ATTEMPTS) {
+    delivery.attempts++;
+    try {
+      const info = await enqueueSend(() => getSmtpTransport().sendMail(mail));
+      delivery.messageId = info.messageId;
+      delivery.response = info.response;
+      if (info.rejected && info.rejected.length) {
+        delivery.status = "bounced";
+        delivery.error = `Recipient rejected: ${info.rejected.join(", ")}`;
+        advanceMessage(saved, "bounced", { by: userId, source: "smtp" });
+      } else {
+        delivery.status = "sent";
+        delivery.sentAt = new Date().toISOString();
+        advanceMessage(saved, "sent", { at: delivery.sentAt, by: userId, source: "smtp" });
+        if (open) {
+          open.pixel.sentAt = delivery.sentAt;
+          scheduleSave();
+        }
+      }
+      return delivery;
+    } catch (err) {
+      delivery.status = classifySmtpError(err);
+      delivery.error = err.response || err.message;
+      if (delivery.status !== "deferred" || delivery.attempts >= MAX_ATTEMPTS) break;
+      console.error(`[SMTP] Deferred (attempt ${delivery.attempts}): ${delivery.error}`);
+      await sleep(5000 * Math.pow(2, delivery.attempts - 1));
+    }
+  }
+  if (delivery.status === "bounced") advanceMessage(saved, "bounced", { by: userId, source: "smtp" });
+  scheduleSave();
+  return delivery;
+}
+
+// SMTP settings and password, shared by every workspace
+app.get("/api/smtp-config", (req, res) => {
+  res.json({ ...smtpConfig, hasPassword: !!appPassword });
+});
+
+app.post("/api/smtp-config", (req, res) => {
+  const { host, port, secure, user, fromName, fromEmail, minIntervalMs, dailyLimit, trackOpens, password } = req.body;
+  const connection = () => JSON.stringify([smtpConfig.host, smtpConfig.port, smtpConfig.secure, smtpConfig.user, appPassword]);
+  const before = connection();
+  if (host !== undefined) smtpConfig.host = host;
+  if (port !== undefined) smtpConfig.port = parseInt(port) || smtpConfig.port;
+  if (secure !== undefined) smtpConfig.secure = !!secure;
+  else if (port !== undefined) smtpConfig.secure = smtpConfig.port === 465;
+  if (user !== undefined) smtpConfig.user = user;
+  if (fromName !== undefined) smtpConfig.fromName = fromName;
+  if (fromEmail !== undefined) smtpConfig.fromEmail = fromEmail;
+  if (minIntervalMs !== undefined) smtpConfig.minIntervalMs = Math.max(0, parseInt(minIntervalMs) || 0);
+  if (dailyLimit !== undefined) smtpConfig.dailyLimit = Math.max(1, parseInt(dailyLimit) || 1);
+  if (trackOpens !== undefined) smtpConfig.trackOpens = !!trackOpens;
+  if (password) appPassword = password;
+  // Sender, throttle and tracking changes don't need a new connection
+  if (connection() !== before) resetSmtpTransport();
+  const persisted = persistConfig();
+  res.json({ success: true, persisted, message: `SMTP configured: ${smtpConfig.host}:${smtpConfig.port}` });
+});
+
+app.post("/api/smtp-verify", async (req, res) => {
+  try {
+    await getSmtpTransport().verify();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(502).json({ error: "SMTP verification failed: " + err.message });
+  }
+});
+
+// Send a saved message (by id) or a freshly generated one (lead + message)
+app.post("/api/send-message", async (req, res) => {
+  const { messageId, lead, message, messageType, trackOpens } = req.body;
+
+  let saved;
+  if (messageId) {
+    saved = sentMessages.find(m => m.id === messageId && inWorkspace(m, req.workspaceId));
+    if (!saved) return res.status(404).json({ error: "Message not found" });
+  } else {
+    if (!lead || !message) return res.status(400).json({ error: "messageId or lead and message are required" });
+    saved = createSavedMessage({ workspaceId: req.workspaceId, lead, message, messageType, status: "draft" }, { by: req.user.id, source: "send-message" });
+  }
+
+  if (saved.delivery?.status === "sending") {
+    return res.status(409).json({ error: "Message is already being sent", delivery: saved.delivery });
+  }
+  if (saved.delivery?.status === "sent" || MESSAGE_DELIVERED_STATUSES.includes(saved.status)) {
+    return res.status(409).json({ error: `Message already ${saved.status}`, delivery: saved.delivery });
+  }
+
+  // Sending waits for the throttle queue and retries, so it carries on after the response; poll the message for the outcome
+  let sending;
+  try {
+    sending = startDelivery(saved, { baseUrl: linkOrigin(req).baseUrl, trackOpens: trackOpens ?? smtpConfig.trackOpens, userId: req.user.id });
+  } catch (err) {
+    return res.status(err.suppressed ? 403 : 400).json({ error: "Send failed: " + err.message, id: saved.id, suppressed: !!err.suppressed });
+  }
+  sending.then(
+    delivery => { if (delivery.status !== "sent") console.error(`[SMTP] ${saved.id} ${delivery.status}: ${delivery.error}`); },
+    err => console.error(`[SMTP] ${saved.id} failed:`, err.message),
+  );
+  res.status(202).json({ success: true, id: saved.id, delivery: saved.delivery, statusUrl: `/api/saved-messages/${saved.id}` });
+});
+
+// ═══ OUTREACH SEQUENCES & SCHEDULER ═══
+
+const sequences = new Map();
+const enrollments = new Map();
+const SEQUENCE_TICK_MS = 60 * 1000;
+const STEP_TYPES = ["email", "linkedin", "wait"];
+const DEFAULT_SENDING_HOURS = { start: 9, end: 17, timezone: "America/New_York", days: [1, 2, 3, 4, 5] };
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function loadSequenceData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "sequences.json"), "utf8")); d.forEach(([k,v]) => sequences.set(k,v)); } catch {}
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "enrollments.json"), "utf8")); d.forEach(([k,v]) => enrollments.set(k,v)); } catch {}
+}
+loadSequenceData();
+
+// Written immediately (not debounced) so a restart never re-fires a step that already ran
+function saveSequenceData() {
+  try { fs.writeFileSync(path.join(dataDir, "sequences.json"), JSON.stringify([...sequences])); } catch {}
+  try { fs.writeFileSync(path.join(dataDir, "enrollments.json"), JSON.stringify([...enrollments])); } catch {}
+}
+
+// Weekday and hour of a date in the sender's timezone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "numeric", hourCycle: "h23" }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return { weekday: WEEKDAYS.indexOf(get("weekday")), hour: parseInt(get("hour")) };
+}
+
+function isWithinSendingHours(date, hours) {
+  const { weekday, hour } = zonedParts(date, hours.timezone);
+  return hours.days.includes(weekday) && hour >= hours.start && hour < hours.end;
+}
+
+// Earliest moment at or after `date` that falls inside the sending window (15-min resolution)
+function nextSendingTime(date, hours) {
+  let t = new Date(date);
+  for (let i = 0; i < 7 * 96 && !isWithinSendingHours(t, hours); i++) {
+    t = new Date(Math.floor(t.getTime() / 900000) * 900000 + 900000);
+  }
+  return t;
+}
+
+function addBusinessDays(date, days, hours) {
+  let t = new Date(date);
+  let added = 0;
+  while (added < days) {
+    t = new Date(t.getTime() + 24 * 3600000);
+    if (hours.days.includes(zonedParts(t, hours.timezone).weekday)) added++;
+  }
+  return t;
+}
+
+function normalizeSendingHours(input) {
+  const h = { ...DEFAULT_SENDING_HOURS, ...(input || {}) };
+  h.start = Math.min(23, Math.max(0, parseInt(h.start) || 0));
+  h.end = Math.min(24, Math.max(h.start + 1, parseInt(h.end) || 24));
+  try { new Intl.DateTimeFormat("en-US", { timeZone: h.timezone }); } catch { throw new Error(`Unknown timezone: ${h.timezone}`); }
+  if (!Array.isArray(h.days) || !h.days.length) h.days = DEFAULT_SENDING_HOURS.days;
+  return h;
+}
+
+function validateSteps(steps) {
+  if (!Array.isArray(steps) || !steps.length) throw new Error("At least one step is required");
+  return steps.map((step, i) => {
+    if (!STEP_TYPES.includes(step.type)) throw new Error(`Step ${i + 1}: type must be one of ${STEP_TYPES.join(", ")}`);
+    if (step.type === "wait") {
+      const days = parseInt(step.days);
+      if (!(days >= 0)) throw new Error(`Step ${i + 1}: wait needs a number of business days`);
+      return { type: "wait", days };
+    }
+    if (!step.templateId && !step.body) throw new Error(`Step ${i + 1}: ${step.type} step needs a templateId or body`);
+    for (const field of ["subject", "body"]) {
+      try { parseMergeTemplate(step[field] || ""); } catch (err) { throw new Error(`Step ${i + 1} ${field}: ${err.message}`); }
+    }
+    return { type: step.type, templateId: step.templateId || null, subject: step.subject || null, body: step.body || null };
+  });
+}
+
+// Steps use the mail-merge syntax ({{lead.firstName | "there"}}, {{#if}}); bare {{firstName}} still works
+function fillPlaceholders(text, lead, profile) {
+  if (!text) return text;
+  return renderMergeTemplate(text, mergeContext(lead, { profile })).text;
+}
+
+// Resolve a step's content from the enrollment's templates (e.g. analyze-painpoints output), the mail-merge
+// template library, or inline text
+function resolveStepContent(step, enrollment) {
+  const library = mailTemplates.get(step.templateId);
+  const tpl = step.templateId
+    ? (enrollment.templates || []).find(t => t.id === step.templateId) || (inWorkspace(library, enrollment.workspaceId) ? library : null)
+    : null;
+  if (step.templateId && !tpl && !step.body) throw new Error(`Template "${step.templateId}" not provided at enrollment or in the template library`);
+  const profile = getSenderProfile(null, enrollment.workspaceId);
+  return {
+    subject: fillPlaceholders(step.subject || tpl?.subject || "", enrollment.lead, profile),
+    body: fillPlaceholders(step.body || tpl?.body || "", enrollment.lead, profile),
+  };
+}
+
+function pauseEnrollmentsForLead(email, reason, workspaceId) {
+  if (!email) return 0;
+  const target = email.toLowerCase();
+  let paused = 0;
+  for (const enr of enrollments.values()) {
+    if (enr.status === "active" && (enr.lead?.email || "").toLowerCase() === target && inWorkspace(enr, workspaceId)) {
+      enr.status = "paused";
+      enr.pausedReason = reason;
+      enr.pausedAt = new Date().toISOString();
+      paused++;
+    }
+  }
+  if (paused) saveSequenceData();
+  return paused;
+}
+
+async function runEnrollmentStep(enr, seq) {
+  const hours = seq.sendingHours;
+  const step = seq.steps[enr.currentStep];
+  const now = new Date();
+
+  if (step.type === "wait") {
+    enr.history.push({ step: enr.currentStep, type: "wait", at: now.toISOString(), result: `waited ${step.days} business day(s)` });
+    enr.currentStep++;
+    enr.nextRunAt = nextSendingTime(addBusinessDays(now, step.days, hours), hours).toISOString();
+    return;
+  }
+
+  if (!isWithinSendingHours(now, hours)) {
+    enr.nextRunAt = nextSendingTime(now, hours).toISOString();
+    return;
+  }
+
+  const blocked = checkSuppressed(enr.lead, "sequence", { workspaceId: enr.workspaceId });
+  if (blocked) {
+    enr.status = "suppressed";
+    enr.history.push({ step: enr.currentStep, type: step.type, at: now.toISOString(), result: `suppressed (${blocked.type}: ${blocked.value})` });
+    return;
+  }
+
+  const content = resolveStepContent(step, enr);
+
+  if (step.type === "linkedin") {
+    enr.tasks.push({ taskId: genId("task"), step: enr.currentStep, body: content.body, status: "open", createdAt: now.toISOString() });
+    enr.history.push({ step: enr.currentStep, type: "linkedin", at: now.toISOString(), result: "task created" });
+  } else {
+    // The step's message is written down before it goes out: a retry sends that same message, and after a restart
+    // a step whose message was already sent just moves on
+    let saved = enr.pendingStep?.step === enr.currentStep ? sentMessages.find(m => m.id === enr.pendingStep.messageId) : null;
+    if (!saved) {
+      saved = createSavedMessage({
+        workspaceId: enr.workspaceId,
+        lead: enr.lead,
+        message: { subject: content.subject, body: content.body },
+        messageType: "email",
+        status: "approved",
+        sequenceId: seq.id,
+        enrollmentId: enr.id,
+        inReplyTo: enr.lastMessageId || null,
+      }, { source: "sequence" });
+      enr.pendingStep = { step: enr.currentStep, messageId: saved.id };
+      saveMessageData();
+      saveSequenceData();
+    }
+
+    let delivery = saved.delivery;
+    // Cut off mid-send by a restart: it may have gone out, so only a rep resuming the enrollment sends it again
+    if (delivery?.status === "interrupted" && !enr.pendingStep.retryConfirmed) {
+      enr.status = "paused";
+      enr.pausedReason = "interrupted";
+      enr.pausedAt = now.toISOString();
+      enr.lastError = delivery.error;
+      enr.history.push({ step: enr.currentStep, type: "email", at: now.toISOString(), result: "interrupted", messageId: saved.id });
+      return;
+    }
+    if (delivery?.status !== "sent") {
+      delivery = await startDelivery(saved, { baseUrl: enr.baseUrl });
+      saveMessageData();
+      enr.history.push({ step: enr.currentStep, type: "email", at: new Date().toISOString(), result: delivery.status, messageId: saved.id });
+    }
+    if (delivery.status === "bounced") {
+      enr.status = "bounced";
+      enr.lastError = delivery.error;
+      enr.pendingStep = null;
+      return;
+    }
+    if (delivery.status !== "sent") throw new Error(delivery.error || "Send failed");
+    enr.lastMessageId = delivery.messageId;
+    enr.pendingStep = null;
+  }
+
+  enr.currentStep++;
+  enr.nextRunAt = now.toISOString();
+}
+
+let sequenceTickRunning = false;
+async function runSequenceScheduler() {
+  if (sequenceTickRunning) return;
+  sequenceTickRunning = true;
+  try {
+    const now = Date.now();
+    for (const enr of enrollments.values()) {
+      if (enr.status !== "active" || new Date(enr.nextRunAt).getTime() > now) continue;
+      const seq = sequences.get(enr.sequenceId);
+      if (!seq) { enr.status = "stopped"; enr.lastError = "Sequence deleted"; continue; }
+
+      // Run consecutive due steps (e.g. email then wait) in one pass
+      try {
+        while (enr.status === "active" && enr.currentStep < seq.steps.length && new Date(enr.nextRunAt).getTime() <= Date.now()) {
+          await runEnrollmentStep(enr, seq);
+          saveSequenceData();
+        }
+        if (enr.status === "active" && enr.currentStep >= seq.steps.length) {
+          enr.status = "completed";
+          enr.completedAt = new Date().toISOString();
+        }
+        enr.errorCount = 0;
+      } catch (err) {
+        enr.errorCount = (enr.errorCount || 0) + 1;
+        enr.lastError = err.message;
+        console.error(`[SEQUENCE] ${enr.id} step ${enr.currentStep + 1} failed:`, err.message);
+        if (enr.errorCount >= 3) enr.status = "error";
+        else enr.nextRunAt = new Date(Date.now() + 3600000).toISOString();
+      }
+      saveSequenceData();
+    }
+  } finally {
+    sequenceTickRunning = false;
+  }
+}
+setInterval(runSequenceScheduler, SEQUENCE_TICK_MS);
+
+// ─── Sequence CRUD ───
+
+app.get("/api/sequences", (req, res) => {
+  const result = [...sequences.values()].filter(seq => inWorkspace(seq, req.workspaceId)).map(seq => {
+    const enrolled = [...enrollments.values()].filter(e => e.sequenceId === seq.id);
+    const counts = {};
+    enrolled.forEach(e => { counts[e.status] = (counts[e.status] || 0) + 1; });
+    return { ...seq, enrollmentCounts: counts };
+  });
+  res.json({ sequences: result });
+});
+
+app.post("/api/sequences", (req, res) => {
+  const { name, steps, sendingHours } = req.body;
+  if (!name) return res.status(400).json({ error: "Sequence name is required" });
+  try {
+    const seq = {
+      id: genId("seq"),
+      workspaceId: req.workspaceId,
+      name,
+      steps: validateSteps(steps),
+      sendingHours: normalizeSendingHours(sendingHours),
+      createdAt: new Date().toISOString(),
+    };
+    sequences.set(seq.id, seq);
+    saveSequenceData();
+    res.json({ success: true, sequence: seq });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─── Enrollments ───
+
+app.get("/api/sequences/enrollments", (req, res) => {
+  let list = [...enrollments.values()].filter(e => inWorkspace(e, req.workspaceId));
+  if (req.query.sequenceId) list = list.filter(e => e.sequenceId === req.query.sequenceId);
+  if (req.query.status) list = list.filter(e => e.status === req.query.status);
+  list.sort((a, b) => new Date(b.enrolledAt) - new Date(a.enrolledAt));
+  res.json({ enrollments: list });
+});
 
-    const $ = cheerio.load(html);
-    const title = $("title").text().trim().slice(0, 200);
-    const metaDesc = $('meta[name="description"]').attr("content")?.trim().slice(0, 300) || "";
+app.post("/api/sequences/enrollments/:id/pause", (req, res) => {
+  const enr = enrollments.get(req.params.id);
+  if (!inWorkspace(enr, req.workspaceId)) return res.status(404).json({ error: "Enrollment not found" });
+  if (enr.status !== "active") return res.status(409).json({ error: `Enrollment is ${enr.status}` });
+  enr.status = "paused";
+  enr.pausedReason = "manual";
+  enr.pausedAt = new Date().toISOString();
+  saveSequenceData();
+  res.json({ success: true, enrollment: enr });
+});
 
-    // Extract all text from about/team/leadership pages
-    const allText = $("body").text();
-    const emails = extractEmails(html);
+app.post("/api/sequences/enrollments/:id/resume", (req, res) => {
+  const enr = enrollments.get(req.params.id);
+  if (!inWorkspace(enr, req.workspaceId)) return res.status(404).json({ error: "Enrollment not found" });
+  if (!["paused", "error"].includes(enr.status)) return res.status(409).json({ error: `Enrollment is ${enr.status}` });
+  enr.status = "active";
+  enr.pausedReason = null;
+  enr.errorCount = 0;
+  // Resuming after an interrupted send is the rep's go-ahead to send that step's message again
+  if (enr.pendingStep) enr.pendingStep.retryConfirmed = true;
+  if (new Date(enr.nextRunAt).getTime() < Date.now()) enr.nextRunAt = new Date().toISOString();
+  saveSequenceData();
+  res.json({ success: true, enrollment: enr });
+});
 
-    // Find common leadership page links
-    const leadershipUrls = [];
-    $("a").each((_, el) => {
-      const href = $(el).attr("href") || "";
-      const text = $(el).text().trim().toLowerCase();
-      const hrefLower = href.toLowerCase();
+app.delete("/api/sequences/enrollments/:id", (req, res) => {
+  if (!inWorkspace(enrollments.get(req.params.id), req.workspaceId)) return res.status(404).json({ error: "Enrollment not found" });
+  enrollments.delete(req.params.id);
+  saveSequenceData();
+  res.json({ success: true });
+});
 
-      const isLeadershipLink = ["about", "team", "leadership", "management", "executives", "contact"]
-        .some(kw => text.includes(kw) || hrefLower.includes(kw));
+// Record a reply (pauses every active enrollment for that address)
+app.post("/api/sequences/reply", (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: "email is required" });
+  res.json({ success: true, paused: pauseEnrollmentsForLead(email, "replied", req.workspaceId) });
+});
 
-      if (isLeadershipLink && href && !href.startsWith("#") && !href.startsWith("javascript")) {
-        try {
-          const resolved = new URL(href, url).href;
-          leadershipUrls.push(resolved);
-        } catch {}
-      }
+// ─── LinkedIn Tasks ───
+
+app.get("/api/sequences/tasks", (req, res) => {
+  const status = req.query.status || "open";
+  const tasks = [];
+  for (const enr of enrollments.values()) {
+    if (!inWorkspace(enr, req.workspaceId)) continue;
+    (enr.tasks || []).filter(t => status === "all" || t.status === status).forEach(t => {
+      tasks.push({ ...t, enrollmentId: enr.id, sequenceId: enr.sequenceId, lead: enr.lead });
     });
+  }
+  tasks.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  res.json({ tasks });
+});
 
-    return {
-      title,
-      metaDesc,
-      emails,
-      leadershipUrls: [...new Set(leadershipUrls)].slice(0, 5),
-      scraped: true,
-    };
-  } catch {
-    return null;
+app.post("/api/sequences/tasks/:taskId/complete", (req, res) => {
+  for (const enr of enrollments.values()) {
+    if (!inWorkspace(enr, req.workspaceId)) continue;
+    const task = (enr.tasks || []).find(t => t.taskId === req.params.taskId);
+    if (task) {
+      task.status = "done";
+      task.completedAt = new Date().toISOString();
+      saveSequenceData();
+      return res.json({ success: true, task });
+    }
   }
-}
+  res.status(404).json({ error: "Task not found" });
+});
 
-// ═══ ROUTES ═══
+// ─── Single Sequence ───
 
-// Save config
-app.post("/api/config", (req, res) => {
-  const { apiKey, gmailAppPassword, model } = req.body;
-  if (!apiKey) return res.status(400).json({ error: "OpenRouter API key required" });
-  openRouterKey = apiKey;
-  appPassword = gmailAppPassword || "";
-  if (model) selectedModel = model;
-  res.json({ success: true, message: `Configuration saved. Model: ${selectedModel}` });
+app.get("/api/sequences/:id", (req, res) => {
+  const seq = sequences.get(req.params.id);
+  if (!inWorkspace(seq, req.workspaceId)) return res.status(404).json({ error: "Sequence not found" });
+  const enrolled = [...enrollments.values()].filter(e => e.sequenceId === seq.id);
+  res.json({ sequence: seq, enrollments: enrolled });
 });
 
-// Get available models
-app.get("/api/models", async (req, res) => {
-  const models = [
-    { id: "google/gemini-2.0-flash-001", name: "Gemini 2.0 Flash", cost: "$" },
-    { id: "google/gemini-2.5-pro-preview", name: "Gemini 2.5 Pro", cost: "$$" },
-    { id: "anthropic/claude-opus-4.5", name: "Claude Opus 4.5", cost: "$$$" },
-    { id: "anthropic/claude-sonnet-4.5", name: "Claude Sonnet 4.5", cost: "$$" },
-    { id: "anthropic/claude-haiku-4.5", name: "Claude Haiku 4.5", cost: "$" },
-    { id: "openai/gpt-4o-mini", name: "GPT-4o Mini", cost: "$" },
-    { id: "openai/gpt-4o", name: "GPT-4o", cost: "$$" },
-    { id: "meta-llama/llama-3.3-70b-instruct", name: "Llama 3.3 70B", cost: "$" },
-    { id: "deepseek/deepseek-chat-v3-0324", name: "DeepSeek V3", cost: "$" },
-  ];
-  res.json({ models, selected: selectedModel });
+app.put("/api/sequences/:id", (req, res) => {
+  const seq = sequences.get(req.params.id);
+  if (!inWorkspace(seq, req.workspaceId)) return res.status(404).json({ error: "Sequence not found" });
+  try {
+    const { name, steps, sendingHours } = req.body;
+    if (name) seq.name = name;
+    if (steps) seq.steps = validateSteps(steps);
+    if (sendingHours) seq.sendingHours = normalizeSendingHours(sendingHours);
+    seq.updatedAt = new Date().toISOString();
+    saveSequenceData();
+    res.json({ success: true, sequence: seq });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
 });
 
-// ═══ Industry & Role Categories ═══
-const TARGET_INDUSTRIES = {
-  "banking": {
-    label: "Banking & Financial Services",
-    description: "Banks, credit unions, fintech companies needing regulatory compliance and customer communication",
-    keywords: "banking, financial services, credit union, fintech, wealth management, investment"
-  },
-  "insurance": {
-    label: "Insurance Companies",
-    description: "Insurance providers needing omnichannel policy communications",
-    keywords: "insurance, life insurance, property insurance, health insurance, underwriting"
-  },
-  "healthcare": {
-    label: "Healthcare & Medical",
-    description: "Hospitals, clinics, healthcare systems needing patient communications",
-    keywords: "healthcare, hospital, medical center, clinic, health system, patient care"
-  },
-  "government": {
-    label: "Government & Public Sector",
-    description: "Government agencies, municipalities needing citizen engagement",
-    keywords: "government, public sector, municipality, state agency, federal, local government"
-  },
-  "utilities": {
-    label: "Utilities & Telecom",
-    description: "Utility companies, telecom providers with high-volume customer communications",
-    keywords: "utility, electricity, water, gas, telecom, telecommunications, broadband"
-  },
-  "enterprise": {
-    label: "Large Enterprises",
-    description: "Fortune 500, large corporations needing document automation",
-    keywords: "enterprise, corporation, fortune 500, large company, multinational"
-  },
-  "printing": {
-    label: "Printing & Print Services",
-    description: "Commercial printers, print service providers, and print management companies needing output management and digital transformation",
-    keywords: "printing, commercial print, print services, print management, digital print, transactional print, direct mail, print production, print workflow"
+app.delete("/api/sequences/:id", (req, res) => {
+  if (!inWorkspace(sequences.get(req.params.id), req.workspaceId)) return res.status(404).json({ error: "Sequence not found" });
+  sequences.delete(req.params.id);
+  for (const enr of enrollments.values()) {
+    if (enr.sequenceId === req.params.id && ["active", "paused"].includes(enr.status)) {
+      enr.status = "stopped";
+      enr.lastError = "Sequence deleted";
+    }
   }
-};
-
-const TARGET_ROLES = [
-  "Chief Information Officer (CIO)",
-  "Chief Technology Officer (CTO)",
-  "VP of IT",
-  "IT Director",
-  "Director of Digital Transformation",
-  "Head of Customer Experience",
-  "VP of Customer Operations",
-  "Director of Communications",
-  "Chief Digital Officer",
-  "VP of Technology",
-  "Head of IT Infrastructure",
-  "Director of Enterprise Applications"
-];
+  saveSequenceData();
+  res.json({ success: true });
+});
 
-// Get industries
-app.get("/api/industries", (req, res) => {
-  const industries = Object.entries(TARGET_INDUSTRIES).map(([id, data]) => ({
-    id,
-    label: data.label,
-    description: data.description,
-  }));
-  res.json({ industries });
+// Enroll leads; `templates` (e.g. from /api/analyze-painpoints) back steps that use templateId
+app.post("/api/sequences/:id/enroll", (req, res) => {
+  const seq = sequences.get(req.params.id);
+  if (!inWorkspace(seq, req.workspaceId)) return res.status(404).json({ error: "Sequence not found" });
+  const { leads, templates, startAt } = req.body;
+  if (!Array.isArray(leads) || !leads.length) return res.status(400).json({ error: "leads array is required" });
+
+  const start = nextSendingTime(startAt ? new Date(startAt) : new Date(), seq.sendingHours);
+  const enrolled = [];
+  const skipped = [];
+  for (const lead of leads) {
+    const email = (lead.email || "").toLowerCase();
+    const duplicate = email && [...enrollments.values()].some(e =>
+      e.sequenceId === seq.id && ["active", "paused"].includes(e.status) && (e.lead?.email || "").toLowerCase() === email);
+    if (duplicate) { skipped.push({ lead, reason: "already enrolled" }); continue; }
+    if (checkSuppressed(lead, "sequence-enroll", { workspaceId: req.workspaceId, userId: req.user.id })) { skipped.push({ lead, reason: "suppressed" }); continue; }
+
+    const enr = {
+      id: genId("enr"),
+      workspaceId: seq.workspaceId || DEFAULT_WORKSPACE_ID,
+      sequenceId: seq.id,
+      lead,
+      templates: templates || [],
+      baseUrl: linkOrigin(req).baseUrl,
+      status: "active",
+      currentStep: 0,
+      nextRunAt: start.toISOString(),
+      history: [],
+      tasks: [],
+      enrolledAt: new Date().toISOString(),
+    };
+    enrollments.set(enr.id, enr);
+    enrolled.push(enr);
+  }
+  saveSequenceData();
+  res.json({ success: true, enrolled, skipped });
 });
 
-// Previously searched companies to avoid repeats
-let previouslySearched = new Set();
+// ═══ REPLY DETECTION (IMAP) ═══
+// Polls the sender mailbox, matches inbound mail to sent messages (In-Reply-To/References, then sender
+// address) and classifies it. Bounces and auto-replies are recognised from headers; human replies go to the LLM.
+const REPLY_CATEGORIES = ["interested", "not-now", "not-interested", "unsubscribe", "out-of-office", "bounce", "other"];
+const REPLY_TICK_MS = 60 * 1000;
+const REPLY_FETCH_MAX = 100;
+const REPLY_SOURCE_MAX_BYTES = 256 * 1024;
+const REPLY_INITIAL_LOOKBACK_DAYS = 14;
+const inboundReplies = new Map();
+// Last UID seen per mailbox; UIDVALIDITY changes when the server rebuilds the mailbox and UIDs restart
+const mailboxState = { uidValidity: null, lastUid: 0, lastPollAt: null, lastError: null, lastSummary: null };
+
+function loadReplyData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "replies.json"), "utf8")); d.forEach(([k,v]) => inboundReplies.set(k,v)); } catch {}
+  try { Object.assign(mailboxState, JSON.parse(fs.readFileSync(path.join(dataDir, "mailbox.json"), "utf8"))); } catch {}
+}
+loadReplyData();
 
-// ═══ Find REAL leads (decision makers at target companies) ═══
-app.post("/api/find-leads", async (req, res) => {
-  const { industry, customKeywords, roleFilter, page } = req.body;
-  const searchPage = page || 1;
+function saveReplyData() {
+  try { fs.writeFileSync(path.join(dataDir, "replies.json"), JSON.stringify([...inboundReplies])); } catch {}
+  try { fs.writeFileSync(path.join(dataDir, "mailbox.json"), JSON.stringify(mailboxState)); } catch {}
+}
 
-  try {
-    const industryData = TARGET_INDUSTRIES[industry] || TARGET_INDUSTRIES["enterprise"];
-    const searchKeywords = customKeywords || industryData.keywords;
+// The Gmail app password works for IMAP too, so the SMTP login is the default
+function imapCredentials() {
+  return { user: imapConfig.user || smtpConfig.user, pass: imapPassword || appPassword };
+}
 
-    // Build exclusion list
-    const excludeList = previouslySearched.size > 0
-      ? `\n\nDO NOT include any of these companies (already searched): ${[...previouslySearched].join(", ")}`
-      : "";
+function createImapClient() {
+  const { user, pass } = imapCredentials();
+  if (!imapConfig.host || !user || !pass) throw new Error("Configure IMAP host, user and password first");
+  const client = new ImapFlow({
+    host: imapConfig.host,
+    port: imapConfig.port,
+    secure: imapConfig.secure,
+    auth: { user, pass },
+    logger: false,
+    socketTimeout: 60000,
+    tls: { rejectUnauthorized: !["localhost", "127.0.0.1"].includes(imapConfig.host) },
+  });
+  // Socket errors and timeouts arrive as 'error' events; unhandled, they would take the whole server down
+  client.on("error", (err) => {
+    console.error("[REPLIES] IMAP connection error:", err.message);
+    mailboxState.lastError = err.message;
+  });
+  return client;
+}
 
-    const randomSeed = Math.floor(Math.random() * 100000);
+function headerValue(parsed, name) {
+  const value = parsed.headers.get(name);
+  if (value == null) return "";
+  return typeof value === "object" && "value" in value ? String(value.value) : String(value);
+}
 
-    const prompt = `You are a B2B lead generation expert. Find REAL companies and their decision-makers for Belwo's CCM consulting services.
+// "bounce" | "out-of-office" | null — decided from headers and sender alone
+function detectAutomatedReply(parsed, from) {
+  const subject = parsed.subject || "";
+  const contentType = parsed.headers.get("content-type");
+  if (/^(mailer-daemon|postmaster)@/i.test(from)
+    || contentType?.value === "multipart/report" && /delivery-status/i.test(contentType.params?.["report-type"] || "")
+    || /undeliverable|delivery status notification|mail delivery (failed|subsystem)|returned mail|failure notice/i.test(subject)) {
+    return "bounce";
+  }
+  const autoSubmitted = headerValue(parsed, "auto-submitted").toLowerCase();
+  if (autoSubmitted && autoSubmitted !== "no"
+    || parsed.headers.has("x-autoreply") || parsed.headers.has("x-autorespond")
+    || /auto_reply/i.test(headerValue(parsed, "precedence"))
+    || /out of (the )?office|automatic reply|auto(matic)?[- ]?reply|autoreply|on vacation|on leave/i.test(subject)) {
+    return "out-of-office";
+  }
+  return null;
+}
 
-ABOUT BELWO:
-Belwo (www.belwo.com) is a Customer Communications Management (CCM) consulting firm with 20 years of experience. They help enterprises modernize customer communication infrastructure through:
-- CCM platform implementation (Quadient, OpenText, SmartComm, Solimar)
-- Document automation and output management
-- Application migration and system integration
-- Managed services for customer communications
+// The address a bounce report is about (it is sent from the mailer daemon, not the lead)
+function failedRecipient(parsed, raw) {
+  const header = headerValue(parsed, "x-failed-recipients").split(",")[0].trim();
+  if (header) return header.toLowerCase();
+  const m = raw.match(/^(?:final|original)-recipient:\s*rfc822;\s*<?([^\s>]+)/im);
+  return m ? m[1].toLowerCase() : "";
+}
 
-TARGET INDUSTRY: ${industryData.label}
-KEYWORDS: ${searchKeywords}
-SEARCH PAGE: ${searchPage} (provide DIFFERENT results than previous pages)
-RANDOM SEED: ${randomSeed}
+function matchSentMessage(parsed, raw, from, isBounce) {
+  const sent = sentMessages.filter(m => m.delivery?.messageId);
+  const refs = [parsed.inReplyTo, ...[].concat(parsed.references || [])].filter(Boolean);
+  // Bounce reports quote the original headers in their body instead of threading to it
+  if (isBounce) refs.push(...(raw.match(/^message-id:\s*<[^>\s]+>/gim) || []).map(line => line.replace(/^message-id:\s*/i, "")));
+  for (const id of refs) {
+    const saved = sent.find(m => m.delivery.messageId === id);
+    if (saved) return { saved, matchedBy: "message-id" };
+  }
+  const address = isBounce ? failedRecipient(parsed, raw) : from;
+  if (!address) return null;
+  const latest = sent
+    .filter(m => (m.delivery.to || "").toLowerCase() === address)
+    .sort((a, b) => new Date(b.delivery.sentAt || b.savedAt) - new Date(a.delivery.sentAt || a.savedAt))[0];
+  return latest ? { saved: latest, matchedBy: "address" } : null;
+}
 
-TARGET ROLES: ${TARGET_ROLES.join(", ")}
+// Reply text without the quoted original
+function replyBody(parsed) {
+  const text = parsed.text || (parsed.html ? cheerio.load(parsed.html).text() : "");
+  const lines = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message/i.test(line) || /^From: /.test(line)) break;
+    if (!line.startsWith(">")) lines.push(line);
+  }
+  return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
 
-CRITICAL RULES:
-1. ONLY suggest REAL companies that ACTUALLY EXIST with real websites
-2. For each company, identify 2-3 REAL decision-makers who would buy CCM solutions
-3. Include their ACTUAL job titles (CIO, CTO, VP IT, Director of Digital Transformation, etc.)
-4. These should be people who own: IT infrastructure, customer communications, digital transformation, enterprise applications
-5. DO NOT invent names or emails - use realistic formats based on company domain
-6. Include company size, location, and why they need CCM solutions
-7. Vary between large enterprises, mid-market, and growing companies
-${excludeList}
+const REPLY_KEYWORD_RULES = [
+  ["unsubscribe", /\b(unsubscribe|remove me|take me off|opt[- ]?out|stop (emailing|contacting|sending)|do not (contact|email) me)\b/i],
+  ["not-now", /\b(not (right )?now|next (quarter|year|month)|circle back|reach out (again )?(later|in)|bad timing|timing isn'?t right|maybe later)\b/i],
+  ["not-interested", /\b(not interested|no thanks|no thank you|not a fit|not relevant|already (have|work with))\b/i],
+  ["interested", /\b(interested|let'?s (talk|chat|connect)|happy to (chat|talk|connect)|book a (call|meeting|time)|schedule|sounds good|tell me more|send (me )?(more|details))\b/i],
+];
 
-Generate exactly 12 REAL leads (decision-makers at companies). For each provide:
-1. company: Actual company name
-2. companyWebsite: Real company website URL (with https://)
-3. industry: Specific industry (e.g., "Regional Bank", "Health Insurance", "Electric Utility")
-4. companySize: Employee count or category (e.g., "5000+ employees", "Mid-market 500-2000")
-5. location: City, State/Country
-6. name: Decision maker's full name (or realistic placeholder like "CIO - [Company Name]")
-7. title: Actual job title
-8. linkedinUrl: LinkedIn profile URL (format: https://www.linkedin.com/in/firstname-lastname or company page)
-9. email: Email in format firstname.lastname@companydomain.com (or common format)
-10. painPoint: Specific CCM/communication challenge they likely face
-11. relevance: Score 1-10 for fit with Belwo's services
+// The subject counts too: "unsubscribe" as the subject with an empty body is a common opt-out
+function keywordReplyCategory(text, subject = "") {
+  const content = `${subject || ""}\n${text}`;
+  const rule = REPLY_KEYWORD_RULES.find(([, re]) => re.test(content));
+  return rule ? rule[0] : "other";
+}
 
-Return ONLY valid JSON array. No markdown, no code blocks.
-[{"company":"...","companyWebsite":"...","industry":"...","companySize":"...","location":"...","name":"...","title":"...","linkedinUrl":"...","email":"...","painPoint":"...","relevance":8}]`;
+function buildReplyClassificationPrompt(text, subject, saved) {
+  return `You are triaging replies to B2B cold outreach.
 
-    const text = await callOpenRouter(prompt, 0.6);
-    const cleaned = text.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-    let leads = JSON.parse(cleaned);
+OUR MESSAGE (to ${saved.lead?.name || "the prospect"} at ${saved.lead?.company || "their company"}):
+${saved.message?.subject ? `Subject: ${saved.message.subject}\n` : ""}${(saved.message?.body || "").slice(0, 1500)}
 
-    // Track searched companies
-    leads.forEach(l => {
-      try { previouslySearched.add(l.company); } catch {}
-    });
+THEIR REPLY${subject ? ` (subject: ${subject})` : ""}:
+${text.slice(0, 3000)}
 
-    // Step 2: Scrape company websites for additional emails
-    const enriched = await Promise.all(
-      leads.map(async (lead) => {
-        const siteData = await scrapeCompanyWebsite(lead.companyWebsite);
-        const scrapedEmails = siteData?.emails || [];
-
-        return {
-          ...lead,
-          verified: !!siteData,
-          scrapedEmails,
-          additionalInfo: siteData,
-        };
-      })
-    );
+Classify the reply:
+- interested: wants to talk, asks for details or a meeting
+- not-now: open to it later, wrong timing, asks to follow up in the future
+- not-interested: declines without asking to stop all contact
+- unsubscribe: asks to be removed or never contacted again
+- out-of-office: automatic absence notice
+- bounce: delivery failure report
+- other: anything else (referral to a colleague, question unrelated to the offer, ...)
 
-    // Sort by relevance
-    const sorted = enriched.sort((a, b) => (b.relevance || 0) - (a.relevance || 0));
+Return ONLY JSON: {"category":"...","confidence":0.0-1.0,"summary":"one sentence"}`;
+}
 
-    res.json({
-      leads: sorted,
-      industry: industryData.label,
-      page: searchPage,
-      totalPreviouslySearched: previouslySearched.size,
+// Opt-out wording is always honoured as an unsubscribe, whatever the model thinks
+async function classifyReply(text, subject, saved) {
+  if (keywordReplyCategory(text, subject) === "unsubscribe") return { category: "unsubscribe", confidence: 1, summary: "Asked to stop receiving emails", classifiedBy: "keywords" };
+  try {
+    const { data } = await completeStructured(buildReplyClassificationPrompt(text, subject, saved), "replyClassification", {
+      temperature: 0.1, task: "replies", workspaceId: saved.workspaceId || DEFAULT_WORKSPACE_ID, userId: null, route: "imap-watcher",
     });
+    return { ...data, classifiedBy: "llm" };
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("[REPLIES] Classification failed, using keywords:", err.message);
+    return { category: keywordReplyCategory(text, subject), confidence: 0.5, summary: "", classifiedBy: "keywords" };
   }
-});
+}
 
-// Reset search history
-app.post("/api/reset-search", (req, res) => {
-  previouslySearched.clear();
-  res.json({ success: true, message: "Search history cleared." });
-});
+function storedLeadForMessage(saved) {
+  const workspaceId = saved.workspaceId || DEFAULT_WORKSPACE_ID;
+  const byId = leadStore.get(saved.lead?.id);
+  if (inWorkspace(byId, workspaceId)) return byId;
+  const email = (saved.lead?.email || "").toLowerCase();
+  if (!email) return null;
+  return [...leadStore.values()].find(l => inWorkspace(l, workspaceId) && (l.email || "").toLowerCase() === email) || null;
+}
 
-// ═══ Generate PERSONALIZED outreach message ═══
-app.post("/api/generate-message", async (req, res) => {
-  const { lead, messageType, senderName } = req.body;
-  // messageType: "linkedin" or "email"
+function replySummary(reply) {
+  return { id: reply.id, category: reply.category, from: reply.from, receivedAt: reply.receivedAt, summary: reply.summary };
+}
 
-  try {
-    const prompt = `You are writing a ${messageType === "linkedin" ? "LinkedIn connection request message" : "cold email"} for Belwo's CCM consulting services.
+// Mirror a reply onto its message, the stored lead and the lead's sequences
+function applyReply(reply, saved) {
+  saved.reply = replySummary(reply);
+  if (reply.category === "bounce") {
+    advanceMessage(saved, "bounced", { at: reply.receivedAt, source: "reply" });
+    if (saved.delivery) Object.assign(saved.delivery, { status: "bounced", error: reply.summary || "Bounce report received" });
+  } else if (reply.category !== "out-of-office") {
+    advanceMessage(saved, "replied", { at: reply.receivedAt, source: "reply" });
+    saved.repliedAt = saved.repliedAt || reply.receivedAt;
+  }
 
-SENDER: ${senderName || "Business Development @ Belwo"}
-SENDER COMPANY: Belwo (www.belwo.com)
-- 20 years in Customer Communications Management (CCM)
-- 200+ consultants, 100+ clients globally
-- Partners: Quadient, OpenText, SmartComm, Solimar, Compart
-- Services: CCM implementation, document automation, output management, system integration
+  const lead = storedLeadForMessage(saved);
+  if (lead) {
+    reply.leadId = lead.id;
+    lead.lastReply = { ...replySummary(reply), messageId: saved.id };
+    if (reply.category === "interested" && ["new", "contacted"].includes(lead.status)) lead.status = "engaged";
+    lead.updatedAt = new Date().toISOString();
+    scheduleSave();
+  }
 
-RECIPIENT: ${lead.name}
-TITLE: ${lead.title}
-COMPANY: ${lead.company} (${lead.companyWebsite})
-INDUSTRY: ${lead.industry}
-COMPANY SIZE: ${lead.companySize}
-LOCATION: ${lead.location}
-PAIN POINT: ${lead.painPoint}
+  // Both the address we wrote to and the one that answered (an assistant, a forward) are opted out
+  if (reply.category === "unsubscribe") {
+    new Set([saved.delivery?.to, reply.from].filter(Boolean).map(a => a.toLowerCase())).forEach(address => {
+      addSuppression({ type: "email", value: address, reason: "unsubscribe", source: { via: "reply", replyId: reply.id, messageId: saved.id } });
+    });
+  }
 
-${messageType === "linkedin" ? `
-WRITE A LINKEDIN MESSAGE (300 characters max for connection request):
-1. Keep it SHORT - LinkedIn limits to 300 characters
-2. Mention their role/company specifically
-3. Brief value prop relevant to their pain point
-4. Friendly, professional tone
-5. Clear CTA (e.g., "Would love to connect and share insights")
+  // An absence notice is not an answer; the sequence carries on
+  if (reply.category !== "out-of-office") {
+    const reason = reply.category === "bounce" ? "bounced" : `replied (${reply.category})`;
+    reply.pausedEnrollments = pauseEnrollmentsForLead(saved.delivery?.to || saved.lead?.email, reason, saved.workspaceId || DEFAULT_WORKSPACE_ID);
+  }
+}
 
-Return ONLY JSON: {"message":"..."}
-` : `
-WRITE A COLD EMAIL:
-1. SUBJECT LINE: Curiosity-driven, relevant to their role (no spam triggers)
-2. OPENING: Personalize - reference their company, industry, or recent news
-3. THE PITCH: Explain how Belwo solves their specific pain point
-   - Be specific about CCM solutions
-   - Mention 1-2 relevant clients/case studies if applicable
-   - Focus on THEIR business outcomes (efficiency, compliance, customer experience)
-4. CREDIBILITY: Brief mention of 20 years, 100+ clients, or key partnerships
-5. CTA: One clear, low-friction ask (15-min call, demo, whitepaper)
-6. LENGTH: 150-200 words max
-7. TONE: Professional peer-to-peer, consultative (not salesy)
+async function processInboundMail(parsed, raw) {
+  const from = (parsed.from?.value?.[0]?.address || "").toLowerCase();
+  const ownAddresses = [smtpConfig.fromEmail, smtpConfig.user, imapCredentials().user].filter(Boolean).map(a => a.toLowerCase());
+  if (ownAddresses.includes(from)) return null;
+  if (parsed.messageId && [...inboundReplies.values()].some(r => r.inboundMessageId === parsed.messageId)) return null;
+
+  const automated = detectAutomatedReply(parsed, from);
+  const match = matchSentMessage(parsed, raw, from, automated === "bounce");
+  if (!match) return null;
+
+  const text = replyBody(parsed);
+  const classification = automated
+    ? { category: automated, confidence: 1, summary: automated === "bounce" ? `Delivery failed: ${(parsed.subject || "").slice(0, 120)}` : "Automatic out-of-office reply", classifiedBy: "headers" }
+    : await classifyReply(text, parsed.subject, match.saved);
+  const reply = {
+    id: genId("rp"),
+    workspaceId: match.saved.workspaceId || DEFAULT_WORKSPACE_ID,
+    messageId: match.saved.id,
+    leadId: null,
+    from,
+    subject: parsed.subject || "",
+    text: text.slice(0, 5000),
+    inboundMessageId: parsed.messageId || null,
+    matchedBy: match.matchedBy,
+    ...classification,
+    receivedAt: (parsed.date || new Date()).toISOString(),
+    createdAt: new Date().toISOString(),
+  };
+  inboundReplies.set(reply.id, reply);
+  applyReply(reply, match.saved);
+  return reply;
+}
 
-Return ONLY JSON: {"subject":"...","body":"..."}
-`}
+let mailboxPollRunning = false;
+async function pollMailbox() {
+  if (mailboxPollRunning) throw Object.assign(new Error("A mailbox poll is already running"), { busy: true });
+  mailboxPollRunning = true;
+  const summary = { fetched: 0, replies: 0, categories: {}, failed: [] };
+  let client = null;
+  try {
+    client = createImapClient();
+    await client.connect();
+    const lock = await client.getMailboxLock(imapConfig.mailbox);
+    try {
+      const uidValidity = String(client.mailbox.uidValidity);
+      if (mailboxState.uidValidity !== uidValidity) Object.assign(mailboxState, { uidValidity, lastUid: 0 });
+      // First poll only looks back a couple of weeks; after that everything past the last seen UID
+      const query = mailboxState.lastUid
+        ? { uid: `${mailboxState.lastUid + 1}:*` }
+        : { since: new Date(Date.now() - REPLY_INITIAL_LOOKBACK_DAYS * 86400000) };
+      const uids = ((await client.search(query, { uid: true })) || [])
+        .filter(uid => uid > mailboxState.lastUid)
+        .sort((a, b) => a - b)
+        .slice(0, REPLY_FETCH_MAX);
+      for (const uid of uids) {
+        const msg = await client.fetchOne(String(uid), { source: { maxLength: REPLY_SOURCE_MAX_BYTES } }, { uid: true });
+        summary.fetched++;
+        // One unreadable message must not hold up the rest of the mailbox on every later poll
+        try {
+          if (msg?.source) {
+            const reply = await processInboundMail(await simpleParser(msg.source), msg.source.toString("utf8"));
+            if (reply) {
+              summary.replies++;
+              summary.categories[reply.category] = (summary.categories[reply.category] || 0) + 1;
+            }
+          }
+        } catch (err) {
+          console.error(`[REPLIES] Skipped message UID ${uid}:`, err.message);
+          summary.failed.push({ uid, error: err.message, at: new Date().toISOString() });
+        }
+        mailboxState.lastUid = uid;
+      }
+    } finally {
+      lock.release();
+    }
+    await client.logout();
+    mailboxState.lastError = null;
+    mailboxState.lastSummary = summary;
+    if (summary.failed.length) mailboxState.failures = [...(mailboxState.failures || []), ...summary.failed].slice(-50);
+    if (summary.replies) console.log(`[REPLIES] ${summary.replies} new repl${summary.replies === 1 ? "y" : "ies"} from ${summary.fetched} message(s)`);
+    return summary;
+  } catch (err) {
+    mailboxState.lastError = err.message;
+    if (client) client.close();
+    throw err;
+  } finally {
+    mailboxState.lastPollAt = new Date().toISOString();
+    mailboxPollRunning = false;
+    saveReplyData();
+  }
+}
 
-No markdown, no code blocks.`;
+setInterval(() => {
+  if (!imapConfig.enabled || mailboxPollRunning) return;
+  if (mailboxState.lastPollAt && Date.now() - new Date(mailboxState.lastPollAt).getTime() < imapConfig.pollIntervalMs) return;
+  pollMailbox().catch(err => console.error("[REPLIES] Mailbox poll failed:", err.message));
+}, REPLY_TICK_MS);
+
+// IMAP settings; user and password default to the SMTP login
+app.get("/api/imap-config", (req, res) => {
+  res.json({ ...imapConfig, effectiveUser: imapCredentials().user, hasPassword: !!imapCredentials().pass, state: mailboxState });
+});
 
-    const text = await callOpenRouter(prompt, 0.8);
-    const cleaned = text.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-    const message = JSON.parse(cleaned);
-    res.json(message);
+app.post("/api/imap-config", (req, res) => {
+  const { host, port, secure, user, password, mailbox, pollIntervalMs, enabled } = req.body;
+  if (host !== undefined) imapConfig.host = host;
+  if (port !== undefined) imapConfig.port = parseInt(port) || imapConfig.port;
+  if (secure !== undefined) imapConfig.secure = !!secure;
+  else if (port !== undefined) imapConfig.secure = imapConfig.port === 993;
+  if (user !== undefined) imapConfig.user = user;
+  if (mailbox) imapConfig.mailbox = mailbox;
+  if (pollIntervalMs !== undefined) imapConfig.pollIntervalMs = Math.max(REPLY_TICK_MS, parseInt(pollIntervalMs) || REPLY_TICK_MS);
+  if (enabled !== undefined) imapConfig.enabled = !!enabled;
+  if (password) imapPassword = password;
+  if (host !== undefined || user !== undefined || mailbox) Object.assign(mailboxState, { uidValidity: null, lastUid: 0 });
+  const persisted = persistConfig();
+  res.json({ success: true, persisted, message: `IMAP configured: ${imapConfig.host}:${imapConfig.port}${imapConfig.enabled ? "" : " (watcher disabled)"}` });
+});
+
+app.post("/api/imap-verify", async (req, res) => {
+  let client = null;
+  try {
+    client = createImapClient();
+    await client.connect();
+    const status = await client.status(imapConfig.mailbox, { messages: true, uidNext: true });
+    await client.logout();
+    res.json({ success: true, mailbox: imapConfig.mailbox, messages: status.messages });
   } catch (err) {
-    res.status(500).json({ error: "Message generation failed: " + err.message });
+    if (client) client.close();
+    res.status(502).json({ error: "IMAP verification failed: " + err.message });
   }
 });
 
-// Save generated message to tracking
-app.post("/api/save-message", async (req, res) => {
-  const { lead, message, messageType, status } = req.body;
-  sentMessages.push({
-    lead,
-    message,
-    messageType,
-    status,
-    savedAt: new Date().toISOString(),
-  });
-  res.json({ success: true });
+// Check the mailbox now instead of waiting for the next poll
+app.post("/api/replies/poll", async (req, res) => {
+  try {
+    res.json({ success: true, ...(await pollMailbox()) });
+  } catch (err) {
+    if (err.busy) return res.status(409).json({ error: err.message });
+    res.status(502).json({ error: "Mailbox poll failed: " + err.message });
+  }
 });
 
-// Get saved messages
-app.get("/api/saved-messages", (req, res) => {
-  res.json({ messages: sentMessages });
+app.get("/api/replies", (req, res) => {
+  const all = [...inboundReplies.values()].filter(r => inWorkspace(r, req.workspaceId));
+  let list = all;
+  if (req.query.category) list = list.filter(r => r.category === req.query.category);
+  if (req.query.messageId) list = list.filter(r => r.messageId === req.query.messageId);
+  if (req.query.leadId) list = list.filter(r => r.leadId === req.query.leadId);
+  const categories = Object.fromEntries(REPLY_CATEGORIES.map(c => [c, all.filter(r => r.category === c).length]));
+  res.json({ replies: list.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt)), categories });
+});
+
+// Correct a classification; the message, lead and sequences follow the new category
+app.put("/api/replies/:id", (req, res) => {
+  const reply = inboundReplies.get(req.params.id);
+  if (!inWorkspace(reply, req.workspaceId)) return res.status(404).json({ error: "Reply not found" });
+  if (!REPLY_CATEGORIES.includes(req.body.category)) return res.status(400).json({ error: `category must be one of ${REPLY_CATEGORIES.join(", ")}` });
+  Object.assign(reply, { category: req.body.category, confidence: 1, classifiedBy: "manual" });
+  const saved = sentMessages.find(m => m.id === reply.messageId);
+  if (saved && (!saved.reply || saved.reply.id === reply.id)) applyReply(reply, saved);
+  saveReplyData();
+  res.json({ success: true, reply });
 });
 
 // ═══ EXPORT TO EXCEL ═══
@@ -529,9 +5698,15 @@ app.post("/api/export-leads", (req, res) => {
       "Location": lead.location || "",
       "Pain Point": lead.painPoint || "",
       "Relevance Score": lead.relevance || "",
-      "Verified": lead.verified ? "Yes" : "No",
+      "Email Status": lead.emailVerification?.status || "unchecked",
+      "Email Confidence": lead.emailVerification ? lead.emailVerification.confidence : "",
+      "Website Reachable": (lead.websiteReachable ?? !!lead.additionalInfo) ? "Yes" : "No",
       "Additional Emails": (lead.scrapedEmails || []).join(", "),
       "Contact Pages Checked": lead.additionalInfo?.contactPagesVisited?.length || 0,
+      "Name Source": lead.provenance?.name?.source || "ai",
+      "Phone": lead.phone || "",
+      "Office Address": lead.officeAddress || "",
+      "Social Profiles": (lead.socialProfiles || []).map(s => s.url).join(", "),
     }));
 
     // Create workbook and worksheet
@@ -551,9 +5726,15 @@ app.post("/api/export-leads", (req, res) => {
       { wch: 25 }, // Location
       { wch: 60 }, // Pain Point
       { wch: 15 }, // Relevance Score
-      { wch: 10 }, // Verified
+      { wch: 14 }, // Email Status
+      { wch: 16 }, // Email Confidence
+      { wch: 18 }, // Website Reachable
       { wch: 50 }, // Additional Emails
       { wch: 20 }, // Contact Pages Checked
+      { wch: 12 }, // Name Source
+      { wch: 20 }, // Phone
+      { wch: 50 }, // Office Address
+      { wch: 60 }, // Social Profiles
     ];
 
     XLSX.utils.book_append_sheet(wb, ws, "Leads");
@@ -570,27 +5751,39 @@ app.post("/api/export-leads", (req, res) => {
   }
 });
 
-// Export messages to Excel
+// Export messages to Excel; takes the same filters as /api/saved-messages, in the body or the query string
 app.post("/api/export-messages", (req, res) => {
   try {
-    if (!sentMessages || !sentMessages.length) {
-      return res.status(400).json({ error: "No messages to export" });
+    const filters = { ...req.query, ...(req.body || {}) };
+    const invalid = validateMessageQuery(filters);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const messages = filterMessages(filters, req.workspaceId);
+    if (!messages.length) {
+      return res.status(400).json({ error: sentMessages.some(m => inWorkspace(m, req.workspaceId)) ? "No messages match the filters" : "No messages to export" });
     }
 
     // Prepare data for Excel
-    const excelData = sentMessages.map(msg => ({
-      "Lead Name": msg.lead?.name || "",
-      "Company": msg.lead?.company || "",
-      "Title": msg.lead?.title || "",
-      "Email": msg.lead?.email || "",
-      "LinkedIn URL": msg.lead?.linkedinUrl || "",
-      "Industry": msg.lead?.industry || "",
-      "Message Type": msg.messageType === "linkedin" ? "LinkedIn" : "Email",
-      "Subject": msg.message?.subject || "N/A",
-      "Message Body": msg.messageType === "linkedin" ? msg.message?.message : msg.message?.body,
-      "Generated At": new Date(msg.savedAt).toLocaleString(),
-      "Status": msg.status || "generated",
-    }));
+    const excelData = messages.map(msg => {
+      const opens = emailOpens.get(msg.openPixelId);
+      return {
+        "Lead Name": msg.lead?.name || "",
+        "Company": msg.lead?.company || "",
+        "Title": msg.lead?.title || "",
+        "Email": msg.lead?.email || "",
+        "LinkedIn URL": msg.lead?.linkedinUrl || "",
+        "Industry": msg.lead?.industry || "",
+        "Message Type": msg.messageType === "linkedin" ? "LinkedIn" : "Email",
+        "Subject": msg.message?.subject || "N/A",
+        "Message Body": msg.messageType === "linkedin" ? msg.message?.message : msg.message?.body,
+        "Generated At": new Date(msg.savedAt).toLocaleString(),
+        "Status": msg.status,
+        "Status Changed": msg.statusHistory?.length ? new Date(msg.statusHistory[msg.statusHistory.length - 1].at).toLocaleString() : "",
+        "Sent At": msg.delivery?.sentAt ? new Date(msg.delivery.sentAt).toLocaleString() : "",
+        "Opens": opens ? opens.openCount : "",
+        "First Opened": opens?.firstOpenedAt ? new Date(opens.firstOpenedAt).toLocaleString() : "",
+        "Last Opened": opens?.lastOpenedAt ? new Date(opens.lastOpenedAt).toLocaleString() : "",
+      };
+    });
 
     // Create workbook and worksheet
     const wb = XLSX.utils.book_new();
@@ -609,81 +5802,70 @@ app.post("/api/export-messages", (req, res) => {
       { wch: 80 }, // Message Body
       { wch: 20 }, // Generated At
       { wch: 15 }, // Status
+      { wch: 20 }, // Status Changed
+      { wch: 20 }, // Sent At
+      { wch: 8 },  // Opens
+      { wch: 20 }, // First Opened
+      { wch: 20 }, // Last Opened
     ];
 
     XLSX.utils.book_append_sheet(wb, ws, "Messages");
 
-    // Generate buffer
-    const buffer = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
-
-    // Set headers for download
-    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    res.setHeader("Content-Disposition", `attachment; filename=Belwo_Messages_${new Date().toISOString().split('T')[0]}.xlsx`);
-    res.send(buffer);
-  } catch (err) {
-    res.status(500).json({ error: "Export failed: " + err.message });
-  }
-});
-
-// ═══ PAIN POINT ANALYSIS ═══
-
-function cleanJsonResponse(text) {
-  // Strip markdown code fences
-  let cleaned = text.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-
-  // Extract JSON object/array if surrounded by extra text
-  const jsonMatch = cleaned.match(/(\{[\s\S]*\}|\[[\s\S]*\])/);
-  if (jsonMatch) cleaned = jsonMatch[1];
-
-  // Fix trailing commas before ] or } (common AI mistake)
-  cleaned = cleaned.replace(/,\s*([\]}])/g, "$1");
-
-  // Fix unescaped newlines inside string values
-  cleaned = cleaned.replace(/:\s*"([^"]*)\n([^"]*?)"/g, (match, p1, p2) => {
-    return `: "${p1}\\n${p2}"`;
-  });
-
-  // Try parsing as-is first
-  try { JSON.parse(cleaned); return cleaned; } catch {}
-
-  // If truncated, try to auto-close brackets
-  let attempt = cleaned;
-  const opens = (attempt.match(/\{/g) || []).length;
-  const closes = (attempt.match(/\}/g) || []).length;
-  const openBrackets = (attempt.match(/\[/g) || []).length;
-  const closeBrackets = (attempt.match(/\]/g) || []).length;
-
-  // Remove trailing partial entries (incomplete strings/objects)
-  attempt = attempt.replace(/,\s*"[^"]*"?\s*:?\s*"?[^"}\]]*$/, "");
-  attempt = attempt.replace(/,\s*\{[^}]*$/, "");
+    // Every pixel hit, including the prefetches that were not counted as opens
+    const openRows = messages.flatMap(msg => (emailOpens.get(msg.openPixelId)?.opens || []).map(o => ({
+      "Lead Name": msg.lead?.name || "",
+      "Email": msg.lead?.email || "",
+      "Subject": msg.message?.subject || "",
+      "Opened At": new Date(o.at).toLocaleString(),
+      "Counted": o.kind === "open" ? "Yes" : `No (${o.reason || o.kind})`,
+      "Client": o.client,
+      "User Agent": o.userAgent,
+    })));
+    if (openRows.length) {
+      const opensWs = XLSX.utils.json_to_sheet(openRows);
+      opensWs['!cols'] = [{ wch: 25 }, { wch: 35 }, { wch: 50 }, { wch: 20 }, { wch: 30 }, { wch: 12 }, { wch: 80 }];
+      XLSX.utils.book_append_sheet(wb, opensWs, "Opens");
+    }
 
-  // Close unclosed brackets
-  for (let i = 0; i < openBrackets - closeBrackets; i++) attempt += "]";
-  for (let i = 0; i < opens - closes; i++) attempt += "}";
+    // One row per status change, oldest first within each message
+    const historyRows = messages.flatMap(msg => (msg.statusHistory || []).map(h => ({
+      "Lead Name": msg.lead?.name || "",
+      "Email": msg.lead?.email || "",
+      "Subject": msg.message?.subject || "",
+      "Status": h.status,
+      "Changed At": new Date(h.at).toLocaleString(),
+      "Source": h.source,
+      "By": users.get(h.by)?.email || "",
+    })));
+    if (historyRows.length) {
+      const historyWs = XLSX.utils.json_to_sheet(historyRows);
+      historyWs['!cols'] = [{ wch: 25 }, { wch: 35 }, { wch: 50 }, { wch: 16 }, { wch: 20 }, { wch: 14 }, { wch: 30 }];
+      XLSX.utils.book_append_sheet(wb, historyWs, "Status History");
+    }
 
-  // Fix trailing commas again after truncation repair
-  attempt = attempt.replace(/,\s*([\]}])/g, "$1");
+    // Generate buffer
+    const buffer = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
 
-  try { JSON.parse(attempt); return attempt; } catch {}
+    // Set headers for download
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename=Belwo_Messages_${new Date().toISOString().split('T')[0]}.xlsx`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(500).json({ error: "Export failed: " + err.message });
+  }
+});
 
-  // Last resort: return cleaned and let caller handle parse error
-  return cleaned;
-}
+// ═══ PAIN POINT ANALYSIS ═══
 
-function buildResearchPrompt(companyName, industryData, website, context) {
-  return `You are a B2B research analyst specializing in Customer Communications Management (CCM) for ${industryData.label}.
+function buildResearchPrompt(companyName, industryData, website, context, profile) {
+  return `You are a B2B research analyst specializing in ${profile.offering} for ${industryData.label}.
 
 COMPANY TO RESEARCH: ${companyName}
 INDUSTRY: ${industryData.label}
 ${website ? `WEBSITE: ${website}` : ""}
 ${context ? `ADDITIONAL CONTEXT: ${context}` : ""}
 
-ABOUT BELWO:
-Belwo is a CCM consulting firm specializing in:
-- CCM platform implementation (Quadient, OpenText, SmartComm, Solimar, Compart)
-- Document automation and output management
-- Application migration and system integration
-- Managed services for customer communications
+${describeSender(profile)}
 
 Provide detailed analysis covering:
 
@@ -695,13 +5877,13 @@ Provide detailed analysis covering:
 
 4. Technology Gaps: Legacy systems and modernization needs, integration challenges, scalability and efficiency concerns, omnichannel delivery limitations.
 
-Write a comprehensive 4-6 paragraph research summary. Be specific and actionable. Focus on insights that would help Belwo position their CCM solutions.
+Write a comprehensive 4-6 paragraph research summary. Be specific and actionable. Focus on insights that would help ${profile.companyName} position their ${profile.offeringShort} solutions.
 
 Return ONLY the research text. No JSON, no markdown formatting, no code blocks.`;
 }
 
-function buildPainPointsPrompt(companyName, industryData, research, context) {
-  return `You are a CCM pain point expert. Based on the research below, identify the TOP 5 most critical Customer Communications Management pain points for ${companyName}.
+function buildPainPointsPrompt(companyName, industryData, research, context, profile) {
+  return `You are a ${profile.offeringShort} pain point expert. Based on the research below, identify the TOP 5 most critical ${profile.offering} pain points for ${companyName}.
 
 COMPANY: ${companyName}
 INDUSTRY: ${industryData.label}
@@ -710,28 +5892,23 @@ ${context ? `CONTEXT: ${context}` : ""}
 RESEARCH FINDINGS:
 ${research}
 
-BELWO'S CCM SOLUTIONS:
-- Quadient, OpenText, SmartComm platform implementations
-- Document automation and template management
-- Output management (print, email, SMS, web)
-- System integration and migration
-- Compliance and regulatory communication
-- Personalization and customer experience
+${profile.companyName.toUpperCase()}'S SOLUTIONS:
+${profile.services.map(s => `- ${s}`).join("\n")}
 
 For each pain point, provide:
 1. title (string): Short, impactful title (4-6 words)
 2. severity (string): "High", "Medium", or "Critical"
 3. icon (string): Single emoji representing the pain point
 4. description (string): Detailed description of the pain point (2-3 sentences)
-5. belwoSolution (string): How Belwo's CCM solutions specifically address this (2-3 sentences)
+5. belwoSolution (string): How ${profile.companyName}'s ${profile.offeringShort} solutions specifically address this (2-3 sentences)
 6. businessImpact (string): Quantifiable business impact if not addressed (1 sentence)
 
 Return EXACTLY this JSON structure (no markdown, no code blocks):
 {"painPoints":[{"title":"string","severity":"High|Medium|Critical","icon":"emoji","description":"string","belwoSolution":"string","businessImpact":"string"}]}`;
 }
 
-function buildMessagingPrompt(companyName, industryData, painPoints, context) {
-  return `You are a B2B messaging strategist. Create 3 personalized messaging angles for Belwo to approach ${companyName}.
+function buildMessagingPrompt(companyName, industryData, painPoints, context, profile) {
+  return `You are a B2B messaging strategist. Create 3 personalized messaging angles for ${profile.companyName} to approach ${companyName}.
 
 COMPANY: ${companyName}
 INDUSTRY: ${industryData.label}
@@ -740,10 +5917,11 @@ ${context ? `CONTEXT: ${context}` : ""}
 IDENTIFIED PAIN POINTS:
 ${JSON.stringify(painPoints, null, 2)}
 
-BELWO'S VALUE PROPOSITION:
-- 20 years CCM experience, 200+ consultants, 100+ clients
+${profile.companyName.toUpperCase()}'S VALUE PROPOSITION:
+${profile.valueProps.map(v => `- ${v}`).join("\n")}
 - Expertise in ${industryData.label} compliance and regulations
-- Partners: Quadient, OpenText, SmartComm, Solimar, Compart
+${profile.partners.length ? `- Partners: ${profile.partners.join(", ")}` : ""}
+${profile.caseStudies.length ? `\nCASE STUDIES:\n${profile.caseStudies.map(c => `- ${c.client}: ${c.summary}`).join("\n")}` : ""}
 
 For each messaging angle, provide:
 1. headline (string): Compelling value proposition headline (6-10 words)
@@ -756,7 +5934,7 @@ Return EXACTLY this JSON structure (no markdown, no code blocks):
 {"angles":[{"headline":"string","description":"string","keyPoints":["string","string","string"]}]}`;
 }
 
-function buildTemplatesPrompt(companyName, industryData, painPoints, messaging, context) {
+function buildTemplatesPrompt(companyName, industryData, painPoints, messaging, context, profile) {
   return `You are a B2B outreach copywriter. Create 3 outreach templates for ${companyName} based on the analysis.
 
 COMPANY: ${companyName}
@@ -795,61 +5973,321 @@ RULES:
 - Include specific pain points from the analysis
 - Professional, consultative tone (not salesy)
 - Clear, single CTA per template
-- Use "Belwo" and include www.belwo.com
-- Sender is "Business Development @ Belwo"
+- Use "${profile.companyName}"${profile.website ? ` and include ${profile.website}` : ""}
+- Sender is "${profile.senderName}"
 
 Return EXACTLY this JSON structure (no markdown, no code blocks):
 {"templates":[{"id":"linkedin","type":"LinkedIn Message","subject":null,"body":"string"},{"id":"email-initial","type":"Cold Email","subject":"string","body":"string"},{"id":"email-followup","type":"Follow-up Email","subject":"string","body":"string"}]}`;
 }
 
-app.post("/api/analyze-painpoints", async (req, res) => {
-  const { companyName, industry, website, context } = req.body;
+// ═══ Pain-Point Analysis Runs (streamed, resumable) ═══
+// An analysis is a persisted run of four stages. Each finished stage is saved before the next starts, so a failed
+// run resumes from the failing stage and a single stage (e.g. templates) can be regenerated on its own.
+// Progress streams to the browser over SSE at /api/analyses/:id/stream.
+const ANALYSIS_STAGES = ["research", "painPoints", "messaging", "templates"];
+const ANALYSIS_STAGE_LABELS = {
+  research: "Industry & company research",
+  painPoints: "Pain point identification",
+  messaging: "Messaging angles",
+  templates: "Outreach templates",
+};
+const ANALYSIS_RUNS_MAX = 500;
+const analysisRuns = new Map();
+const analysisListeners = new Map(); // runId → Set of SSE responses
+
+function loadAnalysisData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "analyses.json"), "utf8")); d.forEach(([k,v]) => analysisRuns.set(k,v)); } catch {}
+  // Runs cut off by a restart keep their finished stages and can be resumed
+  for (const run of analysisRuns.values()) {
+    if (run.status !== "running") continue;
+    run.status = "failed";
+    for (const stage of Object.values(run.stages)) {
+      if (stage.status === "running") { stage.status = "failed"; stage.error = "Interrupted by server restart"; }
+    }
+  }
+}
+loadAnalysisData();
+
+// Written immediately so finished stages survive a crash
+function saveAnalysisData() {
+  const runs = [...analysisRuns].sort((a, b) => new Date(b[1].createdAt) - new Date(a[1].createdAt)).slice(0, ANALYSIS_RUNS_MAX);
+  try { fs.writeFileSync(path.join(dataDir, "analyses.json"), JSON.stringify(runs)); } catch {}
+}
+
+function createAnalysisRun(input, workspaceId, userId) {
+  const run = {
+    id: genId("an"),
+    workspaceId,
+    userId,
+    input,
+    status: "pending",
+    stages: Object.fromEntries(ANALYSIS_STAGES.map(s => [s, { status: "pending", result: null, error: null }])),
+    createdAt: new Date().toISOString(),
+  };
+  analysisRuns.set(run.id, run);
+  saveAnalysisData();
+  return run;
+}
+
+// The response shape of /api/analyze-painpoints
+function analysisResult(run) {
+  return {
+    analysisId: run.id,
+    companyName: run.input.companyName,
+    industry: getIndustry(run.input.industry).label,
+    profileId: getSenderProfile(run.input.profileId, run.workspaceId).id,
+    research: run.stages.research.result,
+    painPoints: run.stages.painPoints.result,
+    messaging: run.stages.messaging.result,
+    templates: run.stages.templates.result,
+    analyzedAt: run.completedAt || run.updatedAt,
+  };
+}
+
+function analysisSummary(run) {
+  return {
+    id: run.id,
+    companyName: run.input.companyName,
+    industry: run.input.industry,
+    status: run.status,
+    stages: Object.fromEntries(ANALYSIS_STAGES.map(s => [s, run.stages[s].status])),
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+  };
+}
 
-  if (!companyName || !industry) {
-    return res.status(400).json({ error: "Company name and industry are required" });
+function emitAnalysis(run, event) {
+  const msg = `data: ${JSON.stringify({ ...event, analysisId: run.id })}\n\n`;
+  for (const res of analysisListeners.get(run.id) || []) {
+    try { res.write(msg); } catch {}
   }
+}
 
-  try {
-    const industryData = TARGET_INDUSTRIES[industry] || TARGET_INDUSTRIES["enterprise"];
+async function runAnalysisStage(run, stage, llmCtx) {
+  const { companyName, website, context } = run.input;
+  const industryData = getIndustry(run.input.industry);
+  const profile = getSenderProfile(run.input.profileId, run.workspaceId);
+  const prior = (name) => run.stages[name].result;
+  const structured = async (prompt, schemaName, temperature, task) =>
+    (await completeStructured(prompt, schemaName, { temperature, task, ...llmCtx })).data;
+
+  if (stage === "research") return callLLM(buildResearchPrompt(companyName, industryData, website, context, profile), 0.7, "research", llmCtx);
+  if (stage === "painPoints") return structured(buildPainPointsPrompt(companyName, industryData, prior("research"), context, profile), "painPoints", 0.6, "painpoints");
+  if (stage === "messaging") return structured(buildMessagingPrompt(companyName, industryData, prior("painPoints"), context, profile), "messaging", 0.7, "messaging");
+  // Regenerating templates that failed lint tells the model which checks they failed
+  const failed = (run.stages.templates.result?.templates || []).filter(t => t.lint && !t.lint.ok);
+  const feedback = failed.length
+    ? `\n\nTHE PREVIOUS TEMPLATES FAILED THESE CHECKS — fix them:\n${failed.map(t => `- ${t.id}: ${t.lint.errors.map(e => e.message).join("; ")}`).join("\n")}`
+    : "";
+  const templates = await structured(buildTemplatesPrompt(companyName, industryData, prior("painPoints"), prior("messaging"), context, profile) + feedback, "templates", 0.8, "templates");
+  return lintTemplates(templates, profile);
+}
 
-    // Helper: call AI and parse JSON with one retry on failure
-    async function callAndParseJSON(promptFn, temp) {
-      const text = await callOpenRouter(promptFn, temp);
-      try {
-        return JSON.parse(cleanJsonResponse(text));
-      } catch (firstErr) {
-        console.error("[PAIN POINT] JSON parse failed, retrying...", firstErr.message);
-        const retryText = await callOpenRouter(promptFn, Math.max(0.1, temp - 0.2));
-        return JSON.parse(cleanJsonResponse(retryText));
-      }
+/**
+ * Run the given stages in order, saving and streaming each one as it finishes.
+ * Stops at the first failure; the run can then be resumed from that stage.
+ * When run from a job, `control` receives progress and a cancel request stops the run between stages.
+ */
+async function executeAnalysis(run, stages, llmCtx, control = NO_JOB_CONTROL) {
+  run.status = "running";
+  run.updatedAt = new Date().toISOString();
+  emitAnalysis(run, { type: "started", stages });
+
+  for (const [i, stage] of stages.entries()) {
+    if (control.cancelled()) {
+      run.status = "cancelled";
+      run.updatedAt = new Date().toISOString();
+      saveAnalysisData();
+      emitAnalysis(run, { type: "cancelled", stage });
+      return run;
     }
+    const missing = ANALYSIS_STAGES.slice(0, ANALYSIS_STAGES.indexOf(stage)).find(s => run.stages[s].status !== "completed");
+    if (missing) throw new Error(`Stage "${stage}" needs "${missing}" to be completed first`);
+
+    const state = run.stages[stage];
+    Object.assign(state, { status: "running", error: null, startedAt: new Date().toISOString() });
+    saveAnalysisData();
+    emitAnalysis(run, { type: "stage-started", stage, label: ANALYSIS_STAGE_LABELS[stage] });
+
+    try {
+      state.result = await runAnalysisStage(run, stage, llmCtx);
+      Object.assign(state, { status: "completed", stale: false, completedAt: new Date().toISOString() });
+      run.updatedAt = state.completedAt;
+      saveAnalysisData();
+      emitAnalysis(run, { type: "stage-completed", stage, label: ANALYSIS_STAGE_LABELS[stage], result: state.result });
+      control.progress(i + 1, stages.length, `${ANALYSIS_STAGE_LABELS[stage]} done`);
+    } catch (err) {
+      Object.assign(state, { status: "failed", error: err.message, validationErrors: err.validationErrors });
+      run.status = "failed";
+      run.updatedAt = new Date().toISOString();
+      saveAnalysisData();
+      emitAnalysis(run, { type: "stage-failed", stage, label: ANALYSIS_STAGE_LABELS[stage], error: err.message });
+      err.analysisId = run.id;
+      throw err;
+    }
+  }
 
-    // Step 1: Industry & Company Research
-    const research = await callOpenRouter(buildResearchPrompt(companyName, industryData, website, context), 0.7);
+  const finished = ANALYSIS_STAGES.every(s => run.stages[s].status === "completed");
+  // A regeneration without cascade leaves later stages built on the old result; resuming re-runs them
+  const stale = ANALYSIS_STAGES.filter(s => run.stages[s].stale);
+  const done = finished && !stale.length;
+  run.status = done ? "completed" : finished ? "stale" : "failed";
+  if (done) run.completedAt = new Date().toISOString();
+  saveAnalysisData();
+  if (done) {
+    attachAnalysisToLead(run);
+    emitAnalysis(run, { type: "completed", analysis: analysisResult(run) });
+  } else if (finished) {
+    emitAnalysis(run, { type: "stale", stages: stale, run });
+  }
+  return run;
+}
+
+// Runs started for stored leads are linked back to them with the top pain points
+function attachAnalysisToLead(run) {
+  const topPainPoints = (run.stages.painPoints.result?.painPoints || []).slice(0, 3).map(p => ({ title: p.title, severity: p.severity }));
+  for (const leadId of run.input.leadIds || [run.input.leadId]) {
+    const lead = leadStore.get(leadId);
+    if (!lead || !inWorkspace(lead, run.workspaceId)) continue;
+    Object.assign(lead, { analysisId: run.id, analyzedAt: run.completedAt, topPainPoints, updatedAt: run.completedAt });
+  }
+  scheduleSave();
+}
 
-    // Step 2: Pain Point Identification
-    const painPoints = await callAndParseJSON(buildPainPointsPrompt(companyName, industryData, research, context), 0.6);
+// Queue the stages as an "analysis" job; progress is reported over SSE and stored on the run
+function startAnalysis(run, stages, req) {
+  run.status = "queued";
+  run.updatedAt = new Date().toISOString();
+  saveAnalysisData();
+  return enqueueJob("analysis", { analysisId: run.id, stages }, req);
+}
 
-    // Step 3: Messaging Angles
-    const messaging = await callAndParseJSON(buildMessagingPrompt(companyName, industryData, painPoints, context), 0.7);
+// A run is busy while it executes or while a job for it waits in the queue
+function analysisBusy(run) {
+  return ["running", "queued"].includes(run.status) || !!activeJobFor("analysis", job => job.input.analysisId === run.id);
+}
 
-    // Step 4: Outreach Templates
-    const templates = await callAndParseJSON(buildTemplatesPrompt(companyName, industryData, painPoints, messaging, context), 0.8);
+async function runAnalysisJob(job, control) {
+  const run = analysisRuns.get(job.input.analysisId);
+  if (!run) throw Object.assign(new Error("Analysis run no longer exists"), { permanent: true });
+  // On a retry, stages this job already finished are not run again
+  const stages = job.input.stages.filter(s => {
+    const state = run.stages[s];
+    return !(state.status === "completed" && !state.stale && state.completedAt >= job.createdAt);
+  });
+  await executeAnalysis(run, stages, job.context, control);
+  control.throwIfCancelled();
+  return { analysisId: run.id, status: run.status, stages: job.input.stages };
+}
 
-    res.json({
-      companyName,
-      industry: industryData.label,
-      research,
-      painPoints,
-      messaging,
-      templates,
-      analyzedAt: new Date().toISOString(),
-    });
+function getWorkspaceAnalysis(req) {
+  const run = analysisRuns.get(req.params.id);
+  return inWorkspace(run, req.workspaceId) ? run : null;
+}
+
+function validateAnalysisInput(body, workspaceId) {
+  const { companyName, industry, website, context, profileId, leadId } = body;
+  if (leadId && !inWorkspace(leadStore.get(leadId), workspaceId)) return { error: "Lead not found" };
+  if (!companyName || !industry) return { error: "Company name and industry are required" };
+  return { input: { companyName, industry, website: website || "", context: context || "", profileId: profileId || null, leadId: leadId || null } };
+}
+
+// Synchronous form kept for existing clients; the run is still persisted so a failure can be resumed
+app.post("/api/analyze-painpoints", async (req, res) => {
+  const { input, error } = validateAnalysisInput(req.body, req.workspaceId);
+  if (error) return res.status(400).json({ error });
+
+  const run = createAnalysisRun(input, req.workspaceId, req.user.id);
+  try {
+    await executeAnalysis(run, ANALYSIS_STAGES, llmContext(req));
+    res.json(analysisResult(run));
   } catch (err) {
-    res.status(500).json({ error: "Pain point analysis failed: " + err.message });
+    res.status(err.budgetExceeded ? 429 : 500).json({ error: "Pain point analysis failed: " + err.message, analysisId: run.id, validationErrors: err.validationErrors });
   }
 });
 
+app.get("/api/analyses", (req, res) => {
+  const list = [...analysisRuns.values()]
+    .filter(r => inWorkspace(r, req.workspaceId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, parseInt(req.query.limit) || 50);
+  res.json({ analyses: list.map(analysisSummary) });
+});
+
+// Start a run in the background; follow it on /api/analyses/:id/stream
+app.post("/api/analyses", (req, res) => {
+  const { input, error } = validateAnalysisInput(req.body, req.workspaceId);
+  if (error) return res.status(400).json({ error });
+  const run = createAnalysisRun(input, req.workspaceId, req.user.id);
+  const job = startAnalysis(run, ANALYSIS_STAGES, req);
+  res.status(202).json({ success: true, analysisId: run.id, jobId: job.id, streamUrl: `/api/analyses/${run.id}/stream` });
+});
+
+app.get("/api/analyses/:id", (req, res) => {
+  const run = getWorkspaceAnalysis(req);
+  if (!run) return res.status(404).json({ error: "Analysis not found" });
+  res.json({ run, analysis: ["completed", "stale"].includes(run.status) ? analysisResult(run) : null });
+});
+
+app.get("/api/analyses/:id/stream", (req, res) => {
+  const run = getWorkspaceAnalysis(req);
+  if (!run) return res.status(404).json({ error: "Analysis not found" });
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  });
+  // Current state first, so a client that connects late (or reconnects) sees stages already finished
+  res.write(`data: ${JSON.stringify({ type: "snapshot", analysisId: run.id, run })}\n\n`);
+  if (!analysisListeners.has(run.id)) analysisListeners.set(run.id, new Set());
+  analysisListeners.get(run.id).add(res);
+  req.on("close", () => {
+    const set = analysisListeners.get(run.id);
+    if (!set) return;
+    set.delete(res);
+    if (!set.size) analysisListeners.delete(run.id);
+  });
+});
+
+// Continue from the first stage that has not completed
+app.post("/api/analyses/:id/resume", (req, res) => {
+  const run = getWorkspaceAnalysis(req);
+  if (!run) return res.status(404).json({ error: "Analysis not found" });
+  if (analysisBusy(run)) return res.status(409).json({ error: "Analysis is already running" });
+  const from = ANALYSIS_STAGES.findIndex(s => run.stages[s].status !== "completed" || run.stages[s].stale);
+  if (from === -1) return res.status(409).json({ error: "Analysis already completed — regenerate a stage instead" });
+  const job = startAnalysis(run, ANALYSIS_STAGES.slice(from), req);
+  res.status(202).json({ success: true, analysisId: run.id, jobId: job.id, resumedFrom: ANALYSIS_STAGES[from] });
+});
+
+// Re-run one stage; later stages are re-run too unless cascade is false (they are then marked stale and the
+// run ends as "stale" until it is resumed)
+app.post("/api/analyses/:id/stages/:stage/regenerate", (req, res) => {
+  const run = getWorkspaceAnalysis(req);
+  if (!run) return res.status(404).json({ error: "Analysis not found" });
+  const { stage } = req.params;
+  const idx = ANALYSIS_STAGES.indexOf(stage);
+  if (idx === -1) return res.status(400).json({ error: `Unknown stage. Stages: ${ANALYSIS_STAGES.join(", ")}` });
+  if (analysisBusy(run)) return res.status(409).json({ error: "Analysis is already running" });
+  const missing = ANALYSIS_STAGES.slice(0, idx).find(s => run.stages[s].status !== "completed");
+  if (missing) return res.status(409).json({ error: `Stage "${missing}" has not completed yet — resume the analysis first` });
+
+  const cascade = req.body.cascade !== false;
+  const stages = cascade ? ANALYSIS_STAGES.slice(idx) : [stage];
+  if (!cascade) ANALYSIS_STAGES.slice(idx + 1).forEach(s => { if (run.stages[s].status === "completed") run.stages[s].stale = true; });
+  const job = startAnalysis(run, stages, req);
+  res.status(202).json({ success: true, analysisId: run.id, jobId: job.id, stages });
+});
+
+app.delete("/api/analyses/:id", (req, res) => {
+  const run = getWorkspaceAnalysis(req);
+  if (!run) return res.status(404).json({ error: "Analysis not found" });
+  if (analysisBusy(run)) return res.status(409).json({ error: "Analysis is running" });
+  analysisRuns.delete(run.id);
+  saveAnalysisData();
+  res.json({ success: true });
+});
+
 // Export pain point analysis to Excel
 app.post("/api/export-analysis", (req, res) => {
   try {
@@ -918,6 +6356,575 @@ app.post("/api/export-analysis", (req, res) => {
   }
 });
 
+// ═══ Background Jobs ═══
+// Lead searches, website enrichment and analyses run as persisted jobs instead of holding the HTTP request open.
+// Clients poll /api/jobs/:id for status and progress. Failed jobs are retried with backoff, and jobs cut off by a
+// restart are re-queued — except types marked requeueOnRestart: false, which fail as interrupted.
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY) || 2);
+const JOB_RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 30 * 1000;
+const JOB_TICK_MS = 5 * 1000;
+const JOBS_MAX = 1000;
+const JOB_FINISHED = ["completed", "failed", "cancelled"];
+const JOB_TYPES = {
+  "lead-search": { maxAttempts: 2, run: runLeadSearchJob },
+  enrich: { maxAttempts: 2, run: runEnrichJob },
+  // A failed analysis is resumed from its failing stage rather than retried from the top
+  analysis: { maxAttempts: 1, run: runAnalysisJob },
+  // Accounts that failed are picked up again when the batch job is retried
+  "analysis-batch": { maxAttempts: 1, run: runAnalysisBatchJob },
+  // Retrying or re-running after a restart would create a second set of tracked links and saved messages
+  "mail-merge": { maxAttempts: 1, requeueOnRestart: false, run: (job, control) => runMailMerge(job.input, job.context, control) },
+};
+const jobs = new Map();
+const runningJobs = new Set();
+
+// Stand-in for callers that run job code inline (the synchronous endpoints)
+const NO_JOB_CONTROL = { progress() {}, cancelled: () => false, throwIfCancelled() {} };
+
+function loadJobData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "jobs.json"), "utf8")); d.forEach(([k,v]) => jobs.set(k,v)); } catch {}
+  for (const job of jobs.values()) {
+    if (job.status !== "running") continue;
+    if (job.cancelRequested) {
+      Object.assign(job, { status: "cancelled", finishedAt: new Date().toISOString() });
+      continue;
+    }
+    if (JOB_TYPES[job.type]?.requeueOnRestart === false) {
+      const error = "Interrupted by server restart — part of the work may already be done, so it was not re-run";
+      Object.assign(job, { status: "failed", error, interrupted: true, finishedAt: new Date().toISOString() });
+      job.progress = { ...job.progress, message: "Interrupted by server restart" };
+      continue;
+    }
+    // The interrupted attempt doesn't count against the job's retries
+    job.status = "queued";
+    job.attempts = Math.max(0, job.attempts - 1);
+    job.progress = { ...job.progress, message: "Re-queued after server restart" };
+    const run = job.type === "analysis" && analysisRuns.get(job.input.analysisId);
+    if (run) run.status = "queued";
+  }
+}
+loadJobData();
+
+// Written immediately so status changes survive a crash; only the newest finished jobs are kept
+function saveJobData() {
+  const list = [...jobs].sort((a, b) => new Date(b[1].createdAt) - new Date(a[1].createdAt));
+  const kept = list.filter(([, job], i) => i < JOBS_MAX || !JOB_FINISHED.includes(job.status));
+  try { fs.writeFileSync(path.join(dataDir, "jobs.json"), JSON.stringify(kept)); } catch {}
+}
+
+function enqueueJob(type, input, req) {
+  const now = new Date().toISOString();
+  const job = {
+    id: genId("job"),
+    type,
+    workspaceId: req.workspaceId,
+    userId: req.user.id,
+    context: llmContext(req),
+    input,
+    status: "queued",
+    progress: { done: 0, total: null, message: "Queued" },
+    attempts: 0,
+    maxAttempts: JOB_TYPES[type].maxAttempts,
+    result: null,
+    error: null,
+    runAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  jobs.set(job.id, job);
+  saveJobData();
+  setImmediate(pumpJobs);
+  return job;
+}
+
+function jobCancelledError() {
+  return Object.assign(new Error("Job cancelled"), { cancelled: true });
+}
+
+// Handed to job code so it can report progress and stop early when cancelled
+function jobControl(job) {
+  return {
+    // Progress ticks are frequent, so they go out with the debounced save; status changes are written at once
+    progress(done, total, message) {
+      job.progress = { done, total, message };
+      job.updatedAt = new Date().toISOString();
+      scheduleSave();
+    },
+    cancelled: () => !!job.cancelRequested,
+    throwIfCancelled() {
+      if (job.cancelRequested) throw jobCancelledError();
+    },
+  };
+}
+
+async function runJob(job) {
+  runningJobs.add(job.id);
+  Object.assign(job, { status: "running", attempts: job.attempts + 1, error: null, runAt: null, startedAt: new Date().toISOString() });
+  saveJobData();
+
+  try {
+    job.result = await JOB_TYPES[job.type].run(job, jobControl(job));
+    job.status = "completed";
+    job.progress = { ...job.progress, message: "Done" };
+  } catch (err) {
+    if (err.cancelled || job.cancelRequested) {
+      job.status = "cancelled";
+      job.progress = { ...job.progress, message: "Cancelled" };
+    } else if (job.attempts < job.maxAttempts && !err.budgetExceeded && !err.permanent) {
+      const delay = JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1);
+      job.status = "queued";
+      job.error = err.message;
+      job.runAt = new Date(Date.now() + delay).toISOString();
+      job.progress = { ...job.progress, message: `Attempt ${job.attempts} failed — retrying in ${Math.round(delay / 1000)}s` };
+    } else {
+      job.status = "failed";
+      job.error = err.message;
+      job.validationErrors = err.validationErrors;
+    }
+    console.error(`[JOBS] ${job.type} ${job.id} attempt ${job.attempts} ${job.status === "cancelled" ? "cancelled" : "failed"}:`, err.message);
+  } finally {
+    job.updatedAt = new Date().toISOString();
+    if (JOB_FINISHED.includes(job.status)) job.finishedAt = job.updatedAt;
+    runningJobs.delete(job.id);
+    saveJobData();
+    setImmediate(pumpJobs);
+  }
+}
+
+// Start due jobs, oldest first, up to the concurrency limit
+function pumpJobs() {
+  const now = Date.now();
+  const due = [...jobs.values()]
+    .filter(job => job.status === "queued" && !runningJobs.has(job.id) && (!job.runAt || new Date(job.runAt).getTime() <= now))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  for (const job of due) {
+    if (runningJobs.size >= JOB_CONCURRENCY) break;
+    runJob(job);
+  }
+}
+setInterval(pumpJobs, JOB_TICK_MS);
+
+function activeJobFor(type, predicate) {
+  return [...jobs.values()].find(job => job.type === type && !JOB_FINISHED.includes(job.status) && predicate(job));
+}
+
+// Lead-search results live in the lead store; the job keeps ids and is re-hydrated when read
+async function runLeadSearchJob(job, control) {
+  const { leads, ...rest } = await runLeadSearch(job.input, job.context, control);
+  return { ...rest, leadIds: leads.map(l => l.id), newLeadIds: leads.filter(l => l.isNew).map(l => l.id) };
+}
+
+// Re-crawl stored leads a few at a time; one lead failing doesn't fail the job
+async function runEnrichJob(job, control) {
+  const { leadIds, verifyProbe } = job.input;
+  const result = { enriched: [], failed: [], missing: [] };
+  let done = 0;
+  control.progress(0, leadIds.length, `Enriching ${leadIds.length} leads`);
+  await mapWithConcurrency(leadIds, ENRICH_CONCURRENCY, async (leadId) => {
+    control.throwIfCancelled();
+    const lead = leadStore.get(leadId);
+    if (!inWorkspace(lead, job.workspaceId)) {
+      result.missing.push(leadId);
+    } else {
+      try {
+        await enrichStoredLead(lead, { verifyProbe });
+        result.enriched.push(leadId);
+      } catch (err) {
+        result.failed.push({ leadId, error: err.message });
+      }
+    }
+    control.progress(++done, leadIds.length, `Enriched ${done} of ${leadIds.length} leads`);
+  });
+  return result;
+}
+
+function jobView(job) {
+  const view = { ...job };
+  delete view.context;
+  if (job.type === "lead-search" && job.result) {
+    const { leadIds, newLeadIds, ...rest } = job.result;
+    view.result = {
+      ...rest,
+      leads: leadIds.map(id => leadStore.get(id)).filter(Boolean).map(l => ({ ...l, isNew: newLeadIds.includes(l.id) })),
+    };
+  }
+  return view;
+}
+
+function getWorkspaceJob(req) {
+  const job = jobs.get(req.params.id);
+  return inWorkspace(job, req.workspaceId) ? job : null;
+}
+
+app.get("/api/jobs", (req, res) => {
+  let list = [...jobs.values()].filter(job => inWorkspace(job, req.workspaceId));
+  if (req.query.status) list = list.filter(job => job.status === req.query.status);
+  if (req.query.type) list = list.filter(job => job.type === req.query.type);
+  list.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  // Listing omits results; fetch a single job for its result
+  const summaries = list.slice(0, parseInt(req.query.limit) || 50).map(({ context, result, ...job }) => job);
+  res.json({ jobs: summaries, running: runningJobs.size, concurrency: JOB_CONCURRENCY });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getWorkspaceJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json({ job: jobView(job) });
+});
+
+// Queued jobs stop at once; running jobs stop at their next checkpoint
+app.post("/api/jobs/:id/cancel", (req, res) => {
+  const job = getWorkspaceJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (JOB_FINISHED.includes(job.status)) return res.status(409).json({ error: `Job already ${job.status}` });
+  job.cancelRequested = true;
+  if (job.status === "queued") {
+    const now = new Date().toISOString();
+    Object.assign(job, { status: "cancelled", finishedAt: now, updatedAt: now, progress: { ...job.progress, message: "Cancelled" } });
+    const run = job.type === "analysis" && analysisRuns.get(job.input.analysisId);
+    if (run && run.status === "queued") {
+      Object.assign(run, { status: "cancelled", updatedAt: now });
+      saveAnalysisData();
+      emitAnalysis(run, { type: "cancelled" });
+    }
+  }
+  saveJobData();
+  res.json({ success: true, job: jobView(job) });
+});
+
+app.post("/api/jobs/:id/retry", (req, res) => {
+  const job = getWorkspaceJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!["failed", "cancelled"].includes(job.status)) return res.status(409).json({ error: "Only failed or cancelled jobs can be retried" });
+  if (job.type === "analysis") {
+    const run = analysisRuns.get(job.input.analysisId);
+    if (run && analysisBusy(run)) return res.status(409).json({ error: "Analysis is already running" });
+  }
+  Object.assign(job, {
+    status: "queued", attempts: 0, cancelRequested: false, error: null, validationErrors: undefined,
+    runAt: null, finishedAt: null, updatedAt: new Date().toISOString(), progress: { done: 0, total: null, message: "Queued" },
+  });
+  saveJobData();
+  setImmediate(pumpJobs);
+  res.status(202).json({ success: true, job: jobView(job) });
+});
+
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = getWorkspaceJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!JOB_FINISHED.includes(job.status)) return res.status(409).json({ error: "Cancel the job before deleting it" });
+  jobs.delete(job.id);
+  saveJobData();
+  res.json({ success: true });
+});
+
+// ═══ Batch Account Analysis ═══
+// Analyze a list of companies (typed in, or taken from stored leads / a lead search) as one "analysis-batch" job.
+// Each account gets its own analysis run, a few at a time, and the batch exports as one combined workbook.
+const ANALYSIS_BATCH_CONCURRENCY = 3;
+const ANALYSIS_BATCH_MAX_ACCOUNTS = 100;
+const SEVERITY_RANK = { Critical: 4, High: 3, Medium: 2, Low: 1 };
+const analysisBatches = new Map();
+
+function loadAnalysisBatchData() {
+  try { const d = JSON.parse(fs.readFileSync(path.join(dataDir, "analysis-batches.json"), "utf8")); d.forEach(([k,v]) => analysisBatches.set(k,v)); } catch {}
+}
+loadAnalysisBatchData();
+
+function saveAnalysisBatchData() {
+  try { fs.writeFileSync(path.join(dataDir, "analysis-batches.json"), JSON.stringify([...analysisBatches])); } catch {}
+}
+
+// Accounts from explicit entries, plain company names and stored leads; one account per company.
+// Returns { accounts }, or { error } for a malformed request.
+function collectBatchAccounts(body, workspaceId) {
+  const { accounts = [], companies = [], leadIds = [], searchId, industry, website, context } = body;
+  if (!Array.isArray(accounts)) return { error: "accounts must be an array of { companyName, industry, website, context }" };
+  if (!Array.isArray(companies)) return { error: "companies must be an array of company names" };
+  if (!Array.isArray(leadIds)) return { error: "leadIds must be an array" };
+  const badAccount = accounts.findIndex(a => !a || typeof a !== "object" || Array.isArray(a)
+    || ["companyName", "company", "industry", "website", "context"].some(k => a[k] != null && typeof a[k] !== "string"));
+  if (badAccount !== -1) return { error: `accounts[${badAccount}] must be an object with string fields` };
+  const badCompany = companies.findIndex(c => typeof c !== "string");
+  if (badCompany !== -1) return { error: `companies[${badCompany}] must be a company name` };
+
+  const byCompany = new Map();
+  const add = (account) => {
+    const key = (account.companyName || "").toLowerCase().trim();
+    if (!key) return;
+    const existing = byCompany.get(key);
+    if (existing) existing.leadIds.push(...account.leadIds);
+    else byCompany.set(key, account);
+  };
+
+  for (const a of accounts) {
+    add({ companyName: a.companyName || a.company, industry: a.industry || industry, website: a.website || "", context: a.context || context || "", leadIds: [] });
+  }
+  for (const name of companies) add({ companyName: name.trim(), industry, website: website || "", context: context || "", leadIds: [] });
+
+  const leads = [
+    ...leadIds.map(id => leadStore.get(id)).filter(l => inWorkspace(l, workspaceId)),
+    ...(searchId ? filterLeads({ searchId }, workspaceId) : []),
+  ];
+  for (const lead of leads) {
+    const search = lead.sources.find(s => s.type === "search");
+    add({
+      companyName: lead.company,
+      industry: industry || search?.industry,
+      website: lead.companyWebsite || "",
+      context: [context, lead.painPoint && `Known challenge: ${lead.painPoint}`].filter(Boolean).join("\n"),
+      leadIds: [lead.id],
+    });
+  }
+  return { accounts: [...byCompany.values()] };
+}
+
+async function runAnalysisBatchJob(job, control) {
+  const batch = analysisBatches.get(job.input.batchId);
+  if (!batch) throw Object.assign(new Error("Analysis batch no longer exists"), { permanent: true });
+  const total = batch.accounts.length;
+  const isDone = (account) => analysisRuns.get(account.runId)?.status === "completed";
+  let done = batch.accounts.filter(isDone).length;
+  // Account runs report to the batch, not to the job, and stop between stages when the batch is cancelled
+  const runControl = { ...NO_JOB_CONTROL, cancelled: control.cancelled };
+
+  control.progress(done, total, `Analyzed ${done} of ${total} accounts`);
+  await mapWithConcurrency(batch.accounts, ANALYSIS_BATCH_CONCURRENCY, async (account) => {
+    if (isDone(account) || control.cancelled()) return;
+    let run = analysisRuns.get(account.runId);
+    if (!run) {
+      const { companyName, industry, website, context, leadIds } = account;
+      run = createAnalysisRun({ companyName, industry, website, context, profileId: batch.profileId, leadIds, batchId: batch.id }, batch.workspaceId, batch.userId);
+      account.runId = run.id;
+      saveAnalysisBatchData();
+    }
+    const from = ANALYSIS_STAGES.findIndex(s => run.stages[s].status !== "completed" || run.stages[s].stale);
+    try {
+      await executeAnalysis(run, ANALYSIS_STAGES.slice(from), job.context, runControl);
+      account.error = null;
+    } catch (err) {
+      account.error = err.message;
+      // Over budget every remaining account would fail the same way
+      if (err.budgetExceeded) throw err;
+    }
+    saveAnalysisBatchData();
+    if (isDone(account)) done++;
+    control.progress(done, total, `Analyzed ${done} of ${total} accounts`);
+  });
+  control.throwIfCancelled();
+  return { completed: done, failed: batch.accounts.filter(a => a.error).length, total };
+}
+
+function severityCounts(painPoints) {
+  const counts = Object.fromEntries(Object.keys(SEVERITY_RANK).map(s => [s, 0]));
+  painPoints.forEach(p => { if (p.severity in counts) counts[p.severity]++; });
+  return counts;
+}
+
+function rankedPainPoints(run) {
+  return [...(run?.stages.painPoints.result?.painPoints || [])].sort((a, b) => (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0));
+}
+
+function batchView(batch) {
+  const job = jobs.get(batch.jobId);
+  const accounts = batch.accounts.map(account => {
+    const run = analysisRuns.get(account.runId);
+    return {
+      companyName: account.companyName,
+      industry: account.industry,
+      leadIds: account.leadIds,
+      analysisId: account.runId || null,
+      status: run ? run.status : "pending",
+      error: account.error || null,
+      topPainPoints: rankedPainPoints(run).slice(0, 3).map(p => ({ title: p.title, severity: p.severity })),
+    };
+  });
+  return {
+    id: batch.id,
+    name: batch.name,
+    jobId: batch.jobId,
+    status: job ? job.status : "unknown",
+    progress: job ? job.progress : null,
+    counts: {
+      total: accounts.length,
+      completed: accounts.filter(a => a.status === "completed").length,
+      failed: accounts.filter(a => a.status === "failed").length,
+    },
+    accounts,
+    createdAt: batch.createdAt,
+  };
+}
+
+function getWorkspaceBatch(req) {
+  const batch = analysisBatches.get(req.params.id || req.body.batchId);
+  return inWorkspace(batch, req.workspaceId) ? batch : null;
+}
+
+app.get("/api/analysis-batches", (req, res) => {
+  const list = [...analysisBatches.values()]
+    .filter(b => inWorkspace(b, req.workspaceId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(b => {
+      const { accounts, ...view } = batchView(b);
+      return view;
+    });
+  res.json({ batches: list });
+});
+
+// Queue a batch; poll /api/analysis-batches/:id (or the job) for per-account progress
+app.post("/api/analysis-batches", (req, res) => {
+  const { accounts, error } = collectBatchAccounts(req.body, req.workspaceId);
+  if (error) return res.status(400).json({ error });
+  if (!accounts.length) return res.status(400).json({ error: "No accounts — pass accounts, companies, leadIds or a searchId" });
+  if (accounts.length > ANALYSIS_BATCH_MAX_ACCOUNTS) {
+    return res.status(400).json({ error: `A batch can hold at most ${ANALYSIS_BATCH_MAX_ACCOUNTS} accounts (got ${accounts.length})` });
+  }
+  const unknownIndustry = accounts.find(a => !a.industry);
+  if (unknownIndustry) return res.status(400).json({ error: `No industry for "${unknownIndustry.companyName}" — set industry on the batch or the account` });
+
+  const batch = {
+    id: genId("ab"),
+    workspaceId: req.workspaceId,
+    userId: req.user.id,
+    name: req.body.name || `${accounts.length} accounts — ${new Date().toISOString().split("T")[0]}`,
+    profileId: req.body.profileId || null,
+    accounts: accounts.map(a => ({ ...a, runId: null, error: null })),
+    createdAt: new Date().toISOString(),
+  };
+  analysisBatches.set(batch.id, batch);
+  batch.jobId = enqueueJob("analysis-batch", { batchId: batch.id }, req).id;
+  saveAnalysisBatchData();
+  res.status(202).json({ success: true, batchId: batch.id, jobId: batch.jobId, accounts: batch.accounts.length });
+});
+
+app.get("/api/analysis-batches/:id", (req, res) => {
+  const batch = getWorkspaceBatch(req);
+  if (!batch) return res.status(404).json({ error: "Batch not found" });
+  res.json({ batch: batchView(batch) });
+});
+
+// Removes the batch; the individual analyses stay available under /api/analyses
+app.delete("/api/analysis-batches/:id", (req, res) => {
+  const batch = getWorkspaceBatch(req);
+  if (!batch) return res.status(404).json({ error: "Batch not found" });
+  const job = jobs.get(batch.jobId);
+  if (job && !JOB_FINISHED.includes(job.status)) return res.status(409).json({ error: "Batch is still running — cancel its job first" });
+  analysisBatches.delete(batch.id);
+  saveAnalysisBatchData();
+  res.json({ success: true });
+});
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique within the workbook
+function uniqueSheetName(name, used) {
+  const base = (name.replace(/[[\]:*?/\\]/g, " ").replace(/\s+/g, " ").trim() || "Account").slice(0, 27);
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Combined workbook: summary per account, pain-point matrix across accounts, then one detail sheet per account
+app.post("/api/export-analysis-batch", (req, res) => {
+  try {
+    const batch = getWorkspaceBatch(req);
+    if (!batch) return res.status(404).json({ error: "Batch not found" });
+    const accounts = batch.accounts.map(account => ({ account, run: analysisRuns.get(account.runId) }));
+    const analyzed = accounts.filter(({ run }) => run?.status === "completed");
+    if (!analyzed.length) return res.status(400).json({ error: "No completed analyses in this batch yet" });
+
+    const wb = XLSX.utils.book_new();
+
+    // Sheet 1: Summary, most severe accounts first
+    const summaryRows = accounts.map(({ account, run }) => {
+      const painPoints = rankedPainPoints(run);
+      const counts = severityCounts(painPoints);
+      const top = painPoints.slice(0, 3).map(p => `${p.title} (${p.severity})`);
+      return {
+        "Company": account.companyName,
+        "Industry": getIndustry(account.industry).label,
+        "Status": run ? run.status : "pending",
+        "Severity Score": painPoints.reduce((sum, p) => sum + (SEVERITY_RANK[p.severity] || 0), 0),
+        "Pain Points": painPoints.length,
+        "Critical": counts.Critical,
+        "High": counts.High,
+        "Medium": counts.Medium,
+        "Low": counts.Low,
+        "Top Pain Point 1": top[0] || "",
+        "Top Pain Point 2": top[1] || "",
+        "Top Pain Point 3": top[2] || "",
+        "Lead Messaging Angle": run?.stages.messaging.result?.angles?.[0]?.headline || "",
+        "Analyzed": run?.completedAt || "",
+        "Error": account.error || "",
+      };
+    }).sort((a, b) => b["Severity Score"] - a["Severity Score"]);
+    const wsSummary = XLSX.utils.json_to_sheet(summaryRows);
+    wsSummary["!cols"] = [{ wch: 30 }, { wch: 28 }, { wch: 12 }, { wch: 14 }, { wch: 12 }, { wch: 9 }, { wch: 9 }, { wch: 9 }, { wch: 9 }, { wch: 45 }, { wch: 45 }, { wch: 45 }, { wch: 40 }, { wch: 24 }, { wch: 40 }];
+    XLSX.utils.book_append_sheet(wb, wsSummary, "Summary");
+
+    // Sheet 2: which pain points recur across accounts, with each account's severity
+    const matrix = new Map();
+    for (const { account, run } of analyzed) {
+      for (const pp of rankedPainPoints(run)) {
+        const key = pp.title.toLowerCase().trim();
+        if (!matrix.has(key)) matrix.set(key, { title: pp.title, bySeverity: {} });
+        const row = matrix.get(key);
+        const current = row.bySeverity[account.companyName];
+        if (!current || SEVERITY_RANK[pp.severity] > SEVERITY_RANK[current]) row.bySeverity[account.companyName] = pp.severity;
+      }
+    }
+    const matrixRows = [...matrix.values()].map(row => {
+      const severities = Object.values(row.bySeverity);
+      const highest = severities.sort((a, b) => (SEVERITY_RANK[b] || 0) - (SEVERITY_RANK[a] || 0))[0];
+      return {
+        "Pain Point": row.title,
+        "Accounts": severities.length,
+        "Highest Severity": highest,
+        ...Object.fromEntries(analyzed.map(({ account }) => [account.companyName, row.bySeverity[account.companyName] || ""])),
+      };
+    }).sort((a, b) => b["Accounts"] - a["Accounts"] || (SEVERITY_RANK[b["Highest Severity"]] || 0) - (SEVERITY_RANK[a["Highest Severity"]] || 0));
+    const wsMatrix = XLSX.utils.json_to_sheet(matrixRows);
+    wsMatrix["!cols"] = [{ wch: 45 }, { wch: 10 }, { wch: 16 }, ...analyzed.map(() => ({ wch: 18 }))];
+    XLSX.utils.book_append_sheet(wb, wsMatrix, "Pain Point Matrix");
+
+    // One detail sheet per analyzed account
+    const used = new Set(["summary", "pain point matrix"]);
+    for (const { account, run } of analyzed) {
+      const a = analysisResult(run);
+      const detail = [
+        ["Company", a.companyName],
+        ["Industry", a.industry],
+        ["Analyzed", a.analyzedAt],
+        [""],
+        ["Research Summary"],
+        [a.research],
+        [""],
+        ["Pain Points"],
+        ["Title", "Severity", "Description", "Belwo Solution", "Business Impact"],
+        ...rankedPainPoints(run).map(pp => [pp.title, pp.severity, pp.description, pp.belwoSolution, pp.businessImpact]),
+        [""],
+        ["Messaging Angles"],
+        ["Headline", "Description", "Key Points"],
+        ...(a.messaging?.angles || []).map(angle => [angle.headline, angle.description, (angle.keyPoints || []).join(" | ")]),
+        [""],
+        ["Templates"],
+        ["Type", "Subject", "Body"],
+        ...(a.templates?.templates || []).map(t => [t.type, t.subject || "N/A", t.body]),
+      ];
+      const ws = XLSX.utils.aoa_to_sheet(detail);
+      ws["!cols"] = [{ wch: 35 }, { wch: 40 }, { wch: 60 }, { wch: 50 }, { wch: 40 }];
+      XLSX.utils.book_append_sheet(wb, ws, uniqueSheetName(account.companyName, used));
+    }
+
+    const buffer = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename=Belwo_Account_Analysis_${analyzed.length}_accounts_${new Date().toISOString().split("T")[0]}.xlsx`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(500).json({ error: "Export failed: " + err.message });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════
 // ═══ VISITOR INTELLIGENCE MODULE ═══
 // ═══════════════════════════════════════════════════════════════
@@ -943,6 +6950,7 @@ app.post("/api/vi/sites", (req, res) => {
   const baseUrl = `${req.protocol}://${req.get("host")}`;
   const site = {
     siteId,
+    workspaceId: req.workspaceId,
     name,
     domain: domain.replace(/^https?:\/\//, "").replace(/\/$/, ""),
     createdAt: new Date().toISOString(),
@@ -954,7 +6962,7 @@ app.post("/api/vi/sites", (req, res) => {
 });
 
 app.get("/api/vi/sites", (req, res) => {
-  const result = [...sites.values()].map(site => {
+  const result = [...sites.values()].filter(site => inWorkspace(site, req.workspaceId)).map(site => {
     const siteEvents = eventBuffer.filter(e => e.siteId === site.siteId);
     const siteVisitors = [...visitors.values()].filter(v => v.siteIds && v.siteIds.includes(site.siteId));
     return { ...site, visitorCount: siteVisitors.length, pageviewCount: siteEvents.filter(e => e.type === "pageview").length };
@@ -963,6 +6971,7 @@ app.get("/api/vi/sites", (req, res) => {
 });
 
 app.delete("/api/vi/sites/:siteId", (req, res) => {
+  if (!inWorkspace(sites.get(req.params.siteId), req.workspaceId)) return res.status(404).json({ error: "Site not found" });
   sites.delete(req.params.siteId);
   scheduleSave();
   res.json({ success: true });
@@ -1027,14 +7036,16 @@ app.post("/api/track", async (req, res) => {
 
     if (type === "pageview") visitor.totalPageviews++;
 
-    // Check for tracked link identification
+    // Check for tracked link identification (only links from the site's own workspace identify visitors)
+    const workspaceId = siteWorkspaceId(siteId);
     if (data?.trackingId) {
       const tl = trackedLinks.get(data.trackingId);
-      if (tl && tl.leadInfo) {
+      if (tl && tl.leadInfo && inWorkspace(tl, workspaceId)) {
         visitor.identified = true;
-        visitor.identity = { ...tl.leadInfo, identifiedAt: new Date().toISOString(), source: tl.messageType };
-        tl.clicks = (tl.clicks || 0) + 1;
-        tl.lastClicked = new Date().toISOString();
+        visitor.identity = { ...tl.leadInfo, identifiedAt: new Date().toISOString(), source: tl.messageType, linkId: tl.linkId };
+        if (!tl.visitorIds) tl.visitorIds = [];
+        // Clicks are counted by the /t/:linkId redirect; every later event on the site carries the id too
+        if (!tl.visitorIds.includes(visitor.visitorId)) tl.visitorIds.push(visitor.visitorId);
       }
     }
 
@@ -1061,7 +7072,7 @@ app.post("/api/track", async (req, res) => {
     broadcastSSE({
       type: "event",
       event: { ...event, visitor: { visitorId: visitor.visitorId, identified: visitor.identified, identity: visitor.identity, geo: visitor.geo, device: visitor.device } }
-    });
+    }, workspaceId);
 
     scheduleSave();
   } catch (err) {
@@ -1090,30 +7101,95 @@ function extractOS(ua) {
 
 // ─── Tracked Links ───
 
-app.post("/api/vi/tracked-links", (req, res) => {
-  const { siteId, originalUrl, lead, messageType } = req.body;
-  if (!originalUrl || !lead) return res.status(400).json({ error: "originalUrl and lead are required" });
+// Where tracked links are served from and which workspace owns them; kept on jobs that create links later.
+// PUBLIC_BASE_URL wins over the request host, which is often localhost or an internal proxy name.
+function linkOrigin(req) {
+  return { workspaceId: req.workspaceId, baseUrl: publicBaseUrl(`${req.protocol}://${req.get("host")}`) };
+}
 
+// `extra` tags the link with what it was created for (e.g. a message variant)
+function createTrackedLink({ workspaceId, baseUrl }, { siteId, originalUrl, lead, messageType }, extra = {}) {
   const linkId = genId("tl");
-  const baseUrl = `${req.protocol}://${req.get("host")}`;
   const link = {
     linkId,
+    workspaceId,
     siteId: siteId || null,
-    originalUrl,
+    originalUrl: /^https?:\/\//i.test(originalUrl) ? originalUrl : `https://${originalUrl}`,
     trackedUrl: `${baseUrl}/t/${linkId}`,
     leadInfo: { name: lead.name, email: lead.email, company: lead.company, title: lead.title, linkedinUrl: lead.linkedinUrl },
     messageType: messageType || "email",
+    ...extra,
     createdAt: new Date().toISOString(),
     clicks: 0,
-    lastClicked: null
+    lastClicked: null,
+    visitorIds: [],
   };
   trackedLinks.set(linkId, link);
   scheduleSave();
-  res.json({ success: true, link });
+  return link;
+}
+
+// The workspace site a URL lands on, matched by host (www. is ignored)
+function siteForUrl(url, workspaceId) {
+  let host;
+  try { host = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.replace(/^www\./, "").toLowerCase(); } catch { return null; }
+  return [...sites.values()].find(s => inWorkspace(s, workspaceId) && s.domain.split("/")[0].replace(/^www\./, "").toLowerCase() === host) || null;
+}
+
+// Bare domains ("belwo.com/contact") count as links when they end in a common TLD or are one of the workspace's own
+// hosts — the prompts insert the sender website exactly as the profile stores it
+const BARE_LINK_TLDS = ["com", "net", "org", "io", "co", "ai", "app", "dev", "biz", "info", "us", "uk", "de", "fr", "nl", "eu", "ca", "au", "in"];
+
+function messageUrlPattern(workspaceId) {
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const hostOf = (url) => String(url || "").toLowerCase().replace(/^https?:\/\//, "").split(/[/?#]/)[0].replace(/^www\./, "");
+  const ownHosts = [
+    ...[...senderProfiles.values()].filter(p => profileVisible(p, workspaceId)).map(p => hostOf(p.website)),
+    ...[...sites.values()].filter(s => inWorkspace(s, workspaceId)).map(s => hostOf(s.domain)),
+  ].filter(h => h.includes("."));
+  const domains = [...new Set(ownHosts)].map(escape).concat(`(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+(?:${BARE_LINK_TLDS.join("|")})`);
+  // The lookarounds keep email addresses and words that merely contain a dot out
+  return new RegExp(`\\b(?:https?:\\/\\/|www\\.)[^\\s<>()"']+|(?<![\\w@.\\/-])(?:${domains.join("|")})(?![\\w@-])(?:\\/[^\\s<>()"']*)?`, "gi");
+}
+
+/**
+ * Swap every URL in a message body for a per-lead tracked link to the same destination, so that a visit identifies the
+ * recipient. Links are bound to `siteId`, or else to the workspace site whose domain the URL points at. URLs that are
+ * already tracked links are left alone, and a URL repeated in the message shares one link (as does a URL with a link
+ * in `reuse`). Returns the rewritten message and the links it now contains.
+ */
+function trackMessageLinks(message, messageType, origin, { siteId, lead, reuse = [] }, extra = {}) {
+  const field = messageType === "linkedin" ? "message" : "body";
+  const linkKey = (url) => url.toLowerCase().replace(/^https?:\/\//, "").replace(/\/$/, "");
+  const known = new Map(reuse.map(l => [linkKey(l.originalUrl), l]));
+  const links = new Map();
+  const rewritten = String(message?.[field] || "").replace(messageUrlPattern(origin.workspaceId), (match) => {
+    const [, url, trailing] = match.match(/^(.*?)([.,;:!?'"]*)$/);
+    const existing = url.match(/\/t\/(tl_[a-f0-9]+)$/);
+    if (existing && trackedLinks.has(existing[1])) return match;
+    const key = linkKey(url);
+    if (!links.has(key) && known.has(key)) links.set(key, known.get(key));
+    if (!links.has(key)) {
+      const site = siteId ? null : siteForUrl(url, origin.workspaceId);
+      links.set(key, createTrackedLink(origin, { siteId: siteId || site?.siteId, originalUrl: url, lead, messageType }, extra));
+    }
+    return links.get(key).trackedUrl + trailing;
+  });
+  return {
+    message: links.size ? { ...message, [field]: rewritten } : message,
+    trackedLinks: [...links.values()].map(l => ({ linkId: l.linkId, originalUrl: l.originalUrl, trackedUrl: l.trackedUrl, siteId: l.siteId })),
+  };
+}
+
+app.post("/api/vi/tracked-links", (req, res) => {
+  const { siteId, originalUrl, lead, messageType } = req.body;
+  if (!originalUrl || !lead) return res.status(400).json({ error: "originalUrl and lead are required" });
+  if (siteId && !inWorkspace(sites.get(siteId), req.workspaceId)) return res.status(404).json({ error: "Site not found" });
+  res.json({ success: true, link: createTrackedLink(linkOrigin(req), { siteId, originalUrl, lead, messageType }) });
 });
 
 app.get("/api/vi/tracked-links", (req, res) => {
-  let links = [...trackedLinks.values()];
+  let links = [...trackedLinks.values()].filter(l => inWorkspace(l, req.workspaceId));
   if (req.query.siteId) links = links.filter(l => l.siteId === req.query.siteId);
   links.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   res.json({ links });
@@ -1126,6 +7202,14 @@ app.get("/t/:linkId", (req, res) => {
 
   link.clicks = (link.clicks || 0) + 1;
   link.lastClicked = new Date().toISOString();
+  const messages = sentMessages.filter(m => (m.linkIds || []).includes(link.linkId));
+  // Scanners that open every link on delivery are counted, but only a real click pauses the sequence
+  if (classifyClick(req, messages, Date.now()).kind === "prefetch") {
+    link.prefetchCount = (link.prefetchCount || 0) + 1;
+  } else {
+    pauseEnrollmentsForLead(link.leadInfo?.email, "clicked", link.workspaceId || DEFAULT_WORKSPACE_ID);
+    messages.forEach(m => advanceMessage(m, "clicked", { at: link.lastClicked, source: "click" }));
+  }
   scheduleSave();
 
   // Append _bvt param to destination URL
@@ -1134,10 +7218,136 @@ app.get("/t/:linkId", (req, res) => {
   res.redirect(302, url.toString());
 });
 
+// ─── Email Open Tracking ───
+// Sent emails carry a 1x1 pixel (/o/:pixelId.gif) tied to the saved message. Image proxies and security
+// scanners fetch it without a human opening the mail, so each hit is classified before it counts:
+// hits before or right after delivery and known scanner agents are prefetches, repeats within a few
+// minutes from the same client are duplicates.
+const OPEN_PIXEL_GIF = Buffer.from("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7", "base64");
+const OPEN_PREFETCH_WINDOW_MS = 60 * 1000;
+const OPEN_DEDUPE_MS = 5 * 60 * 1000;
+const OPEN_LOG_MAX = 50;
+const MAIL_IMAGE_PROXIES = [
+  [/GoogleImageProxy/i, "gmail"],
+  [/YahooMailProxy/i, "yahoo"],
+  [/Microsoft Outlook|ms-office|Outlook-iOS|Outlook-Android/i, "outlook"],
+  [/AppleWebKit.*Mobile.*Mail|Apple ?Mail/i, "apple-mail"],
+];
+const MAIL_SCANNER_AGENTS = /barracuda|mimecast|proofpoint|symantec|messagelabs|trendmicro|fireeye|safelinks|Existence Discovery|bot\b|crawler|spider|python-requests|curl\/|wget|HeadlessChrome|preview/i;
+
+function publicBaseUrl(requestBaseUrl) {
+  return process.env.PUBLIC_BASE_URL || requestBaseUrl || process.env.RENDER_EXTERNAL_URL || "";
+}
+
+// One pixel per saved message; reused when a deferred or failed message is sent again
+function ensureOpenPixel(saved, baseUrl) {
+  let pixel = emailOpens.get(saved.openPixelId);
+  if (!pixel) {
+    pixel = {
+      pixelId: genId("op"),
+      workspaceId: saved.workspaceId || DEFAULT_WORKSPACE_ID,
+      messageId: saved.id,
+      leadInfo: { name: saved.lead?.name, email: saved.lead?.email, company: saved.lead?.company },
+      linkIds: messageLinkIds(saved),
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      openCount: 0,
+      prefetchCount: 0,
+      firstOpenedAt: null,
+      lastOpenedAt: null,
+      opens: [],
+    };
+    emailOpens.set(pixel.pixelId, pixel);
+    saved.openPixelId = pixel.pixelId;
+    scheduleSave();
+  }
+  return { pixel, url: `${baseUrl}/o/${pixel.pixelId}.gif` };
+}
+
+function classifyOpen(pixel, userAgent, now) {
+  const client = (MAIL_IMAGE_PROXIES.find(([re]) => re.test(userAgent)) || [null, "direct"])[1];
+  if (!userAgent || MAIL_SCANNER_AGENTS.test(userAgent)) return { kind: "prefetch", client, reason: "security scanner or bot" };
+  // Apple Mail Privacy Protection loads every image on delivery with this bare agent
+  if (userAgent === "Mozilla/5.0") return { kind: "prefetch", client: "apple-privacy", reason: "Apple Mail Privacy Protection" };
+  if (!pixel.sentAt || now - new Date(pixel.sentAt).getTime() < OPEN_PREFETCH_WINDOW_MS) {
+    return { kind: "prefetch", client, reason: "fetched during delivery" };
+  }
+  const repeat = pixel.opens.find(o => o.kind === "open" && o.userAgent === userAgent && now - new Date(o.at).getTime() < OPEN_DEDUPE_MS);
+  if (repeat) return { kind: "duplicate", client };
+  return { kind: "open", client };
+}
+
+// Safe Links, Mimecast and Proofpoint follow every link as the mail is delivered, often with a browser-like agent
+function classifyClick(req, messages, now) {
+  const userAgent = req.get("user-agent") || "";
+  if (req.method === "HEAD" || !userAgent || MAIL_SCANNER_AGENTS.test(userAgent)) return { kind: "prefetch", reason: "security scanner or bot" };
+  const sentAt = Math.max(0, ...messages.map(m => new Date(m.delivery?.sentAt || 0).getTime()));
+  if (sentAt && now - sentAt < OPEN_PREFETCH_WINDOW_MS) return { kind: "prefetch", reason: "fetched during delivery" };
+  return { kind: "click" };
+}
+
+function openStats(pixel) {
+  if (!pixel) return null;
+  return { pixelId: pixel.pixelId, count: pixel.openCount, prefetches: pixel.prefetchCount, firstOpenedAt: pixel.firstOpenedAt, lastOpenedAt: pixel.lastOpenedAt };
+}
+
+// A genuine open updates the message, the stored lead and the tracked links in the same email
+function recordOpen(pixel, at) {
+  pixel.openCount++;
+  pixel.firstOpenedAt = pixel.firstOpenedAt || at;
+  pixel.lastOpenedAt = at;
+
+  const saved = sentMessages.find(m => m.id === pixel.messageId);
+  if (saved) {
+    saved.opens = openStats(pixel);
+    advanceMessage(saved, "opened", { at, source: "open" });
+    const lead = storedLeadForMessage(saved);
+    if (lead) {
+      lead.openCount = (lead.openCount || 0) + 1;
+      lead.lastOpenedAt = at;
+    }
+  }
+  for (const linkId of pixel.linkIds) {
+    const link = trackedLinks.get(linkId);
+    if (link) {
+      link.opens = (link.opens || 0) + 1;
+      link.lastOpened = at;
+    }
+  }
+  broadcastSSE({ type: "email_open", messageId: pixel.messageId, lead: pixel.leadInfo, at, openCount: pixel.openCount }, pixel.workspaceId);
+}
+
+app.get("/o/:pixelId.gif", (req, res) => {
+  const pixel = emailOpens.get(req.params.pixelId);
+  if (pixel) {
+    const now = Date.now();
+    const userAgent = req.get("user-agent") || "";
+    const hit = { at: new Date(now).toISOString(), userAgent, ip: req.ip, ...classifyOpen(pixel, userAgent, now) };
+    pixel.opens.push(hit);
+    if (pixel.opens.length > OPEN_LOG_MAX) pixel.opens.splice(0, pixel.opens.length - OPEN_LOG_MAX);
+    if (hit.kind === "open") recordOpen(pixel, hit.at);
+    else if (hit.kind === "prefetch") pixel.prefetchCount++;
+    scheduleSave();
+  }
+  // Unknown pixels get the same image so ids cannot be probed
+  res.set({ "Content-Type": "image/gif", "Cache-Control": "no-store, no-cache, must-revalidate, private", Pragma: "no-cache", Expires: "0" });
+  res.end(OPEN_PIXEL_GIF);
+});
+
+app.get("/api/vi/opens", (req, res) => {
+  let list = [...emailOpens.values()].filter(p => inWorkspace(p, req.workspaceId));
+  if (req.query.messageId) list = list.filter(p => p.messageId === req.query.messageId);
+  if (req.query.email) list = list.filter(p => (p.leadInfo.email || "").toLowerCase() === String(req.query.email).toLowerCase());
+  if (req.query.opened === "true") list = list.filter(p => p.openCount > 0);
+  list.sort((a, b) => new Date(b.lastOpenedAt || b.createdAt) - new Date(a.lastOpenedAt || a.createdAt));
+  res.json({ opens: list });
+});
+
 // ─── Visitor Data Queries ───
 
 app.get("/api/vi/visitors", (req, res) => {
-  let list = [...visitors.values()];
+  const siteIds = workspaceSiteIds(req.workspaceId);
+  let list = [...visitors.values()].filter(v => visitorInWorkspace(v, siteIds));
 
   if (req.query.siteId) list = list.filter(v => v.siteIds && v.siteIds.includes(req.query.siteId));
   if (req.query.identified === "true") list = list.filter(v => v.identified);
@@ -1159,11 +7369,12 @@ app.get("/api/vi/visitors", (req, res) => {
 });
 
 app.get("/api/vi/visitors/:visitorId", (req, res) => {
+  const siteIds = workspaceSiteIds(req.workspaceId);
   const visitor = visitors.get(req.params.visitorId);
-  if (!visitor) return res.status(404).json({ error: "Visitor not found" });
+  if (!visitor || !visitorInWorkspace(visitor, siteIds)) return res.status(404).json({ error: "Visitor not found" });
 
   const timeline = eventBuffer
-    .filter(e => e.visitorId === visitor.visitorId)
+    .filter(e => e.visitorId === visitor.visitorId && siteIds.has(e.siteId))
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
   // Group into sessions
@@ -1179,10 +7390,12 @@ app.get("/api/vi/visitors/:visitorId", (req, res) => {
 
 app.get("/api/vi/live", (req, res) => {
   const fiveMinAgo = Date.now() - 5 * 60 * 1000;
+  const siteIds = workspaceSiteIds(req.workspaceId);
   const active = [];
 
   for (const [visitorId, session] of activeSessions) {
     if (session.timestamp < fiveMinAgo) { activeSessions.delete(visitorId); continue; }
+    if (!siteIds.has(session.siteId)) continue;
     if (req.query.siteId && session.siteId !== req.query.siteId) continue;
     const visitor = visitors.get(visitorId);
     if (!visitor) continue;
@@ -1211,11 +7424,12 @@ app.get("/api/vi/dashboard", (req, res) => {
   else if (period === "7d") cutoff = Date.now() - 7 * 24 * 3600000;
   else if (period === "30d") cutoff = Date.now() - 30 * 24 * 3600000;
 
-  let events = eventBuffer;
+  const siteIds = workspaceSiteIds(req.workspaceId);
+  let events = eventBuffer.filter(e => siteIds.has(e.siteId));
   if (siteId) events = events.filter(e => e.siteId === siteId);
   if (cutoff) events = events.filter(e => new Date(e.timestamp).getTime() >= cutoff);
 
-  let allVisitors = [...visitors.values()];
+  let allVisitors = [...visitors.values()].filter(v => visitorInWorkspace(v, siteIds));
   if (siteId) allVisitors = allVisitors.filter(v => v.siteIds && v.siteIds.includes(siteId));
 
   const pageviews = events.filter(e => e.type === "pageview");
@@ -1262,7 +7476,7 @@ app.get("/api/vi/dashboard", (req, res) => {
   const fiveMinAgo = Date.now() - 5 * 60 * 1000;
   let activeNow = 0;
   for (const [, session] of activeSessions) {
-    if (session.timestamp >= fiveMinAgo && (!siteId || session.siteId === siteId)) activeNow++;
+    if (session.timestamp >= fiveMinAgo && siteIds.has(session.siteId) && (!siteId || session.siteId === siteId)) activeNow++;
   }
 
   // Recent identified
@@ -1295,13 +7509,12 @@ app.get("/api/vi/stream", (req, res) => {
   res.writeHead(200, {
     "Content-Type": "text/event-stream",
     "Cache-Control": "no-cache",
-    "Connection": "keep-alive",
-    "Access-Control-Allow-Origin": "*"
+    "Connection": "keep-alive"
   });
   res.write("data: {\"type\":\"connected\"}\n\n");
 
   const clientId = Date.now() + Math.random();
-  sseClients.set(clientId, res);
+  sseClients.set(clientId, { res, workspaceId: req.workspaceId });
   req.on("close", () => sseClients.delete(clientId));
 });
 
@@ -1309,7 +7522,8 @@ app.get("/api/vi/stream", (req, res) => {
 
 app.post("/api/vi/export-visitors", (req, res) => {
   try {
-    let list = [...visitors.values()];
+    const siteIds = workspaceSiteIds(req.workspaceId);
+    let list = [...visitors.values()].filter(v => visitorInWorkspace(v, siteIds));
     if (req.body.siteId) list = list.filter(v => v.siteIds && v.siteIds.includes(req.body.siteId));
     if (req.body.identified === true) list = list.filter(v => v.identified);
 
@@ -1371,6 +7585,22 @@ function saveAllDataSync() {
   try { fs.writeFileSync(path.join(dataDir, "visitors.json"), JSON.stringify([...visitors])); } catch {}
   try { fs.writeFileSync(path.join(dataDir, "events.json"), JSON.stringify(eventBuffer.slice(-EVENT_BUFFER_MAX))); } catch {}
   try { fs.writeFileSync(path.join(dataDir, "tracked-links.json"), JSON.stringify([...trackedLinks])); } catch {}
+  try { fs.writeFileSync(path.join(dataDir, "email-opens.json"), JSON.stringify([...emailOpens])); } catch {}
+  saveLeadData();
+  saveEmailPatterns();
+  saveProfileData();
+  saveAuthData();
+  saveWorkspaceData();
+  saveUsageData();
+  saveVariantData();
+  saveMailTemplateData();
+  saveAnalysisData();
+  saveAnalysisBatchData();
+  saveJobData();
+  saveSequenceData();
+  saveReplyData();
+  saveSuppressionData();
+  saveMessageData();
   console.log("[SHUTDOWN] Data saved.");
 }
 
@@ -1383,12 +7613,23 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok", uptime: process.uptime(), visitors: visitors.size, sites: sites.size });
 });
 
+// Seed the first admin from the environment on a fresh install
+if (!users.size && process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+  try {
+    createUser({ email: process.env.ADMIN_EMAIL, name: "Administrator", role: "admin", password: process.env.ADMIN_PASSWORD });
+    console.log(`[AUTH] Created admin user ${process.env.ADMIN_EMAIL}`);
+  } catch (err) {
+    console.error("[AUTH] Could not create admin user:", err.message);
+  }
+}
+
 const PORT = process.env.PORT || 3456;
 app.listen(PORT, () => {
   console.log(`Belwo Lead Generation Tool running on port ${PORT}`);
-  console.log(`Using OpenRouter API — model: ${selectedModel}`);
+  console.log(`LLM default model: ${selectedModel} (fallbacks: ${llmConfig.fallbackModels.join(", ") || "none"})`);
   console.log(`Visitor Intelligence active — ${sites.size} sites, ${visitors.size} visitors tracked`);
   console.log(`Crash protection: ENABLED`);
+  console.log(users.size ? `Auth: ${users.size} user(s)` : `Auth: no users yet — open /login.html to create the first admin`);
 
   // ═══ Keep-Alive Self-Ping (prevents Render free tier from sleeping) ═══
   const RENDER_URL = process.env.RENDER_EXTERNAL_URL;
@@ -0,0 +1,99 @@
+// Settings store: secrets are written encrypted under the master key, survive restarts and move to a new key
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { startServer, login, tempDataDir } = require("./helpers");
+
+const dataDir = tempDataDir();
+const SECRETS = { smtp: "smtp-secret-value-1", openRouter: "sk-or-secret-value-2", imap: "imap-secret-value-3" };
+let server;
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function restart(env) {
+  await server?.stop({ keepData: true });
+  server = await startServer({ dataDir, env: { CONFIG_MASTER_KEY: "", CONFIG_MASTER_KEY_PREVIOUS: "", ...env } });
+  return login(server);
+}
+
+function configFile() {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, "config.enc.json"), "utf8"));
+}
+
+function assertNoSecrets(text) {
+  for (const secret of Object.values(SECRETS)) assert.ok(!text.includes(secret), `${secret} leaked`);
+}
+
+async function presentSecrets(api) {
+  const { settings } = (await api.get("/api/config")).body;
+  return { smtpPassword: settings.smtpPassword.present, openRouterKey: settings.openRouterKey.present, imapPassword: settings.imapPassword.present };
+}
+
+const ALL_PRESENT = { smtpPassword: true, openRouterKey: true, imapPassword: true };
+
+test("without a master key nothing is written and rotation is refused", async () => {
+  const api = await restart({});
+  const saved = await api.post("/api/config", { apiKey: SECRETS.openRouter });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.persisted, false);
+  assert.equal(fs.existsSync(path.join(dataDir, "config.enc.json")), false);
+  assert.equal((await api.post("/api/config/rotate")).status, 400);
+});
+
+test("secrets are stored encrypted and only reported as present", async () => {
+  const api = await restart({ CONFIG_MASTER_KEY: "first-master-key" });
+  assert.equal((await api.post("/api/smtp-config", { password: SECRETS.smtp })).body.persisted, true);
+  assert.equal((await api.post("/api/config", { apiKey: SECRETS.openRouter })).body.persisted, true);
+  assert.equal((await api.post("/api/imap-config", { password: SECRETS.imap })).body.persisted, true);
+
+  const file = configFile();
+  assert.deepEqual(Object.keys(file).sort(), ["data", "iv", "keyId", "tag", "version"]);
+  assertNoSecrets(JSON.stringify(file));
+  for (const name of fs.readdirSync(dataDir)) assertNoSecrets(fs.readFileSync(path.join(dataDir, name), "utf8"));
+
+  const { status, body } = await api.get("/api/config");
+  assert.equal(status, 200);
+  assertNoSecrets(JSON.stringify(body));
+  assert.deepEqual(await presentSecrets(api), ALL_PRESENT);
+  assert.equal(body.settings.openRouterKey.scope, "workspace");
+  assert.equal(body.encryption.enabled, true);
+  assert.equal(body.encryption.keyId, file.keyId);
+  assertNoSecrets(JSON.stringify((await api.get("/api/smtp-config")).body));
+  assertNoSecrets(JSON.stringify((await api.get("/api/imap-config")).body));
+});
+
+test("secrets survive a restart with the same key", async () => {
+  const api = await restart({ CONFIG_MASTER_KEY: "first-master-key" });
+  assert.deepEqual(await presentSecrets(api), ALL_PRESENT);
+  assert.equal((await api.get("/api/smtp-config")).body.hasPassword, true);
+});
+
+test("a new key with the old one as previous re-encrypts the file on start", async () => {
+  const oldKeyId = configFile().keyId;
+  const api = await restart({ CONFIG_MASTER_KEY: "second-master-key", CONFIG_MASTER_KEY_PREVIOUS: "first-master-key" });
+  assert.deepEqual(await presentSecrets(api), ALL_PRESENT);
+  const { encryption } = (await api.get("/api/config")).body;
+  assert.equal(encryption.previousKeysConfigured, 1);
+  assert.notEqual(encryption.keyId, oldKeyId);
+  assert.equal(configFile().keyId, encryption.keyId);
+
+  const rotated = await api.post("/api/config/rotate");
+  assert.equal(rotated.status, 200);
+  assert.equal(rotated.body.keyId, encryption.keyId);
+
+  // The old key can now be dropped
+  const newKeyOnly = await restart({ CONFIG_MASTER_KEY: "second-master-key" });
+  assert.deepEqual(await presentSecrets(newKeyOnly), ALL_PRESENT);
+});
+
+test("a wrong key starts with defaults and leaves the file untouched", async () => {
+  const before = fs.readFileSync(path.join(dataDir, "config.enc.json"), "utf8");
+  const api = await restart({ CONFIG_MASTER_KEY: "unrelated-master-key" });
+  assert.deepEqual(await presentSecrets(api), { smtpPassword: false, openRouterKey: false, imapPassword: false });
+  assert.match(server.output(), /Could not decrypt/);
+  assert.equal(fs.readFileSync(path.join(dataDir, "config.enc.json"), "utf8"), before);
+});
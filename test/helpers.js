@@ -0,0 +1,295 @@
+// Shared setup for the behaviour tests: each test file runs server.js as a child process against its own
+// data directory, with local stand-ins for the SMTP server and the LLM endpoint.
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const http = require("node:http");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const ADMIN = { email: "admin@example.com", password: "test-password-123" };
+
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+  });
+}
+
+async function freePort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+function tempDataDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "belwo-test-"));
+}
+
+/**
+ * Start server.js and resolve once it listens. Stop it with { keepData: true } and pass the same `dataDir`
+ * again to simulate a restart. Resolves to { url, dataDir, stop(), output() }.
+ */
+async function startServer({ dataDir = tempDataDir(), env = {} } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      ADMIN_EMAIL: ADMIN.email,
+      ADMIN_PASSWORD: ADMIN.password,
+      IMAP_ENABLED: "false",
+      // Keys from the developer's shell would send test prompts to real providers
+      OPENROUTER_API_KEY: "",
+      GEMINI_API_KEY: "",
+      LOCAL_LLM_BASE_URL: "",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", d => { output += d; });
+  child.stderr.on("data", d => { output += d; });
+  const exited = new Promise(resolve => child.once("exit", resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 15000);
+    child.stdout.on("data", () => {
+      if (output.includes("running on port")) { clearTimeout(timer); resolve(); }
+    });
+    exited.then(code => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${output}`)); });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    dataDir,
+    output: () => output,
+    // SIGTERM runs the server's own shutdown save, like a deploy would; keep the data to start it again
+    async stop({ keepData = false } = {}) {
+      if (child.exitCode === null) child.kill("SIGTERM");
+      await exited;
+      if (!keepData) fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Calls the API with the given auth headers; each method resolves to { status, body }
+function apiClient(server, authHeaders) {
+  const call = async (method, url, body) => {
+    const r = await fetch(server.url + url, {
+      method,
+      headers: { ...authHeaders, ...(body !== undefined ? { "Content-Type": "application/json" } : {}) },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await r.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch {}
+    return { status: r.status, body: parsed };
+  };
+  return {
+    get: (url) => call("GET", url),
+    post: (url, body = {}) => call("POST", url, body),
+    put: (url, body = {}) => call("PUT", url, body),
+    del: (url) => call("DELETE", url),
+  };
+}
+
+// Log in (as the admin by default); resolves to { user, get, post, put, del }
+async function login(server, credentials = ADMIN) {
+  const res = await fetch(`${server.url}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(credentials),
+  });
+  if (!res.ok) throw new Error(`login failed: ${res.status}`);
+  const { user } = await res.json();
+  const cookie = res.headers.getSetCookie().map(c => c.split(";")[0]).join("; ");
+  return { user, ...apiClient(server, { cookie }) };
+}
+
+// Have the admin create a user ({ email, role, workspaceId }) and log in as them
+async function loginAsNewUser(server, admin, fields) {
+  const credentials = { email: fields.email, password: "other-password-456" };
+  const res = await admin.post("/api/users", { ...fields, password: credentials.password });
+  if (res.status !== 200) throw new Error(`creating ${fields.email} failed: ${JSON.stringify(res.body)}`);
+  return login(server, credentials);
+}
+
+// Create an API token with `scopes` from a signed-in client; resolves to a client that sends it as a bearer token
+async function tokenClient(server, client, scopes) {
+  const res = await client.post("/api/auth/tokens", { name: scopes.join(" "), scopes });
+  if (res.status !== 200) throw new Error(`creating a token failed: ${JSON.stringify(res.body)}`);
+  return apiClient(server, { Authorization: `Bearer ${res.body.secret}` });
+}
+
+/**
+ * Plain SMTP server that keeps every accepted message in `messages` (raw text).
+ * RCPT TO an address containing "bounce" gets a permanent 550; `delayMs` holds each message before accepting it.
+ */
+async function startSmtpStub({ delayMs = 0 } = {}) {
+  const messages = [];
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    socket.write("220 stub ESMTP\r\n");
+    let buffer = "";
+    let data = null;
+    socket.on("data", chunk => {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (data !== null) {
+          if (line === ".") {
+            const raw = data;
+            data = null;
+            setTimeout(() => { messages.push(raw); socket.write("250 OK queued\r\n"); }, delayMs);
+          } else {
+            data += (line.startsWith("..") ? line.slice(1) : line) + "\n";
+          }
+          continue;
+        }
+        if (/^(EHLO|HELO)/i.test(line)) socket.write("250-stub\r\n250 8BITMIME\r\n");
+        else if (/^RCPT/i.test(line)) socket.write(/bounce/i.test(line) ? "550 5.1.1 No such user\r\n" : "250 OK\r\n");
+        else if (/^DATA/i.test(line)) { data = ""; socket.write("354 End data with <CR><LF>.<CR><LF>\r\n"); }
+        else if (/^QUIT/i.test(line)) { socket.write("221 Bye\r\n"); socket.end(); }
+        else socket.write("250 OK\r\n");
+      }
+    });
+  });
+  const port = await listen(server);
+  return {
+    port,
+    messages,
+    close() {
+      sockets.forEach(s => s.destroy());
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Just enough of an IMAP server for the reply watcher: LOGIN, SELECT of one mailbox, UID SEARCH and UID FETCH of full
+ * messages. Append raw RFC 822 messages with `deliver(raw)`; `selectDelayMs` holds each SELECT to keep a poll busy.
+ */
+async function startImapStub({ selectDelayMs = 0 } = {}) {
+  const mailbox = [];
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    socket.write("* OK [CAPABILITY IMAP4rev1] stub ready\r\n");
+    let buffer = "";
+    socket.on("data", chunk => {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        const [tag, ...words] = line.split(" ");
+        const command = words.join(" ");
+        const ok = (text = "done") => socket.write(`${tag} OK ${text}\r\n`);
+        if (/^CAPABILITY$/i.test(command)) { socket.write("* CAPABILITY IMAP4rev1\r\n"); ok(); }
+        else if (/^LOGIN /i.test(command)) ok("[CAPABILITY IMAP4rev1] logged in");
+        else if (/^LIST /i.test(command)) { socket.write('* LIST (\\Noselect) "/" ""\r\n* LIST () "/" INBOX\r\n'); ok(); }
+        else if (/^(SELECT|EXAMINE) /i.test(command)) {
+          setTimeout(() => {
+            const uidNext = (mailbox.length ? mailbox[mailbox.length - 1].uid : 0) + 1;
+            socket.write(`* ${mailbox.length} EXISTS\r\n* FLAGS (\\Seen)\r\n* OK [UIDVALIDITY 7] ok\r\n* OK [UIDNEXT ${uidNext}] ok\r\n`);
+            ok("[READ-WRITE] selected");
+          }, selectDelayMs);
+        } else if (/^UID SEARCH /i.test(command)) {
+          const from = parseInt((command.match(/UID (\d+):\*/i) || [])[1]) || 1;
+          const uids = mailbox.map(m => m.uid).filter(uid => uid >= from);
+          socket.write(`* SEARCH${uids.map(uid => ` ${uid}`).join("")}\r\n`);
+          ok();
+        } else if (/^UID FETCH /i.test(command)) {
+          const uid = parseInt(command.split(" ")[2]);
+          const index = mailbox.findIndex(m => m.uid === uid);
+          if (index >= 0) {
+            const raw = Buffer.from(mailbox[index].raw);
+            socket.write(`* ${index + 1} FETCH (UID ${uid} BODY[]<0> {${raw.length}}\r\n`);
+            socket.write(raw);
+            socket.write(")\r\n");
+          }
+          ok();
+        } else if (/^LOGOUT$/i.test(command)) { socket.write("* BYE\r\n"); ok(); socket.end(); }
+        else ok();
+      }
+    });
+  });
+  const port = await listen(server);
+  return {
+    port,
+    deliver(raw) {
+      mailbox.push({ uid: mailbox.length + 1, raw: raw.replace(/\r?\n/g, "\r\n") });
+    },
+    close() {
+      sockets.forEach(s => s.destroy());
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+// Server env that sends through the stub without the production throttle
+function smtpEnv(smtp, extra = {}) {
+  return {
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(smtp.port),
+    SMTP_SECURE: "false",
+    SMTP_FROM_EMAIL: "sales@example.com",
+    SMTP_MIN_INTERVAL_MS: "1",
+    ...extra,
+  };
+}
+
+/**
+ * OpenAI-compatible chat endpoint. `reply(prompt)` returns the completion text, or { status, error } to fail the call.
+ * Every prompt received is kept in `prompts`.
+ */
+async function startLlmStub(reply) {
+  const prompts = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", d => { body += d; });
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url.endsWith("/models")) return res.end(JSON.stringify({ data: [{ id: "stub" }] }));
+      const prompt = JSON.parse(body).messages[0].content;
+      prompts.push(prompt);
+      const out = reply(prompt);
+      if (out && typeof out === "object") {
+        res.statusCode = out.status;
+        return res.end(JSON.stringify({ error: { message: out.error } }));
+      }
+      res.end(JSON.stringify({ choices: [{ message: { content: out } }], usage: { prompt_tokens: 10, completion_tokens: 5 } }));
+    });
+  });
+  const port = await listen(server);
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1`,
+    prompts,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// Poll until `check` returns something truthy
+async function waitFor(check, { timeoutMs = 15000, intervalMs = 100, what = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+module.exports = { ADMIN, startServer, login, loginAsNewUser, tokenClient, startSmtpStub, smtpEnv, startImapStub, startLlmStub, waitFor, tempDataDir };
@@ -0,0 +1,112 @@
+// Background jobs: retries with backoff, giving up after maxAttempts, and what a restart does to running jobs
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { startServer, login, startLlmStub, waitFor } = require("./helpers");
+
+const LEADS = JSON.stringify({ leads: [{ company: "Acme", name: "Jane Doe", title: "CTO", industry: "Banking" }] });
+const calls = {};
+
+let llm;
+let server;
+let api;
+let flakyJobId;
+
+// Prompts are told apart by the search keywords: "flaky" fails once, "broken" always fails
+function reply(prompt) {
+  const keyword = prompt.match(/KEYWORDS: (\w+)/)?.[1] || "other";
+  calls[keyword] = (calls[keyword] || 0) + 1;
+  if (keyword === "broken" || (keyword === "flaky" && calls[keyword] === 1)) return { status: 400, error: "upstream rejected the request" };
+  return LEADS;
+}
+
+async function start(dataDir) {
+  server = await startServer({ dataDir, env: { LOCAL_LLM_BASE_URL: llm.baseUrl, JOB_RETRY_BASE_MS: "100" } });
+  api = await login(server);
+}
+
+before(async () => {
+  llm = await startLlmStub(reply);
+  await start();
+  const config = await api.post("/api/config", { model: "local:stub" });
+  assert.equal(config.status, 200, JSON.stringify(config.body));
+});
+
+after(async () => {
+  await server?.stop();
+  await llm?.close();
+});
+
+async function searchJob(customKeywords) {
+  const res = await api.post("/api/find-leads", { background: true, customKeywords });
+  assert.equal(res.status, 202, JSON.stringify(res.body));
+  return res.body.jobId;
+}
+
+// The queue checks for due retries every few seconds, so allow for a couple of ticks
+function finished(jobId) {
+  return waitFor(async () => {
+    const { body } = await api.get(`/api/jobs/${jobId}`);
+    return ["completed", "failed", "cancelled"].includes(body.job.status) && body.job;
+  }, { timeoutMs: 20000, what: `job ${jobId}` });
+}
+
+test("a failed job is retried and completes on the next attempt", async () => {
+  flakyJobId = await searchJob("flaky");
+  const job = await finished(flakyJobId);
+  assert.equal(job.status, "completed", job.error);
+  assert.equal(job.attempts, 2);
+  assert.equal(job.error, null);
+  assert.deepEqual(job.result.leads.map(l => l.company), ["Acme"]);
+  assert.equal(calls.flaky, 2);
+});
+
+test("a job that keeps failing stops after its last attempt", async () => {
+  const job = await finished(await searchJob("broken"));
+  assert.equal(job.status, "failed");
+  assert.equal(job.attempts, job.maxAttempts);
+  assert.match(job.error, /upstream rejected the request/);
+  assert.equal(calls.broken, job.maxAttempts);
+});
+
+test("after a restart, running jobs are re-queued unless re-running could repeat their work", async () => {
+  const dataDir = server.dataDir;
+  await server.stop({ keepData: true });
+
+  // Jobs the server was in the middle of when it went down
+  const file = path.join(dataDir, "jobs.json");
+  const now = new Date().toISOString();
+  const running = (id, type, input) => [id, {
+    id, type, workspaceId: "default", userId: api.user.id,
+    context: { workspaceId: "default", userId: api.user.id, route: "test" },
+    input, status: "running", progress: { done: 0, total: null, message: "Working" },
+    attempts: 1, maxAttempts: type === "mail-merge" ? 1 : 2, result: null, error: null, runAt: null,
+    createdAt: now, updatedAt: now, startedAt: now,
+  }];
+  const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  stored.push(
+    running("job_search_restart", "lead-search", { customKeywords: "restart" }),
+    running("job_merge_restart", "mail-merge", { template: {}, leads: [], options: {}, origin: {} }),
+  );
+  fs.writeFileSync(file, JSON.stringify(stored));
+
+  await start(dataDir);
+
+  const merge = (await api.get("/api/jobs/job_merge_restart")).body.job;
+  assert.equal(merge.status, "failed");
+  assert.equal(merge.interrupted, true);
+  assert.match(merge.error, /Interrupted by server restart/);
+
+  // The interrupted attempt is not counted, so the search still has its retry left
+  const search = await finished("job_search_restart");
+  assert.equal(search.status, "completed", search.error);
+  assert.equal(search.attempts, 1);
+  assert.equal(calls.restart, 1);
+
+  // Jobs that had already finished are left alone
+  const flaky = (await api.get(`/api/jobs/${flakyJobId}`)).body.job;
+  assert.equal(flaky.status, "completed");
+  assert.equal(flaky.attempts, 2);
+  assert.equal(calls.flaky, 2);
+});
@@ -0,0 +1,58 @@
+// Link rewriting: every link in a saved message becomes a per-lead tracked link, including bare domains
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login } = require("./helpers");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = await login(server);
+});
+
+after(() => server?.stop());
+
+const lead = { name: "Jane Doe", company: "Acme", email: "jane@acme.example" };
+
+async function saveTracked(body, extra = {}) {
+  const res = await api.post("/api/save-message", { lead, messageType: "email", trackLinks: true, message: { subject: "Hi", body }, ...extra });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+test("full URLs, www. hosts and bare domains are rewritten; email addresses and file names are not", async () => {
+  const { message, trackedLinks } = await saveTracked(
+    "Pricing: https://partner.example/pricing. Our site belwo.com, docs at www.docs.example/start and acme.io/demo, " +
+    "or write to sales@belwo.com about report.pdf and Node.js."
+  );
+  assert.deepEqual(trackedLinks.map(l => l.originalUrl), [
+    "https://partner.example/pricing",
+    "https://belwo.com",
+    "https://www.docs.example/start",
+    "https://acme.io/demo",
+  ]);
+  const [pricing, site, docs, demo] = trackedLinks.map(l => l.trackedUrl);
+  assert.equal(message.body,
+    `Pricing: ${pricing}. Our site ${site}, docs at ${docs} and ${demo}, ` +
+    "or write to sales@belwo.com about report.pdf and Node.js.");
+});
+
+test("the sender's website is rewritten as the profile stores it, whatever its TLD", async () => {
+  const profile = await api.post("/api/profiles", { name: "Consulting", companyName: "Northwind", offering: "consulting", website: "northwind.consulting" });
+  assert.equal(profile.status, 200);
+  const { trackedLinks } = await saveTracked("Case studies on northwind.consulting/cases — see you soon.");
+  assert.deepEqual(trackedLinks.map(l => l.originalUrl), ["https://northwind.consulting/cases"]);
+});
+
+test("links land on the matching workspace site, repeats share a link and tracked links are kept", async () => {
+  const site = (await api.post("/api/vi/sites", { name: "Main", domain: "acme-sales.example" })).body.site;
+  const first = await saveTracked("Book at acme-sales.example/book or acme-sales.example/book!");
+  assert.equal(first.trackedLinks.length, 1);
+  assert.equal(first.trackedLinks[0].siteId, site.siteId);
+  assert.equal(first.message.body.split(first.trackedLinks[0].trackedUrl).length, 3);
+
+  const again = await saveTracked(first.message.body);
+  assert.deepEqual(again.trackedLinks, []);
+  assert.equal(again.message.body, first.message.body);
+});
@@ -0,0 +1,96 @@
+// Mail-merge templates: parsing and validation on save, and rendering per lead
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login } = require("./helpers");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = await login(server);
+});
+
+after(() => server?.stop());
+
+async function createTemplate(fields) {
+  return api.post("/api/mail-templates", { name: "Intro", channel: "email", subject: "Hello", ...fields });
+}
+
+async function render(templateId, leads, extra = {}) {
+  const res = await api.post(`/api/mail-templates/${templateId}/render`, { leads, preview: true, ...extra });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+test("templates with broken tags are rejected with the reason", async () => {
+  const cases = [
+    ["{{#if lead.title}}unclosed", /Unclosed \{\{#if\}\} block/],
+    ["{{else}} stray", /\{\{else\}\} outside an \{\{#if\}\} block/],
+    ["{{#if lead.title}}x{{/unless}}", /Unexpected \{\{\/unless\}\}/],
+    ["Hi {{lead.first name}}", /Invalid variable/],
+    ["Hi {{ }}", /Empty \{\{ \}\} tag/],
+  ];
+  for (const [body, error] of cases) {
+    const res = await createTemplate({ body });
+    assert.equal(res.status, 400, body);
+    assert.match(res.body.error, error, body);
+    assert.match(res.body.error, /^body: /);
+  }
+  const noSubject = await createTemplate({ subject: "", body: "Hi" });
+  assert.equal(noSubject.status, 400);
+});
+
+test("a saved template lists the variables it uses", async () => {
+  const res = await createTemplate({
+    subject: "{{lead.company}} and {{painPoint}}",
+    body: '{{#if lead.title}}As {{lead.title}}{{/if}} {{lead.firstName | "there"}} {{sender.name}}',
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.template.variables.sort(), ["lead.company", "lead.firstName", "lead.title", "painPoint", "sender.name"]);
+});
+
+test("variables, fallbacks and conditionals render per lead", async () => {
+  const { body: { template } } = await createTemplate({
+    subject: "A question for {{lead.company}}",
+    body: [
+      'Hi {{lead.firstName | "there"}},',
+      "{{#if lead.title}}As {{lead.title}} you own this.{{else}}You may own this.{{/if}}",
+      "{{#unless lead.painPoint}}No known pain point.{{/unless}}",
+      "Ref: {{campaign}}",
+    ].join("\n"),
+  });
+
+  const { messages, withMissingFields } = await render(template.id, [
+    { name: "Jane Doe", company: "Acme", title: "CTO", painPoint: "Legacy billing" },
+    // An LLM placeholder is not a person's name
+    { name: "CIO - [Beta Corp]", company: "Beta Corp" },
+  ], { variables: { campaign: "Q4" } });
+
+  assert.equal(messages.length, 2);
+  assert.equal(messages[0].subject, "A question for Acme");
+  assert.equal(messages[0].body, "Hi Jane,\nAs CTO you own this.\n\nRef: Q4");
+  assert.equal(messages[1].subject, "A question for Beta Corp");
+  assert.equal(messages[1].body, "Hi there,\nYou may own this.\nNo known pain point.\nRef: Q4");
+  assert.equal(withMissingFields, 0);
+});
+
+test("variables without a value or fallback are reported as missing", async () => {
+  const { body: { template } } = await createTemplate({ subject: "For {{lead.title}}", body: "Hi {{lead.firstName}}, about {{lead.location}}" });
+  const { messages, withMissingFields } = await render(template.id, [{ name: "Jane Doe", company: "Acme" }]);
+  assert.equal(messages[0].body, "Hi Jane, about ");
+  assert.deepEqual(messages[0].missing.sort(), ["lead.location", "lead.title"]);
+  assert.equal(withMissingFields, 1);
+});
+
+test("suppressed leads are left out of a render", async () => {
+  await api.post("/api/suppressions", { type: "email", value: "optout@acme.example" });
+  const { body: { template } } = await createTemplate({ body: "Hi {{lead.firstName}}" });
+  const result = await render(template.id, [
+    { name: "Jane Doe", company: "Acme", email: "jane@acme.example" },
+    { name: "Opt Out", company: "Acme", email: "optout@acme.example" },
+  ]);
+  assert.equal(result.rendered, 1);
+  assert.equal(result.messages[0].lead.email, "jane@acme.example");
+  assert.deepEqual(result.suppressed.map(s => s.matched), ["email:optout@acme.example"]);
+});
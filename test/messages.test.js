@@ -0,0 +1,133 @@
+// Saved-message lifecycle: allowed status transitions, the status history and edit locking
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, startSmtpStub, smtpEnv, waitFor } = require("./helpers");
+
+let smtp;
+let server;
+let api;
+
+before(async () => {
+  // The stub holds each message a moment, so a send can be caught in progress
+  smtp = await startSmtpStub({ delayMs: 500 });
+  server = await startServer({ env: smtpEnv(smtp, { SMTP_TRACK_OPENS: "false" }) });
+  api = await login(server);
+});
+
+after(async () => {
+  await server?.stop();
+  await smtp?.close();
+});
+
+const lead = { name: "Jane Doe", company: "Acme", email: "jane@acme.example" };
+const message = { subject: "Quick question", body: "Hi Jane, do you have a minute next week?" };
+
+async function save(status) {
+  const res = await api.post("/api/save-message", { lead, message, messageType: "email", status });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.id;
+}
+
+function setStatus(id, status) {
+  return api.put(`/api/saved-messages/${id}`, { status });
+}
+
+test("messages start as draft, approved or sent; the old 'generated' status means draft", async () => {
+  const id = await save("generated");
+  const { body } = await api.get(`/api/saved-messages/${id}`);
+  assert.equal(body.message.status, "draft");
+  assert.deepEqual(body.nextStatuses, ["approved", "sent", "bounced", "suppressed"]);
+
+  const opened = await api.post("/api/save-message", { lead, message, messageType: "email", status: "opened" });
+  assert.equal(opened.status, 400);
+});
+
+test("a message moves forward along the allowed transitions and records each step", async () => {
+  const id = await save("draft");
+  for (const status of ["approved", "sent", "opened", "replied", "meeting-booked"]) {
+    const res = await setStatus(id, status);
+    assert.equal(res.status, 200, `${status}: ${JSON.stringify(res.body)}`);
+    assert.equal(res.body.message.status, status);
+  }
+  const { body } = await api.get(`/api/saved-messages/${id}`);
+  assert.deepEqual(body.message.statusHistory.map(h => h.status), ["draft", "approved", "sent", "opened", "replied", "meeting-booked"]);
+  assert.ok(body.message.statusHistory.every(h => h.at && h.by === api.user.id));
+  assert.deepEqual(body.nextStatuses, []);
+});
+
+test("transitions that skip ahead or go backwards are refused", async () => {
+  const id = await save("approved");
+  const skip = await setStatus(id, "replied");
+  assert.equal(skip.status, 409);
+  assert.deepEqual(skip.body.nextStatuses, ["draft", "sent", "bounced", "suppressed"]);
+
+  assert.equal((await setStatus(id, "sent")).status, 200);
+  assert.equal((await setStatus(id, "replied")).status, 200);
+  // A late open must not undo a recorded reply
+  assert.equal((await setStatus(id, "opened")).status, 409);
+  assert.equal((await setStatus(id, "draft")).status, 409);
+
+  assert.equal((await setStatus(id, "archived")).status, 400);
+  const { body } = await api.get(`/api/saved-messages/${id}`);
+  assert.equal(body.message.status, "replied");
+});
+
+test("the text of a delivered message can no longer be edited", async () => {
+  const draft = await save("draft");
+  const edited = await api.put(`/api/saved-messages/${draft}`, { message: { body: "Shorter version" } });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.message.message.body, "Shorter version");
+  assert.equal(edited.body.message.message.subject, message.subject);
+
+  const sent = await save("sent");
+  const locked = await api.put(`/api/saved-messages/${sent}`, { message: { body: "Too late" } });
+  assert.equal(locked.status, 409);
+});
+
+test("edits must be objects", async () => {
+  const id = await save("draft");
+  for (const body of [{ lead: "Jane" }, { lead: ["Jane"] }, { lead: null }, { message: "Hi" }]) {
+    const res = await api.put(`/api/saved-messages/${id}`, body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+  const { body } = await api.get(`/api/saved-messages/${id}`);
+  assert.deepEqual(body.message.lead, lead);
+});
+
+test("a suppressed message stays blocked until the lead is off the suppression list", async () => {
+  const blocked = { ...lead, email: "blocked@acme.example" };
+  const { body: { id } } = await api.post("/api/save-message", { lead: blocked, message, messageType: "email", status: "approved" });
+  const { body: { added: [entry] } } = await api.post("/api/suppressions", { type: "email", value: blocked.email });
+  assert.equal((await api.post("/api/send-message", { messageId: id })).status, 403);
+
+  const { body } = await api.get(`/api/saved-messages/${id}`);
+  assert.equal(body.message.status, "suppressed");
+  assert.deepEqual(body.nextStatuses, []);
+  for (const status of ["approved", "sent"]) {
+    const res = await setStatus(id, status);
+    assert.equal(res.status, 409, status);
+    assert.equal(res.body.suppressed, true);
+  }
+
+  assert.equal((await api.del(`/api/suppressions/${entry.id}`)).status, 200);
+  assert.equal((await setStatus(id, "draft")).status, 200);
+});
+
+test("a message cannot be deleted while it is being sent", async () => {
+  const id = await save("approved");
+  assert.equal((await api.post("/api/send-message", { messageId: id })).status, 202);
+  const busy = await api.del(`/api/saved-messages/${id}`);
+  assert.equal(busy.status, 409);
+
+  await waitFor(async () => (await api.get(`/api/saved-messages/${id}`)).body.message.delivery.status === "sent", { what: "send" });
+  assert.equal((await api.del(`/api/saved-messages/${id}`)).status, 200);
+  assert.equal((await api.get(`/api/saved-messages/${id}`)).status, 404);
+});
+
+test("messages can be listed by status", async () => {
+  const { status, body } = await api.get("/api/saved-messages?status=replied");
+  assert.equal(status, 200);
+  assert.ok(body.messages.length >= 1);
+  assert.ok(body.messages.every(m => m.status === "replied"));
+  assert.equal((await api.get("/api/saved-messages?status=nonsense")).status, 400);
+});
@@ -0,0 +1,92 @@
+// Open tracking: pixel loads by scanners, image proxies on delivery and Apple's privacy prefetch are not opens
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { startServer, login, startSmtpStub, smtpEnv, tempDataDir, waitFor } = require("./helpers");
+
+const BROWSER = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko)";
+const dataDir = tempDataDir();
+
+let smtp;
+let server;
+let api;
+let messageId;
+let pixelId;
+
+async function start() {
+  server = await startServer({ dataDir, env: smtpEnv(smtp, { SMTP_TRACK_OPENS: "true" }) });
+  api = await login(server);
+}
+
+before(async () => {
+  smtp = await startSmtpStub();
+  await start();
+  const lead = { name: "Jane Doe", company: "Acme", email: "jane@acme.example" };
+  const sent = await api.post("/api/send-message", { lead, message: { subject: "Quick question", body: "Hi Jane,\n\nDo you have a minute?" } });
+  assert.equal(sent.status, 202, JSON.stringify(sent.body));
+  messageId = sent.body.id;
+  const saved = await waitFor(async () => {
+    const { body } = await api.get(`/api/saved-messages/${messageId}`);
+    return body.message.status === "sent" && body.message;
+  }, { what: "send" });
+  assert.equal(saved.delivery.openTracking, true);
+  pixelId = saved.openPixelId;
+});
+
+after(async () => {
+  await server?.stop();
+  await smtp?.close();
+});
+
+function loadPixel(userAgent) {
+  return fetch(`${server.url}/o/${pixelId}.gif`, { headers: { "User-Agent": userAgent } });
+}
+
+async function pixel() {
+  const { body } = await api.get(`/api/vi/opens?messageId=${messageId}`);
+  return body.opens[0];
+}
+
+test("scanners, Apple's privacy prefetch and loads during delivery are prefetches", async () => {
+  const res = await loadPixel(BROWSER);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "image/gif");
+  await loadPixel("Mimecast Security Scanner");
+  await loadPixel("Mozilla/5.0");
+
+  const { openCount, prefetchCount, opens } = await pixel();
+  assert.equal(openCount, 0);
+  assert.equal(prefetchCount, 3);
+  assert.deepEqual(opens.map(o => o.reason), ["fetched during delivery", "security scanner or bot", "Apple Mail Privacy Protection"]);
+  assert.equal(opens[2].client, "apple-privacy");
+  assert.equal((await api.get(`/api/saved-messages/${messageId}`)).body.message.status, "sent");
+
+  // Unknown pixels answer the same image
+  assert.equal((await fetch(`${server.url}/o/op_unknown.gif`)).status, 200);
+});
+
+test("a later load is an open, and repeats from the same client are duplicates", async () => {
+  // Move the delivery out of the prefetch window
+  await server.stop({ keepData: true });
+  const file = path.join(dataDir, "email-opens.json");
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  entries.forEach(([, p]) => { p.sentAt = new Date(Date.now() - 10 * 60 * 1000).toISOString(); });
+  fs.writeFileSync(file, JSON.stringify(entries));
+  await start();
+
+  await loadPixel(BROWSER);
+  await loadPixel(BROWSER);
+  await loadPixel("Mozilla/5.0 (Windows NT 5.1; rv:11.0) Gecko Firefox/11.0 (via ggpht.com GoogleImageProxy)");
+
+  const { openCount, prefetchCount, opens } = await pixel();
+  assert.equal(openCount, 2);
+  assert.equal(prefetchCount, 3);
+  assert.deepEqual(opens.slice(3).map(o => o.kind), ["open", "duplicate", "open"]);
+  assert.equal(opens[5].client, "gmail");
+
+  const { message } = (await api.get(`/api/saved-messages/${messageId}`)).body;
+  assert.equal(message.status, "opened");
+  assert.equal(message.opens.count, 2);
+  assert.deepEqual((await api.get("/api/vi/opens?opened=true")).body.opens.map(p => p.pixelId), [pixelId]);
+});
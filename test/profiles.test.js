@@ -0,0 +1,52 @@
+// Sender profiles: deleting one never leaves a workspace without a profile or hands it another workspace's default
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, loginAsNewUser } = require("./helpers");
+
+let server;
+let api;
+let other;
+
+before(async () => {
+  server = await startServer();
+  api = await login(server);
+  const ws = await api.post("/api/workspaces", { name: "Team B" });
+  other = await loginAsNewUser(server, api, { email: "admin-b@example.com", role: "admin", workspaceId: ws.body.workspace.id });
+});
+
+after(() => server?.stop());
+
+const fields = (name, extra = {}) => ({ name, companyName: name, offering: "consulting", ...extra });
+
+async function createProfile(client, name, extra) {
+  const res = await client.post("/api/profiles", fields(name, extra));
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.profile;
+}
+
+async function profiles(client) {
+  return (await client.get("/api/profiles")).body.profiles;
+}
+
+test("the default flag passes to a profile with the same scope", async () => {
+  const privateA = await createProfile(api, "Private A");
+  const privateB = await createProfile(other, "Private B");
+  const shared = await createProfile(api, "Shared", { shared: true });
+
+  assert.equal((await api.del("/api/profiles/default")).status, 200);
+  const seenByB = await profiles(other);
+  assert.deepEqual(seenByB.map(p => p.id).sort(), [privateB.id, shared.id].sort());
+  assert.equal(seenByB.find(p => p.isDefault)?.id, shared.id);
+  assert.equal((await profiles(api)).find(p => p.id === privateA.id).isDefault, false);
+});
+
+test("a workspace's last visible profile cannot be deleted", async () => {
+  const [privateB] = (await profiles(other)).filter(p => !p.shared);
+  assert.equal((await other.del(`/api/profiles/${privateB.id}`)).status, 200);
+
+  // Team B now sees only the shared profile; the default workspace still has its own
+  const [shared] = await profiles(other);
+  assert.equal((await other.del(`/api/profiles/${shared.id}`)).status, 400);
+  assert.equal((await api.del(`/api/profiles/${shared.id}`)).status, 400);
+  assert.equal((await profiles(other)).length, 1);
+});
@@ -0,0 +1,81 @@
+// Reply watcher: answers in the IMAP mailbox are matched to sent messages, classified and acted on
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, startSmtpStub, smtpEnv, startImapStub, waitFor } = require("./helpers");
+
+let smtp;
+let imap;
+let server;
+let api;
+
+before(async () => {
+  smtp = await startSmtpStub();
+  imap = await startImapStub({ selectDelayMs: 300 });
+  server = await startServer({ env: smtpEnv(smtp, { SMTP_TRACK_OPENS: "false" }) });
+  api = await login(server);
+  const configured = await api.post("/api/imap-config", { host: "127.0.0.1", port: imap.port, secure: false, user: "sales@example.com", password: "imap-password" });
+  assert.equal(configured.status, 200);
+});
+
+after(async () => {
+  await server?.stop();
+  await imap?.close();
+  await smtp?.close();
+});
+
+async function sendTo(email) {
+  const lead = { name: "Jane Doe", company: "Acme", email };
+  const sent = await api.post("/api/send-message", { lead, message: { subject: "Quick question", body: "Hi Jane,\n\nDo you have a minute?\n\nBest" } });
+  assert.equal(sent.status, 202, JSON.stringify(sent.body));
+  return waitFor(async () => {
+    const { body } = await api.get(`/api/saved-messages/${sent.body.id}`);
+    return body.message.delivery?.status === "sent" && body.message;
+  }, { what: `delivery to ${email}` });
+}
+
+function replyTo(saved, text) {
+  return [
+    `From: Jane Doe <${saved.delivery.to}>`,
+    "To: sales@example.com",
+    "Subject: Re: Quick question",
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <reply-${saved.id}@acme.example>`,
+    `In-Reply-To: ${saved.delivery.messageId}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text,
+    "",
+  ].join("\n");
+}
+
+test("a reply asking to stop marks the message replied and suppresses the address", async () => {
+  const saved = await sendTo("jane@acme.example");
+  imap.deliver(replyTo(saved, "Please unsubscribe me from these emails."));
+
+  const poll = await api.post("/api/replies/poll");
+  assert.equal(poll.status, 200, JSON.stringify(poll.body));
+  assert.equal(poll.body.fetched, 1);
+  assert.equal(poll.body.replies, 1);
+  assert.deepEqual(poll.body.categories, { unsubscribe: 1 });
+
+  const { body } = await api.get(`/api/saved-messages/${saved.id}`);
+  assert.equal(body.message.status, "replied");
+  assert.equal(body.message.reply.category, "unsubscribe");
+  const [reply] = (await api.get(`/api/replies?messageId=${saved.id}`)).body.replies;
+  assert.equal(reply.matchedBy, "message-id");
+  assert.equal((await api.get("/api/suppressions/check?email=jane%40acme.example")).body.suppressed, true);
+
+  // Messages already seen are not fetched again
+  const again = await api.post("/api/replies/poll");
+  assert.equal(again.status, 200);
+  assert.equal(again.body.fetched, 0);
+});
+
+test("a poll started while another is running is refused as a conflict", async () => {
+  const first = api.post("/api/replies/poll");
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const second = await api.post("/api/replies/poll");
+  assert.equal(second.status, 409);
+  assert.match(second.body.error, /already running/);
+  assert.equal((await first).status, 200);
+});
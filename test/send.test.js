@@ -0,0 +1,77 @@
+// Sending: the double-send guard, the daily limit and bounces
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, startSmtpStub, smtpEnv, waitFor } = require("./helpers");
+
+const DAILY_LIMIT = 4;
+let smtp;
+let server;
+let api;
+
+before(async () => {
+  smtp = await startSmtpStub({ delayMs: 300 });
+  server = await startServer({ env: smtpEnv(smtp, { SMTP_DAILY_LIMIT: String(DAILY_LIMIT), SMTP_TRACK_OPENS: "false" }) });
+  api = await login(server);
+});
+
+after(async () => {
+  await server?.stop();
+  await smtp?.close();
+});
+
+const message = { subject: "Quick question", body: "Hi Jane,\n\nDo you have a minute next week?\n\nBest" };
+const lead = (email) => ({ name: "Jane Doe", company: "Acme", email });
+
+function send(body) {
+  return api.post("/api/send-message", body);
+}
+
+// Sends answer 202 and finish in the background; wait for the outcome
+function delivered(id) {
+  return waitFor(async () => {
+    const { body } = await api.get(`/api/saved-messages/${id}`);
+    return body.message.delivery?.status !== "sending" && body.message;
+  }, { what: `delivery of ${id}` });
+}
+
+test("a message is refused while it is being sent and once it has been sent", async () => {
+  const first = await send({ lead: lead("jane@acme.example"), message });
+  assert.equal(first.status, 202);
+  assert.equal(first.body.delivery.status, "sending");
+
+  const whileSending = await send({ messageId: first.body.id });
+  assert.equal(whileSending.status, 409);
+  assert.match(whileSending.body.error, /already being sent/);
+
+  const saved = await delivered(first.body.id);
+  assert.equal(saved.delivery.status, "sent");
+  assert.equal(saved.status, "sent");
+
+  const afterSent = await send({ messageId: first.body.id });
+  assert.equal(afterSent.status, 409);
+  assert.equal(smtp.messages.length, 1);
+});
+
+test("a message without a recipient is rejected before it is queued", async () => {
+  const res = await send({ lead: { name: "No Email", company: "Acme" }, message });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /no email/i);
+});
+
+test("rejected recipients do not count toward the daily limit", async () => {
+  const sentBefore = smtp.messages.length;
+  const bounced = await delivered((await send({ lead: lead("bounce@acme.example"), message })).body.id);
+  assert.equal(bounced.delivery.status, "bounced");
+  assert.equal(bounced.status, "bounced");
+
+  // One message went out in the first test; the bounce must not have used a slot
+  const remaining = DAILY_LIMIT - 1;
+  for (let i = 0; i < remaining; i++) {
+    const saved = await delivered((await send({ lead: lead(`person${i}@acme.example`), message })).body.id);
+    assert.equal(saved.delivery.status, "sent");
+  }
+  const overLimit = await delivered((await send({ lead: lead("late@acme.example"), message })).body.id);
+  assert.equal(overLimit.delivery.status, "failed");
+  assert.match(overLimit.delivery.error, /Daily send limit reached/);
+  assert.equal(smtp.messages.length, sentBefore + remaining);
+});
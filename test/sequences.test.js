@@ -0,0 +1,87 @@
+// Sequences stop for a lead who clicks, but not when a mail scanner follows the link on delivery
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, startSmtpStub, smtpEnv, waitFor } = require("./helpers");
+
+const BROWSER = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36";
+const lead = { name: "Jane Doe", company: "Acme", email: "jane@acme.example" };
+
+let smtp;
+let server;
+let api;
+let enrollmentId;
+
+before(async () => {
+  smtp = await startSmtpStub();
+  server = await startServer({ env: smtpEnv(smtp, { SMTP_TRACK_OPENS: "false" }) });
+  api = await login(server);
+
+  const seq = await api.post("/api/sequences", { name: "Follow-up", steps: [{ type: "email", subject: "Hello", body: "Hi {{lead.firstName}}" }] });
+  assert.equal(seq.status, 200, JSON.stringify(seq.body));
+  // Scheduled far ahead so the scheduler leaves it alone
+  const enrolled = await api.post(`/api/sequences/${seq.body.sequence.id}/enroll`, { leads: [lead], startAt: "2099-01-05T10:00:00Z" });
+  enrollmentId = enrolled.body.enrolled[0].id;
+});
+
+after(async () => {
+  await server?.stop();
+  await smtp?.close();
+});
+
+async function saveWithLink(status) {
+  const res = await api.post("/api/save-message", {
+    lead,
+    messageType: "email",
+    status,
+    trackLinks: true,
+    message: { subject: "Pricing", body: "Hi Jane, the numbers are at https://partner.example/pricing" },
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.trackedLinks.length, 1);
+  return { id: res.body.id, url: res.body.trackedLinks[0].trackedUrl, linkId: res.body.trackedLinks[0].linkId };
+}
+
+function follow(url, userAgent, method = "GET") {
+  return fetch(url, { method, redirect: "manual", headers: { "User-Agent": userAgent } });
+}
+
+async function enrollmentStatus() {
+  const { body } = await api.get("/api/sequences/enrollments");
+  return body.enrollments.find(e => e.id === enrollmentId).status;
+}
+
+async function trackedLink(linkId) {
+  const { body } = await api.get("/api/vi/tracked-links");
+  return body.links.find(l => l.linkId === linkId);
+}
+
+test("link hits from scanners and during delivery are counted but are not clicks", async () => {
+  const saved = await saveWithLink("approved");
+  await api.post("/api/send-message", { messageId: saved.id });
+  await waitFor(async () => (await api.get(`/api/saved-messages/${saved.id}`)).body.message.status === "sent", { what: "send" });
+
+  // Safe Links style: a browser agent, seconds after delivery
+  const res = await follow(saved.url, BROWSER);
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get("location"), /^https:\/\/partner\.example\/pricing\?_bvt=/);
+  assert.equal((await follow(saved.url, "Mimecast Security Scanner")).status, 302);
+  assert.equal((await follow(saved.url, "", "HEAD")).status, 302);
+
+  const link = await trackedLink(saved.linkId);
+  assert.equal(link.clicks, 3);
+  assert.equal(link.prefetchCount, 3);
+  assert.equal((await api.get(`/api/saved-messages/${saved.id}`)).body.message.status, "sent");
+  assert.equal(await enrollmentStatus(), "active");
+});
+
+test("a real click pauses the lead's sequence", async () => {
+  const saved = await saveWithLink("draft");
+  await follow(saved.url, "Mimecast Security Scanner");
+  assert.equal(await enrollmentStatus(), "active");
+
+  await follow(saved.url, BROWSER);
+  assert.equal(await enrollmentStatus(), "paused");
+  const link = await trackedLink(saved.linkId);
+  assert.equal(link.clicks, 2);
+  assert.equal(link.prefetchCount, 1);
+});
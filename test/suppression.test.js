@@ -0,0 +1,81 @@
+// Do-not-contact: suppressed addresses and domains are never sent to, and unsubscribe links are signed per address
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { simpleParser } = require("mailparser");
+const { startServer, login, startSmtpStub, smtpEnv, waitFor } = require("./helpers");
+
+let smtp;
+let server;
+let api;
+
+before(async () => {
+  smtp = await startSmtpStub();
+  server = await startServer({ env: smtpEnv(smtp) });
+  api = await login(server);
+});
+
+after(async () => {
+  await server?.stop();
+  await smtp?.close();
+});
+
+const message = { subject: "Quick question", body: "Hi Jane,\n\nDo you have a minute next week?\n\nBest" };
+const lead = (email) => ({ name: "Jane Doe", company: "Acme", email });
+
+async function isSuppressed(email) {
+  const { body } = await api.get(`/api/suppressions/check?email=${encodeURIComponent(email)}`);
+  return body.suppressed;
+}
+
+test("suppressed addresses and domains are never sent to", async () => {
+  const added = await api.post("/api/suppressions", { entries: [
+    { type: "email", value: "Blocked@Acme.example" },
+    { type: "domain", value: "optout.example" },
+  ] });
+  assert.equal(added.status, 200);
+
+  for (const email of ["blocked@acme.example", "anyone@optout.example"]) {
+    const res = await api.post("/api/send-message", { lead: lead(email), message });
+    assert.equal(res.status, 403, email);
+    assert.equal(res.body.suppressed, true);
+    const { body } = await api.get(`/api/saved-messages/${res.body.id}`);
+    assert.equal(body.message.status, "suppressed");
+  }
+  assert.equal(smtp.messages.length, 0);
+});
+
+test("unsubscribe links are signed for one address and only act on POST", async () => {
+  const res = await api.post("/api/send-message", { lead: lead("reader@acme.example"), message });
+  await waitFor(async () => (await api.get(`/api/saved-messages/${res.body.id}`)).body.message.delivery.status === "sent", { what: "send" });
+  const raw = smtp.messages[smtp.messages.length - 1];
+  const headers = raw.split("\n\n")[0].replace(/\n[ \t]+/g, " ");
+  assert.match(headers, /^List-Unsubscribe-Post: List-Unsubscribe=One-Click$/m);
+  // No mailto: target while the IMAP watcher that would read it is off
+  assert.match(headers, /^List-Unsubscribe: <http:\/\/[^>]+\/u\/[^>]+>$/m);
+  const url = (await simpleParser(raw)).text.match(/Unsubscribe: (\S+)/)[1];
+  assert.ok(url.startsWith(`${server.url}/u/`), url);
+  const token = url.slice(url.lastIndexOf("/") + 1);
+  const [payload, signature] = token.split(".");
+
+  // A signature that does not match, or a payload signed for someone else, is refused
+  const flipped = signature.slice(0, -1) + (signature.endsWith("A") ? "B" : "A");
+  const forged = Buffer.from(JSON.stringify({ e: "someone-else@acme.example", w: "default", m: null })).toString("base64url");
+  for (const bad of [`${payload}.${flipped}`, `${forged}.${signature}`, payload, "not-a-token"]) {
+    const r = await fetch(`${server.url}/u/${bad}`, { method: "POST" });
+    assert.equal(r.status, 400, bad);
+  }
+  assert.equal(await isSuppressed("someone-else@acme.example"), false);
+
+  // Link scanners prefetch with GET; that must only show the confirmation
+  const page = await fetch(url);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /<form method="post">/);
+  assert.equal(await isSuppressed("reader@acme.example"), false);
+
+  const confirm = await fetch(url, { method: "POST" });
+  assert.equal(confirm.status, 200);
+  assert.equal(await isSuppressed("reader@acme.example"), true);
+
+  const again = await api.post("/api/send-message", { lead: lead("reader@acme.example"), message });
+  assert.equal(again.status, 403);
+});
@@ -0,0 +1,83 @@
+// LLM usage: every call is priced into the ledger, and daily budgets stop calls before they reach the model
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, loginAsNewUser, startLlmStub } = require("./helpers");
+
+const LEADS = JSON.stringify({ leads: [{ company: "Acme", name: "Jane Doe", title: "CTO", industry: "Banking" }] });
+// USD per 1M tokens: the stub's 10 + 5 tokens cost $0.015, while a reservation assumes a 1500-token answer ($1.50+)
+const PRICES = { "local:stub": { prompt: 1000, completion: 1000 } };
+
+let llm;
+let server;
+let admin;
+let sales;
+let teamB;
+let teamBId;
+
+before(async () => {
+  llm = await startLlmStub(() => LEADS);
+  server = await startServer({ env: { LOCAL_LLM_BASE_URL: llm.baseUrl } });
+  admin = await login(server);
+  sales = await loginAsNewUser(server, admin, { email: "sales@example.com", role: "sales" });
+  teamBId = (await admin.post("/api/workspaces", { name: "Team B" })).body.workspace.id;
+  teamB = await loginAsNewUser(server, admin, { email: "admin-b@example.com", role: "admin", workspaceId: teamBId });
+  for (const client of [admin, teamB]) assert.equal((await client.post("/api/config", { model: "local:stub" })).status, 200);
+  assert.equal((await admin.put("/api/usage/budgets", { prices: PRICES })).status, 200);
+});
+
+after(async () => {
+  await server?.stop();
+  await llm?.close();
+});
+
+let searches = 0;
+function search(client) {
+  return client.post("/api/find-leads", { customKeywords: `banks${++searches}` });
+}
+
+test("calls are priced and rolled up by model, user and route", async () => {
+  assert.equal((await search(admin)).status, 200);
+  assert.equal((await search(sales)).status, 200);
+
+  const { status, body } = await admin.get("/api/usage");
+  assert.equal(status, 200);
+  assert.equal(body.totals.calls, 2);
+  assert.equal(body.totals.costUsd, 0.03);
+  assert.deepEqual(body.byModel.map(m => [m.provider, m.model, m.calls]), [["local", "stub", 2]]);
+  assert.deepEqual(body.byUser.map(u => u.email).sort(), ["admin@example.com", "sales@example.com"]);
+  assert.deepEqual(body.byRoute.map(r => [r.route, r.calls]), [["/api/find-leads", 2]]);
+  assert.equal(body.budgets.instance.spentUsd, 0.03);
+});
+
+test("a call whose estimate would pass the budget is refused before it reaches the model", async () => {
+  assert.equal((await admin.put("/api/usage/budgets", { dailyUsd: 1 })).status, 200);
+  const prompts = llm.prompts.length;
+  const refused = await search(sales);
+  assert.equal(refused.status, 429);
+  assert.match(refused.body.error, /budget for instance/);
+  assert.equal(llm.prompts.length, prompts);
+
+  assert.equal((await admin.put("/api/usage/budgets", { dailyUsd: 10 })).status, 200);
+  assert.equal((await search(sales)).status, 200);
+});
+
+test("a workspace budget only stops that workspace", async () => {
+  const set = await admin.put("/api/usage/budgets", { dailyUsd: null, workspaceDailyUsd: { default: 0 } });
+  assert.equal(set.status, 200, JSON.stringify(set.body));
+  const refused = await search(admin);
+  assert.equal(refused.status, 429);
+  assert.match(refused.body.error, /budget for workspace/);
+  assert.equal((await search(teamB)).status, 200);
+
+  const { body } = await teamB.get("/api/usage");
+  assert.equal(body.workspaceId, teamBId);
+  assert.equal(body.totals.calls, 1);
+});
+
+test("budgets and prices are validated and only admins change them", async () => {
+  for (const body of [{ dailyUsd: -1 }, { userDailyUsd: "5" }, { workspaceDailyUsd: { nope: 1 } }, { prices: { "local:stub": { prompt: 1 } } }]) {
+    assert.equal((await admin.put("/api/usage/budgets", body)).status, 400, JSON.stringify(body));
+  }
+  assert.equal((await sales.put("/api/usage/budgets", { dailyUsd: null })).status, 403);
+  assert.deepEqual((await admin.get("/api/usage/budgets")).body.budgets.prices, PRICES);
+});
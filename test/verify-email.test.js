@@ -0,0 +1,42 @@
+// Email verification: input checks, and RCPT probes needing write access
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, loginAsNewUser, tokenClient } = require("./helpers");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = await login(server);
+});
+
+after(() => server?.stop());
+
+// Addresses that fail the syntax check are answered without any DNS or SMTP lookups
+test("addresses must be sent as a string or an array of strings", async () => {
+  const ok = await api.post("/api/verify-email", { emails: ["not-an-email", "also bad"] });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ok.body.results.map(r => r.status), ["invalid", "invalid"]);
+
+  for (const body of [{ emails: "a@b.com" }, { emails: [42] }, { emails: { 0: "a@b.com" } }, { email: ["a@b.com"] }, {}]) {
+    const res = await api.post("/api/verify-email", body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+  const tooMany = await api.post("/api/verify-email", { emails: Array(51).fill("x") });
+  assert.equal(tooMany.status, 400);
+});
+
+test("read-only callers can check syntax and DNS but not run RCPT probes", async () => {
+  const viewer = await loginAsNewUser(server, api, { email: "viewer@example.com", role: "viewer" });
+  assert.equal((await viewer.post("/api/verify-email", { email: "not-an-email" })).status, 200);
+  const probe = await viewer.post("/api/verify-email", { email: "not-an-email", probe: true });
+  assert.equal(probe.status, 403);
+
+  const readToken = await tokenClient(server, api, ["leads:read"]);
+  assert.equal((await readToken.post("/api/verify-email", { email: "not-an-email" })).status, 200);
+  assert.equal((await readToken.post("/api/verify-email", { email: "not-an-email", probe: true })).status, 403);
+
+  const writeToken = await tokenClient(server, api, ["leads:write"]);
+  assert.equal((await writeToken.post("/api/verify-email", { email: "not-an-email", probe: true })).status, 200);
+});
@@ -0,0 +1,76 @@
+// Workspaces: one team cannot list, read or change another team's records, and instance-wide settings stay out of workspace config
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, loginAsNewUser } = require("./helpers");
+
+let server;
+let admin;
+let teamB;
+const owned = {};
+
+before(async () => {
+  server = await startServer();
+  admin = await login(server);
+  const ws = await admin.post("/api/workspaces", { name: "Team B" });
+  teamB = await loginAsNewUser(server, admin, { email: "sales-b@example.com", role: "sales", workspaceId: ws.body.workspace.id });
+
+  // Records in the default workspace
+  const lead = { company: "Acme", name: "Jane Doe", email: "jane@acme.example" };
+  owned.lead = (await admin.post("/api/leads", lead)).body.leads[0].id;
+  owned.message = (await admin.post("/api/save-message", { lead, message: { subject: "Hi", body: "Hello Jane" }, messageType: "email" })).body.id;
+  owned.site = (await admin.post("/api/vi/sites", { name: "Main", domain: "acme-sales.example" })).body.site.siteId;
+  owned.job = (await admin.post("/api/find-leads", { background: true, customKeywords: "banks" })).body.jobId;
+  owned.analysis = (await admin.post("/api/analyses", { companyName: "Acme", industry: "enterprise" })).body.analysisId;
+  assert.ok(Object.values(owned).every(Boolean), JSON.stringify(owned));
+});
+
+after(() => server?.stop());
+
+test("lists only show the caller's workspace", async () => {
+  const lists = [
+    ["/api/leads", "leads"],
+    ["/api/saved-messages", "messages"],
+    ["/api/vi/sites", "sites"],
+    ["/api/jobs", "jobs"],
+    ["/api/analyses", "analyses"],
+  ];
+  for (const [url, key] of lists) {
+    const mine = await admin.get(url);
+    assert.ok(mine.body[key].length >= 1, `${url} as owner`);
+    const theirs = await teamB.get(url);
+    assert.equal(theirs.status, 200, url);
+    assert.deepEqual(theirs.body[key], [], url);
+  }
+});
+
+test("another workspace's records are not found by id", async () => {
+  for (const url of [
+    `/api/leads/${owned.lead}`,
+    `/api/leads/${owned.lead}/timeline`,
+    `/api/saved-messages/${owned.message}`,
+    `/api/jobs/${owned.job}`,
+    `/api/analyses/${owned.analysis}`,
+  ]) {
+    assert.equal((await admin.get(url)).status, 200, `${url} as owner`);
+    assert.equal((await teamB.get(url)).status, 404, url);
+  }
+});
+
+test("another workspace's records cannot be changed or deleted", async () => {
+  assert.equal((await teamB.put(`/api/leads/${owned.lead}`, { status: "contacted" })).status, 404);
+  assert.equal((await teamB.put(`/api/saved-messages/${owned.message}`, { status: "approved" })).status, 404);
+  assert.equal((await teamB.post("/api/send-message", { messageId: owned.message })).status, 404);
+  assert.equal((await teamB.post(`/api/jobs/${owned.job}/cancel`)).status, 404);
+  assert.equal((await teamB.del(`/api/saved-messages/${owned.message}`)).status, 404);
+  assert.equal((await teamB.del(`/api/leads/${owned.lead}`)).status, 404);
+  assert.equal((await teamB.del(`/api/analyses/${owned.analysis}`)).status, 404);
+  assert.equal((await admin.get(`/api/leads/${owned.lead}`)).body.lead.status, "new");
+  assert.equal((await admin.get(`/api/saved-messages/${owned.message}`)).status, 200);
+});
+
+test("the shared SMTP password cannot be set through a workspace's config", async () => {
+  const res = await admin.post("/api/config", { model: "local:stub", gmailAppPassword: "secret-app-password" });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /smtp-config/);
+  assert.equal((await admin.get("/api/smtp-config")).body.hasPassword, false);
+});